@@ -0,0 +1,203 @@
+/**
+ * The AI Driver, which drives a Kart around a World by following the world's waypoints
+ * (its racing line), braking for corners and steering away from walls.
+ *
+ * The AI only ever decides which "keys" to press (the same input the keyboard gives, check
+ * Kart.readInput), so it is bound by the exact acceleration and turning parameters that
+ * Kart.setParams gives the player. It uses its items a moment after getting them, saving a
+ * Mushroom for a straight.
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+/**
+ * How each difficulty drives.
+ *
+ * throttle: The fraction of the kart's top speed the AI is willing to drive at
+ * cornerRoom: The distance (world units) the AI allows itself to finish a turn in, a kart
+ *             can only turn so fast (maxDeltaAngle) so less room means slower corners
+ * brakeMargin: How much earlier than strictly needed the AI starts braking for a corner
+ * deadband: The heading error (radians) the AI ignores before it steers
+ * feeler: How far ahead (seconds of travel) the AI looks for walls
+ */
+export const AI_DIFFICULTIES = {
+    easy: {throttle: .7, cornerRoom: 8, brakeMargin: 1.6, deadband: .12, feeler: .6},
+    normal: {throttle: .85, cornerRoom: 10, brakeMargin: 1.3, deadband: .06, feeler: .7},
+    hard: {throttle: 1, cornerRoom: 12, brakeMargin: 1.1, deadband: .02, feeler: .8}
+};
+
+// How many waypoints ahead the AI plans its braking for
+const LOOKAHEAD = 4;
+
+// The slowest the AI will ever choose to go (so it never stops in a corner)
+const MIN_SPEED = 2;
+
+// How close (in world units) the kart has to get to a waypoint before it aims for the next one
+const WAYPOINT_RADIUS = 10;
+
+// How long (seconds) the AI holds an item before using it, and how straight (heading error in
+// radians) the road ahead has to be for it to use a Mushroom
+const ITEM_DELAY = 1.5;
+const MUSHROOM_ERROR = .2;
+
+/**
+ * Wrap the given angle into [-PI, PI].
+ * @param {Number} angle
+ */
+function wrapAngle(angle) {
+    angle = angle % (2 * Math.PI);
+    if (angle > Math.PI) {
+        angle -= 2 * Math.PI;
+    } else if (angle < -Math.PI) {
+        angle += 2 * Math.PI;
+    }
+    return angle;
+}
+
+/**
+ * The heading (as used by Kart.angle) that points along the given x, z direction.
+ * @param {Number} dx
+ * @param {Number} dz
+ */
+function headingOf(dx, dz) {
+    return Math.atan2(dx, dz);
+}
+
+export class AIDriver {
+    /**
+     * Create a driver for the given kart.
+     *
+     * @param {Kart} kart
+     * @param {World} world The world whose waypoints and walls the AI drives around
+     * @param {String} difficulty easy / normal / hard
+     */
+    constructor(kart, world, difficulty = "normal") {
+        this.kart = kart;
+        this.world = world;
+        this.difficulty = difficulty;
+        this.params = AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES.normal;
+
+        // Begin by aiming at the waypoint closest to the kart
+        this.waypointIndex = this.closestWaypoint();
+    }
+
+    /**
+     * The index of the waypoint closest to the kart.
+     */
+    closestWaypoint() {
+        let [x, , z] = this.kart.body.center;
+        let waypoints = this.world.waypoints;
+        let best = 0;
+
+        for (let i = 1; i < waypoints.length; i++) {
+            if (Math.hypot(waypoints[i][0] - x, waypoints[i][1] - z) < Math.hypot(waypoints[best][0] - x, waypoints[best][1] - z)) {
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Decide what to press for this update.
+     *
+     * @param {Number} dt
+     * @returns {JSON} {accelerate, brake, left, right, useItem}
+     */
+    getInput(dt) {
+        const kart = this.kart;
+        const waypoints = this.world.waypoints;
+        let [x, , z] = kart.body.center;
+
+        // Put back on the track, pick the racing line up again from where the kart is now
+        if (kart.respawned) {
+            this.waypointIndex = this.world.racingLineAt(x, z).next;
+        }
+
+        // Move on to the next waypoint once we are close enough to the current one
+        let target = waypoints[this.waypointIndex];
+        if (Math.hypot(target[0] - x, target[1] - z) < WAYPOINT_RADIUS) {
+            this.waypointIndex = (this.waypointIndex + 1) % waypoints.length;
+            target = waypoints[this.waypointIndex];
+        }
+        let error = wrapAngle(headingOf(target[0] - x, target[1] - z) - kart.angle);
+
+        /**
+         * The kart keeps turning for a while after we let go (deltaAngle ramps down), so
+         * steer against the heading it will settle at rather than the one it has now.
+         */
+        let rampPerSecond = kart.shortDeltaAngle / dt;
+        let settle = kart.deltaAngle * Math.abs(kart.deltaAngle) / (2 * rampPerSecond);
+        let steer = error - settle;
+
+        let input = {
+            accelerate: false,
+            brake: false,
+            left: steer > this.params.deadband,
+            right: steer < -this.params.deadband
+        };
+
+        // Avoid walls by feeling ahead of the kart, steering towards whichever side is open
+        let reach = Math.max(4, Math.abs(kart.velocity) * this.params.feeler);
+        let feel = (offset) => {
+            let angle = kart.angle + offset;
+            return this.world.wallAt(x + reach * Math.sin(angle), z + reach * Math.cos(angle), 1);
+        };
+        let blockedLeft = feel(.4);
+        let blockedRight = feel(-.4);
+
+        if (blockedLeft && !blockedRight) {
+            input.left = false;
+            input.right = true;
+        } else if (blockedRight && !blockedLeft) {
+            input.left = true;
+            input.right = false;
+        }
+
+        /**
+         * Turning through an angle takes angle / maxDeltaAngle seconds, so to finish a turn
+         * within cornerRoom we can go at most cornerRoom * maxDeltaAngle / angle.
+         */
+        let cornerLimit = (angle) => Math.max(MIN_SPEED, this.params.cornerRoom * kart.maxDeltaAngle / Math.max(Math.abs(angle), .01));
+
+        let targetSpeed = Math.min(kart.maxVelocityF * this.params.throttle, cornerLimit(error));
+
+        /**
+         * Braking only takes off kart.acceleration per update, so plan for the corners at the
+         * next few waypoints: we can go as fast as still lets us brake down to each corner's
+         * speed over the path left until it.
+         */
+        let deceleration = kart.acceleration / dt;
+        let pathDistance = 0;
+        let previous = [x, z];
+
+        for (let k = 0; k < LOOKAHEAD; k++) {
+            let corner = waypoints[(this.waypointIndex + k) % waypoints.length];
+            let after = waypoints[(this.waypointIndex + k + 1) % waypoints.length];
+            pathDistance += Math.hypot(corner[0] - previous[0], corner[1] - previous[1]);
+
+            let turn = wrapAngle(headingOf(after[0] - corner[0], after[1] - corner[1]) - headingOf(corner[0] - previous[0], corner[1] - previous[1]));
+            let cornerSpeed = cornerLimit(turn);
+
+            targetSpeed = Math.min(targetSpeed, Math.sqrt(cornerSpeed ** 2 + 2 * deceleration * pathDistance / this.params.brakeMargin));
+            previous = corner;
+        }
+
+        // Crawl if we are about to hit a wall either way
+        if (blockedLeft && blockedRight) {
+            targetSpeed = MIN_SPEED;
+        }
+
+        if (kart.velocity < targetSpeed - kart.acceleration) {
+            input.accelerate = true;
+        } else if (kart.velocity > targetSpeed + kart.acceleration && kart.velocity > 0) {
+            input.brake = true;
+        }
+
+        if (kart.item != null && kart.itemTime >= ITEM_DELAY) {
+            input.useItem = kart.item != "mushroom" || (Math.abs(error) < MUSHROOM_ERROR && !input.brake);
+        }
+
+        return input;
+    }
+}
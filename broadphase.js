@@ -0,0 +1,92 @@
+/**
+ * Broadphase, a uniform grid over the ground holding the world's static bodies (its walls and
+ * obstacles) so that a kart only tests the bodies near it for collisions (check
+ * Kart.handleCollisions) rather than every body of the track.
+ *
+ * Every body is put in each cell of the grid its box (check Body.get_box) covers on the ground,
+ * and a query returns the bodies in the cells a given area covers. The bodies never move once the
+ * world is built (check World.initializeBodies), so the grid is built once for the world.
+ *
+ * Example:
+ *      let broadphase = new Broadphase(staticBodies);
+ *      broadphase.query([x - 2, z - 2], [x + 2, z + 2])      The indices (into staticBodies) of the bodies near x, z
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+// The size (world units) of each cell of the grid, a bit more than a kart's reach in a step
+const CELL_SIZE = 8;
+
+/**
+ * The area a body's box covers on the ground.
+ * @param {Body} body
+ * @returns {Number[][]} [[minX, minZ], [maxX, maxZ]]
+ */
+export function groundBounds(body) {
+    const {center, axes, half} = body.get_box();
+
+    // How far the box reaches from its center along x and along z
+    let reachX = axes.reduce((sum, axis, i) => sum + half[i] * Math.abs(axis[0]), 0);
+    let reachZ = axes.reduce((sum, axis, i) => sum + half[i] * Math.abs(axis[2]), 0);
+
+    return [[center[0] - reachX, center[2] - reachZ], [center[0] + reachX, center[2] + reachZ]];
+}
+
+export class Broadphase {
+    /**
+     * Put the given bodies in the grid.
+     * @param {Body[]} bodies The bodies, which must not move from now on
+     * @param {Number} cellSize The size (world units) of each cell
+     */
+    constructor(bodies, cellSize = CELL_SIZE) {
+        this.cellSize = cellSize;
+
+        // The indices of the bodies in each cell that has any, keyed by "column,row"
+        this.cells = new Map();
+
+        bodies.forEach((body, index) => {
+            let [min, max] = groundBounds(body);
+            this.eachCell(min, max, key => {
+                if (!this.cells.has(key)) {
+                    this.cells.set(key, []);
+                }
+                this.cells.get(key).push(index);
+            });
+        });
+    }
+
+    /**
+     * Call the given function with the key of every cell the given area covers.
+     * @param {Number[]} min [x, z]
+     * @param {Number[]} max [x, z]
+     * @param {Function} visit (key) => {}
+     */
+    eachCell(min, max, visit) {
+        const cell = (value) => Math.floor(value / this.cellSize);
+
+        for (let column = cell(min[0]); column <= cell(max[0]); column++) {
+            for (let row = cell(min[1]); row <= cell(max[1]); row++) {
+                visit(`${column},${row}`);
+            }
+        }
+    }
+
+    /**
+     * The bodies that may overlap the given area of the ground.
+     * @param {Number[]} min [x, z]
+     * @param {Number[]} max [x, z]
+     * @returns {Number[]} Their indices (in the array the grid was built from), in order
+     */
+    query(min, max) {
+        let found = new Set();
+        this.eachCell(min, max, key => {
+            for (let index of this.cells.get(key) || []) {
+                found.add(index);
+            }
+        });
+
+        // In order, so that they are always tested (and reported) the same way
+        return [...found].sort((a, b) => a - b);
+    }
+}
@@ -8,57 +8,45 @@
  */
 
 import { tiny, defs } from "./examples/common.js";
-import { Kart } from "./kart.js";
+import { Kart, PHYSICS_MODES } from "./kart.js";
+import { World } from "./world.js";
+import { TrackEditor, downloadJSON, openJSONFile } from "./editor.js";
+import { BUNDLED_TRACKS, WALL_CATALOG, fetchTrack, hashTrack, validateTrack } from "./track.js";
+import { AIDriver } from "./ai.js";
+import { LAP_OPTIONS, ordinal } from "./race.js";
+import { decodeGhost, encodeGhost, sampleGhost, toGhostSamples } from "./ghost.js";
+import { ReplayPlayer, ReplayRecorder, loadReplays, saveReplay } from "./replay.js";
+import { ITEMS } from "./items.js";
+import { ACTIONS, DRIVING_PRESETS, GAMEPAD_DEADZONES, GAMEPAD_SENSITIVITIES, MENU_KEYS, applyPreset, bind, currentGamepad,
+         getGamepadSettings, keyFor, keyName, matches, onGamepadChange, resetBindings, setGamepadSettings } from "./input.js";
 
 const { vec3, vec4, Mat4, Scene, Material, Texture, color, Light, unsafe3, hex_color } = tiny;
 
-/**
- * A timer object that supports pause functionality.
- * 
- */
-class Timer {
-    constructor() {
-        this.resetTime();
-    }
+// The speeds a replay can be watched at (check Simulation.time_scale)
+const REPLAY_SPEEDS = [.25, .5, 1, 2, 4];
 
-    resetTime() {
-        this.startTime = Date.now();
-        this.totalPausedMilliseconds = 0;
-        this.pauseStart = null;
-        this.state = "play";
-    }
+// How far (in seconds) scrubbing through a replay jumps
+const REPLAY_SCRUB = 5;
 
-    pause() {
-        if (this.state == "pause") {
-            return;
-        }
-        this.pauseStart = Date.now();
-        this.state = "pause";
-    }
+// The keys the Controls menu is navigated with, which global actions cannot be bound to there
+const CONTROLS_KEYS = {up: MENU_KEYS.up, down: MENU_KEYS.down, rebind: MENU_KEYS.select, reset: 8, cancel: 27};
 
-    unpause() {
-        if (this.state == "play") {
-            return;
-        }
-        this.totalPausedMilliseconds += Date.now() - this.pauseStart;
-        this.pauseStart = null;
-        this.state = "play";
-    }
-    
-    /**
-     * Get the time since the last reset.
-     * 
-     * @return time in seconds.
-     */
-    getTime() {
-        if (this.state == "pause") {
-            let ms = this.pauseStart - this.startTime - this.totalPausedMilliseconds;
-            return (ms / 1000);
-        }
+// The gamepad settings listed in the Controls menu (check input.js getGamepadSettings)
+const GAMEPAD_SETTINGS = {
+    deadzone: {name: "Deadzone", choices: GAMEPAD_DEADZONES, format: (value) => Math.round(value * 100) + "%"},
+    sensitivity: {name: "Sensitivity", choices: GAMEPAD_SENSITIVITIES, format: (value) => value + "x"}
+};
 
-        let ms = Date.now() - this.startTime - this.totalPausedMilliseconds;
-        return (ms / 1000);
-    }
+// The lines in each of the Controls menu's two columns, the rest are on its next pages
+const CONTROLS_ROWS = 13;
+
+/**
+ * The name of the key bound to the given action (check input.js).
+ * @param {String} action 
+ * @returns {String}
+ */
+function keyLabel(action) {
+    return keyName(keyFor(action));
 }
 
 export class GUIController {
@@ -80,6 +68,22 @@ export class GUIController {
          * 
          * On user choice of [P] we switch to: Playing State (The Game).
          * 
+         * On user choice of [E] we switch to: Editor State (The Track Editor), from which
+         * [P] test drives the track being edited (exiting the pause menu returns to the editor).
+         * 
+         * When the player finishes a race (not a Free Run) we switch to: Results State, from which
+         * [P] races the same track again and [E] exits.
+         * 
+         * On user choice of [G] we switch to: Ghosts State, where the best ghost can be exported
+         * and someone else's ghost imported to race against.
+         * 
+         * Every session played is recorded (check replay.js) and saved when it ends. On user choice
+         * of [V] we switch to: Replays State, listing the saved replays, from which (or with [W] on the
+         * results) we switch to: Replay State, watching one (Esc returns to the Replays State).
+         * 
+         * On user choice of [S] we switch to: Controls State, where every key is rebound (check input.js).
+         * The keys above are the defaults, every one of them is an action the player can rebind.
+         * 
          */
         
 
@@ -91,37 +95,64 @@ export class GUIController {
         this.selectedKart = "BruinKart";
         this.selectedMap = "default";
 
+        // How hard the AI opponents are (check ai.js), "none" races alone
+        this.selectedOpponents = "none";
+
+        // How many laps a race lasts, 0 is a Free Run (check race.js)
+        this.selectedLaps = 0;
+
+        // The physics the karts are driven with (check kart.js PHYSICS_MODES)
+        this.selectedPhysics = "arcade";
+
+        // The track currently being played (so that a race can be retried)
+        this.currentTrack = this.selectedMap;
+
         // Keep track of all state specific variables
 
-        // Variables for playing the game
-        this.timer = new Timer();
+        /**
+         * Variables for playing the game, every time shown is the simulation time of the player's
+         * kart (check Kart.lapTime), which only moves on with the simulation's fixed steps.
+         */
         this.laps = 0;
         this.bestTime = Infinity;
         this.checks = 0;
 
+        // The split times (check Kart.splits) of the best lap, compared against at every checkpoint
+        this.bestSplits = [];
+
         // By default, the world is "loaded" so we can actually start the GUI
         this.worldReady = true;
 
+        // The Track Editor (created the first time the editor is opened) and whether we are test driving its track
+        this.editor = null;
+        this.testDriving = false;
+
 
         /**
          * NEW FEATURE! Ghost Mode.
          * 
-         * We keep track of a currentGhost (keeping track of the user's progress)
-         * and a pastGhost with coordinates that we pass to the parent to display in
+         * Every kart records its own ghost while it drives (check Kart.recordGhost), we keep
+         * a pastGhost with coordinates that we pass to the parent to display in
          * the world.
          * 
-         * Ghost objects look like this: {
-         *      time: [x, y, z] // The position
-         * }
+         * Ghosts look like this (check ghost.js): [
+         *      [time, x, y, z, angle], // The position, time is the seconds into the lap
+         *      ...
+         * ]
          * 
          * Thats all! If we need to update past ghost we'll know simply by checking
-         * if the last time in the past ghost is > then the last time in current ghost when
-         * we finish a lap.
+         * if the player's lap was faster than the best time when they finish a lap.
+         */
+        this.pastGhost = [];
+
+        /**
+         * A ghost imported from a file to race against instead of our own best (check importGhost),
+         * {header, ghost, splits} or null. It is only raced on the track it was set on.
          */
-        // We keep track of the last time we displayed the ghost.
-        this.lastGhostTime = -1;
-        this.currentGhost = {};
-        this.pastGhost = {};
+        this.importedGhost = null;
+
+        // If the ghost being raced is the imported one (our own best laps then do not replace it)
+        this.racingImported = false;
 
         // Save the options chosen by the user solely for saving to cache
         this.options = {
@@ -131,6 +162,15 @@ export class GUIController {
 
         this.memory = {};
 
+        // The options of the current menu chosen with Up / Down and Enter (check createMenuNavigation)
+        this.menuOptions = [];
+        this.menuChoice = 0;
+
+        // A short notice drawn over every state (check showNotice), i.e. when a gamepad is plugged in or out
+        this.noticeString = this.createTextObj(this.createTransformFunc([-2.8, -1.6, -3.99], [.07, .07, 1]), "");
+        this.noticeTimeout = null;
+        onGamepadChange((gamepad) => this.showNotice(gamepad ? "Gamepad connected." : "Gamepad disconnected."));
+
         // When we start, we draw the default layout of the initial menu, program will move through its other states automatically
         this.initMenu();
     }
@@ -159,6 +199,10 @@ export class GUIController {
             
             return cam_matrix;
         }
+
+        // Remember where it puts things, so that taps can find them (check tap)
+        transform.coords = translationCoords;
+        transform.scale = scaleFactors;
         
         return transform;
     }
@@ -219,6 +263,85 @@ export class GUIController {
         }
     }
 
+    /**
+     * Let the player choose between the given options with Up / Down and Enter (a gamepad's
+     * D-pad and A, check input.js) as well as with their keys, the chosen one is marked with ">".
+     * 
+     * Only one menu's options can be chosen at a time, reset() clears them.
+     * 
+     * @param {JSON[]} options [{obj, run}], the text object of each option and what choosing it does
+     * @returns {Function} The keydown listener to add
+     */
+    createMenuNavigation(options) {
+        const menuOptions = options.map(option => ({...option, text: option.obj["text"]}));
+        this.menuOptions = menuOptions;
+        this.menuChoice = 0;
+
+        return (evt) => {
+            // Another menu was opened over this one (i.e. the options of a menu being left)
+            if (this.menuOptions != menuOptions) {
+                return;
+            }
+
+            switch (evt.keyCode) {
+                case MENU_KEYS.up:
+                    this.menuChoice = (this.menuChoice + menuOptions.length - 1) % menuOptions.length;
+                    break;
+                case MENU_KEYS.down:
+                    this.menuChoice = (this.menuChoice + 1) % menuOptions.length;
+                    break;
+                case MENU_KEYS.select:
+                    menuOptions[this.menuChoice].run();
+                    break;
+            }
+        };
+    }
+
+    /**
+     * Handle a tap (or click) on the screen at the given point of the plane the GUI is drawn on,
+     * choosing the option of the current menu there. While watching a replay, a tap plays / pauses it.
+     * @param {Number} x 
+     * @param {Number} y 
+     */
+    tap(x, y) {
+        if (this.state == "replay") {
+            this.toggleReplay();
+            return;
+        }
+
+        let index = this.menuOptions.findIndex(option => {
+            const [left, middle] = option.obj["transform"].coords;
+            const [width, height] = option.obj["transform"].scale;
+
+            // Each character is a square (2 wide) every 1.5 along the line
+            let length = option.obj["text"].length;
+            return x >= left - width && x <= left + width * (1.5 * (length - 1) + 1) && Math.abs(y - middle) <= height * 1.2;
+        });
+
+        if (index != -1) {
+            this.menuChoice = index;
+            this.menuOptions[index].run();
+        }
+    }
+
+    /**
+     * Mark the chosen option of the current menu (check createMenuNavigation).
+     */
+    handleMenuNavigation() {
+        this.menuOptions.forEach((option, i) => option.obj["text"] = (i == this.menuChoice ? "> " : "") + option.text);
+    }
+
+    /**
+     * Show the given notice at the bottom of the screen for a few seconds.
+     * @param {String} text 
+     */
+    showNotice(text) {
+        this.noticeString["text"] = text;
+
+        clearTimeout(this.noticeTimeout);
+        this.noticeTimeout = setTimeout(() => this.noticeString["text"] = "", 3000);
+    }
+
     /**
      * Add all the listeners to the document
      */
@@ -250,20 +373,18 @@ export class GUIController {
         this.deactivateListeners();
         this.shapes = [];
         this.listeners = [];
+        this.menuOptions = [];
 
         // Always have the listener for the Escape button added, don't activate it though, since it will be activated by the calling function
         this.listeners.push({
             "type": "keydown",
             "listener": (evt) => {
-                if (evt.keyCode == 27) { // The ESC key
+                if (matches(evt, "pause")) {
                     this.pauseGame();
                 }
             }
         });
 
-        // Reset the timer
-        this.timer.resetTime();
-
         // Reset relevant variables
         this.loadTimes();
     }
@@ -273,22 +394,20 @@ export class GUIController {
      */
     loadTimes() {
         this.bestTime = Infinity;
-        this.pastGhost = {};
-        this.lastGhostTime = -1;
-        
+        this.pastGhost = [];
+        this.bestSplits = [];
     }
 
     /**
      * Reset the Kart in the parent (to put it in the right position and reload the model/texture)
      * 
-     * @param {String} worldType default / classic
+     * The kart is placed at the first slot of the loaded world's start grid.
      */
-    resetKart(worldType) {
+    resetKart() {
+        const start = this.parent.world.start;
+
         // Reset the Kart, (we can reset the entire world here if based on user parameters)
-        this.parent.kart = new Kart(this.parent, this.selectedKart, worldType);
-        let tempBodies = [];
-        this.parent.kart.initializeBody(tempBodies);
-        this.parent.bodies[0] = tempBodies[0];
+        this.parent.setPlayerKart(new Kart(this.parent, this.selectedKart, {position: start.grid[0], angle: start.angle}));
     }
 
     /**
@@ -304,13 +423,12 @@ export class GUIController {
      */
     initMenu() {
         this.state = "initial";
+        this.testDriving = false;
+        this.parent.cameraOverride = null;
 
         // Reset the GUI
         this.reset();
 
-        // Pause the timer for now, the countdown will reset it
-        this.timer.pause();
-
         // Disable the game, Enable it when the user chooses an option to start the game
         this.parent.disableKart();
 
@@ -327,31 +445,74 @@ export class GUIController {
             },
             {
                 "name": "Play Option",
-                "obj": this.createTextObj(this.createTransformFunc([-2.3, .6, -3.99], [.1, .1, 1]), "Press P to Play")
+                "obj": this.createTextObj(this.createTransformFunc([-2.3, .6, -3.99], [.1, .1, 1]), `Press ${keyLabel("play")} to Play`)
+            },
+            {
+                "name": "Ghosts Option",
+                "obj": this.createTextObj(this.createTransformFunc([.5, .7, -3.99], [.08, .08, 1]), `Press ${keyLabel("ghosts")} for Ghosts`)
+            },
+            {
+                "name": "Replays Option",
+                "obj": this.createTextObj(this.createTransformFunc([.5, .54, -3.99], [.08, .08, 1]), `Press ${keyLabel("replays")} for Replays`)
+            },
+            {
+                "name": "Controls Option",
+                "obj": this.createTextObj(this.createTransformFunc([.5, .38, -3.99], [.08, .08, 1]), `Press ${keyLabel("controls")} for Controls`)
             },
             {
                 "name": "Kart Option",
-                "obj": this.createTextObj(this.createTransformFunc([-2.3, .35, -3.99], [.1, .1, 1]), "Press K to Switch Your Kart")
+                "obj": this.createTextObj(this.createTransformFunc([-2.3, .35, -3.99], [.1, .1, 1]), `Press ${keyLabel("nextKart")} to Switch Your Kart`)
             },
-            { // Index 3
+            { // Index 6
                 "name": "Kart String",
                 "obj": this.createTextObj(this.createTransformFunc([-2.3, .15, -3.99], [.1, .1, 1]), "CURRENTKART")
             },
             {
                 "name": "Map Option",
-                "obj": this.createTextObj(this.createTransformFunc([-2.3, -.1, -3.99], [.1, .1, 1]), "Press M to Switch Your Map")
+                "obj": this.createTextObj(this.createTransformFunc([-2.3, -.1, -3.99], [.1, .1, 1]), `Press ${keyLabel("nextMap")} to Switch Your Map`)
             },
-            { // Index 5
+            { // Index 8
                 "name": "Map String",
                 "obj": this.createTextObj(this.createTransformFunc([-2.3, -.3, -3.99], [.1, .1, 1]), "CURRENTMAP")
             },
+            {
+                "name": "Editor Option",
+                "obj": this.createTextObj(this.createTransformFunc([-2.3, -.55, -3.99], [.1, .1, 1]), `Press ${keyLabel("editor")} to Edit a Track`)
+            },
+            {
+                "name": "Opponents Option",
+                "obj": this.createTextObj(this.createTransformFunc([-2.3, -.8, -3.99], [.1, .1, 1]), `Press ${keyLabel("nextOpponents")} to Switch Opponents`)
+            },
+            { // Index 11
+                "name": "Opponents String",
+                "obj": this.createTextObj(this.createTransformFunc([-2.3, -1, -3.99], [.1, .1, 1]), "CURRENTOPPONENTS")
+            },
+            {
+                "name": "Laps Option",
+                "obj": this.createTextObj(this.createTransformFunc([-2.3, -1.25, -3.99], [.1, .1, 1]), `Press ${keyLabel("nextLaps")} to Switch Laps`)
+            },
+            { // Index 13
+                "name": "Laps String",
+                "obj": this.createTextObj(this.createTransformFunc([-2.3, -1.45, -3.99], [.1, .1, 1]), "CURRENTLAPS")
+            },
+            {
+                "name": "Physics Option",
+                "obj": this.createTextObj(this.createTransformFunc([.5, .22, -3.99], [.08, .08, 1]), `Press ${keyLabel("nextPhysics")} to Switch Physics`)
+            },
+            { // Index 15
+                "name": "Physics String",
+                "obj": this.createTextObj(this.createTransformFunc([.5, .06, -3.99], [.08, .08, 1]), "CURRENTPHYSICS")
+            },
         ];
         this.buildShapes(shapes);
 
 
         // Select all labels that need to be updated by user choice (need to be set to the corresponding string)
-        this.currentKartString = shapes[3]["obj"];
-        this.currentMapString = shapes[5]["obj"];        
+        this.currentKartString = shapes[6]["obj"];
+        this.currentMapString = shapes[8]["obj"];        
+        this.currentOpponentsString = shapes[11]["obj"];
+        this.currentLapsString = shapes[13]["obj"];
+        this.currentPhysicsString = shapes[15]["obj"];
 
 
         // Build all listeners for the Menu
@@ -359,16 +520,27 @@ export class GUIController {
          * First add all listener functions then activate them in the document.
          */
 
-        function getASCII(char) {
-            return char.charCodeAt(0);
-        }
-
         // Push all listeners
         this.listeners.push(
+            { // Navigation Listener, in the order the options are laid out
+                "type": "keydown",
+                "listener": this.createMenuNavigation([
+                    {obj: shapes[1]["obj"], run: () => this.initGame()},
+                    {obj: shapes[5]["obj"], run: () => this.nextKart()},
+                    {obj: shapes[7]["obj"], run: () => this.nextMap()},
+                    {obj: shapes[9]["obj"], run: () => this.initEditor()},
+                    {obj: shapes[10]["obj"], run: () => this.nextOpponents()},
+                    {obj: shapes[12]["obj"], run: () => this.nextLaps()},
+                    {obj: shapes[2]["obj"], run: () => this.initGhosts()},
+                    {obj: shapes[3]["obj"], run: () => this.initReplays()},
+                    {obj: shapes[4]["obj"], run: () => this.initControls()},
+                    {obj: shapes[14]["obj"], run: () => this.nextPhysics()}
+                ])
+            },
             { // Play Listener
                 "type": "keydown",
                 "listener": (evt) => {
-                    if (evt.keyCode == getASCII("P")) {
+                    if (matches(evt, "play")) {
                         this.initGame();
                     }
                 }
@@ -376,7 +548,7 @@ export class GUIController {
             { // Kart Listener
                 "type": "keydown",
                 "listener": (evt) => {
-                    if (evt.keyCode == getASCII("K")) {
+                    if (matches(evt, "nextKart")) {
                         this.nextKart();
                     }
                 }
@@ -384,11 +556,67 @@ export class GUIController {
             { // Map Listener
                 "type": "keydown",
                 "listener": (evt) => {
-                    if (evt.keyCode == getASCII("M")) {
+                    if (matches(evt, "nextMap")) {
                         this.nextMap();
                     }
                 }
             },
+            { // Editor Listener
+                "type": "keydown",
+                "listener": (evt) => {
+                    if (matches(evt, "editor")) {
+                        this.initEditor();
+                    }
+                }
+            },
+            { // Opponents Listener
+                "type": "keydown",
+                "listener": (evt) => {
+                    if (matches(evt, "nextOpponents")) {
+                        this.nextOpponents();
+                    }
+                }
+            },
+            { // Laps Listener
+                "type": "keydown",
+                "listener": (evt) => {
+                    if (matches(evt, "nextLaps")) {
+                        this.nextLaps();
+                    }
+                }
+            },
+            { // Physics Listener
+                "type": "keydown",
+                "listener": (evt) => {
+                    if (matches(evt, "nextPhysics")) {
+                        this.nextPhysics();
+                    }
+                }
+            },
+            { // Ghosts Listener
+                "type": "keydown",
+                "listener": (evt) => {
+                    if (matches(evt, "ghosts")) {
+                        this.initGhosts();
+                    }
+                }
+            },
+            { // Replays Listener
+                "type": "keydown",
+                "listener": (evt) => {
+                    if (matches(evt, "replays")) {
+                        this.initReplays();
+                    }
+                }
+            },
+            { // Controls Listener
+                "type": "keydown",
+                "listener": (evt) => {
+                    if (matches(evt, "controls")) {
+                        this.initControls();
+                    }
+                }
+            },
         );
 
         this.activateListeners();
@@ -416,21 +644,66 @@ export class GUIController {
         this.options.world = this.selectedMap;
     }
 
+    /**
+     * Increment the opponent difficulty to the next option.
+     */
+    nextOpponents() {
+        let curr = this.selectedOpponents;
+        this.selectedOpponents = curr == "none" ? "easy" :
+                                 curr == "easy" ? "normal" :
+                                 curr == "normal" ? "hard" :
+                                         "none";
+    }
+
+    /**
+     * Increment the lap count to the next option.
+     */
+    nextLaps() {
+        this.selectedLaps = LAP_OPTIONS[(LAP_OPTIONS.indexOf(this.selectedLaps) + 1) % LAP_OPTIONS.length];
+    }
+
+    /**
+     * Switch the karts to the next physics mode, best times and ghosts are kept apart for each.
+     */
+    nextPhysics() {
+        this.selectedPhysics = PHYSICS_MODES[(PHYSICS_MODES.indexOf(this.selectedPhysics) + 1) % PHYSICS_MODES.length];
+    }
+
+    /**
+     * The name the player's best times and ghosts with the selected kart are saved under in
+     * memory, those set with another physics than the arcade's cannot be compared with them.
+     */
+    memoryKart() {
+        return this.selectedPhysics == "arcade" ? this.selectedKart : `${this.selectedKart} (${this.selectedPhysics})`;
+    }
+
+    /**
+     * The name of the given lap count option.
+     * @param {Number} laps 
+     */
+    lapsName(laps) {
+        return laps == 0 ? "Free Run" : laps + (laps == 1 ? " Lap" : " Laps");
+    }
+
     /**
      * If the user decides to play the game then we initialize the world according to
      * their set parameters in the parent and enable the kart game.
      * 
      * Make sure to display the game GUI for time and laps.
+     * 
+     * @param {String|JSON} track The track to play, the selected map by default (the editor
+     *                            passes the JSON of the track being built)
      */
-    async initGame() {
+    async initGame(track = this.selectedMap) {
+        // Save the replay of the session we are leaving (if we are racing again)
+        this.finishRecording();
+
         this.state = "playing";
+        this.currentTrack = track;
+        this.parent.cameraOverride = null;
 
         // Reset the state of the controller
         this.reset();
-        this.timer.pause();
-
-        // Set the Kart accordingly (based on user option)
-        this.resetKart(this.selectedMap);
 
         // Set the world to not ready so no GUI updates happen
         this.worldReady = false;
@@ -439,19 +712,67 @@ export class GUIController {
         this.parent.enableKart();
 
         // Asyncronously load the world (we assume the asynchronous part is handled on part of the world)
-        await this.parent.loadWorld(this.selectedMap);
+        try {
+            await this.parent.loadWorld(track);
+        } catch (error) {
+            // The track could not be fetched or is malformed, tell the user and go back
+            alert(error.message);
+            this.worldReady = true;
+            this.exitGame();
+            return;
+        }
         this.worldReady = true;
+        this.options.world = this.parent.world.id;
+
+        // Set the Kart accordingly (based on user option), the world tells us where it starts
+        this.parent.physics = this.selectedPhysics;
+        this.resetKart();
+
+        // Fill the rest of the start grid with opponents if the user asked for them
+        if (this.selectedOpponents != "none") {
+            this.parent.addOpponents(this.selectedOpponents);
+        }
+
+        // Everyone is on the grid, start the race
+        this.parent.startRace(this.selectedLaps);
+
+        // Record the session (a track still being edited has no replays)
+        if (!this.testDriving) {
+            this.parent.recorder = new ReplayRecorder(track, this.parent.world, this.parent.karts, this.selectedLaps);
+        }
 
         this.parent.disableKart();
 
         // Load the ghost memory
         this.loadMemory();
 
-        // Set the parameters accordingly
-        if (Object.keys(this.memory).includes(this.selectedKart) && Object.keys(this.memory[this.selectedKart]).includes(this.selectedMap)) {
-            let ghostVals = this.memory[this.selectedKart][this.selectedMap];
-            this.bestTime = ghostVals.bestTime;
-            this.pastGhost = ghostVals.ghost;
+        // Set the parameters accordingly (a track still being edited has no saved times)
+        let world = this.options.world;
+        let memoryKart = this.memoryKart();
+        if (!this.testDriving && Object.keys(this.memory).includes(memoryKart) && Object.keys(this.memory[memoryKart]).includes(world)) {
+            let ghostVals = this.memory[memoryKart][world];
+
+            try {
+                let {header, ghost} = decodeGhost(ghostVals.ghost);
+
+                // A time set on an older layout of the track does not count (migrated times have no hash)
+                if (header.trackHash == "" || header.trackHash == this.parent.world.hash) {
+                    this.bestTime = ghostVals.bestTime;
+                    this.pastGhost = ghost;
+                    this.bestSplits = ghostVals.splits || []; // Times saved before splits existed have none
+                }
+            } catch (error) {
+                // The saved ghost is unreadable (a GhostFormatError), so we simply start over without it
+            }
+        }
+
+        // Race against the imported ghost instead if it was set on this exact track with the same physics
+        let imported = this.importedGhost;
+        this.racingImported = !this.testDriving && imported != null && imported.header.trackHash == this.parent.world.hash &&
+                              imported.header.physics == this.selectedPhysics;
+        if (this.racingImported) {
+            this.pastGhost = imported.ghost;
+            this.bestSplits = imported.splits;
         }
 
 
@@ -468,17 +789,32 @@ export class GUIController {
 
         // Build the Checks string in the same fashion
         this.checkString = this.createTextObj(this.createTransformFunc([1.9, 1.3, -3.99], [.08, .08, 1]), "CHECKS")
+
+        // Build the Ghost string, naming whose ghost we are racing (only filled in for an imported ghost)
+        this.ghostString = this.createTextObj(this.createTransformFunc([-2.8, 1.3, -3.99], [.08, .08, 1]),
+            this.racingImported ? `Ghost: ${this.ghostOwner(imported.header)} ${imported.header.lapTime.toFixed(1)}` : "")
+
+        // Build the Position string in the same fashion (only filled in if there is someone to race)
+        this.positionString = this.createTextObj(this.createTransformFunc([1.9, 1.1, -3.99], [.08, .08, 1]), "")
+
+        // Build a banner that is shown when the player starts their final lap
+        this.bannerString = this.createTextObj(this.createTransformFunc([-1, .5, -3.99], [.15, .15, 1]), "")
+
+        // Build the item slot, with the shield's time left under it while it lasts
+        this.itemString = this.createTextObj(this.createTransformFunc([.6, -1.45, -3.99], [.08, .08, 1]), "ITEM")
+        this.shieldString = this.createTextObj(this.createTransformFunc([.6, -1.28, -3.99], [.08, .08, 1]), "")
+
+        // Build the split delta string, shown for a moment after each checkpoint
+        this.deltaString = this.createTextObj(this.createTransformFunc([-.45, 1.1, -3.99], [.1, .1, 1]), "")
         
         // Build a special counter string that has its own timer, the function will call the callback to start the game
         this.counterString = this.createCounter(3, () => {
             // Allow the user to start after the countdown if finished
             this.parent.enableKart();
 
-            // Start our internal timer at the start of the race
-            this.timer.resetTime();
         });
 
-        this.shapes.push(this.timeString, this.bestTimeString, this.lapsString, this.checkString, this.counterString);
+        this.shapes.push(this.timeString, this.bestTimeString, this.lapsString, this.checkString, this.positionString, this.bannerString, this.deltaString, this.ghostString, this.itemString, this.shieldString, this.counterString);
 
         // Activate all listeners (in this case this just activates the pause menu)
         this.activateListeners();
@@ -521,8 +857,26 @@ export class GUIController {
 
     pauseGame() {
         // First check if we are entering the pause menu or leaving it
-        // We cannot pause the game from the initial menu
-        if (this.state == "initial") {
+        // We cannot pause the game from the initial menu or the results
+        if (this.state == "initial" || this.state == "results") {
+            return;
+        }
+
+        // While rebinding a key in the controls menu, the key pressed is the new key (check initControls)
+        if (this.state == "controls" && this.rebinding) {
+            return;
+        }
+
+        // In the editor and the ghosts, replays and controls menus, Esc leaves back to the initial menu
+        if (this.state == "editor" || this.state == "ghosts" || this.state == "replays" || this.state == "controls") {
+            this.initMenu();
+            return;
+        }
+
+        // While watching a replay, Esc leaves back to the replays menu
+        if (this.state == "replay") {
+            this.parent.stopReplay();
+            this.initReplays();
             return;
         }
 
@@ -537,11 +891,11 @@ export class GUIController {
             },
             {
                 "name": "Exit Prompt",
-                "obj": this.createTextObj(this.createTransformFunc([-2, .5, -3.99], [.1, .1, 1]), "Press the E key to Exit.")
+                "obj": this.createTextObj(this.createTransformFunc([-2, .5, -3.99], [.1, .1, 1]), `Press the ${keyLabel("exit")} key to ${this.testDriving ? "Edit" : "Exit"}.`)
             }, 
             {
                 "name": "Escape/Unpause Prompt",
-                "obj": this.createTextObj(this.createTransformFunc([-2, -.5, -3.99], [.1, .1, 1]), "Press the Esc key to Unpause.")
+                "obj": this.createTextObj(this.createTransformFunc([-2, -.5, -3.99], [.1, .1, 1]), `Press the ${keyLabel("pause")} key to Unpause.`)
             }
         ];
 
@@ -554,28 +908,36 @@ export class GUIController {
             // Deallocate the listener
             document.removeEventListener("keydown", this.escapeListener);
             this.escapeListener = null;
+            this.menuOptions = [];
 
             // Reset all necessary params
             this.state = "playing";
             this.parent.enableKart();
-            this.timer.unpause();
             return;
         }
 
         // Otherwise, we are entering the paused menu, pause the game by disabling kart physics
         this.parent.disableKart();
-        this.timer.pause();
 
         // Just overlay the paused menu as shapes to display, DO NOT delete the past GUI elements for simplicity (or possibly just put in an implementation to save them)
         this.buildShapes(shapes);
 
-        this.escapeListener = (evt) => {
-            if (evt.keyCode == 69) { // E key
-                // The user chose to exit, reset the game
+        const exit = () => {
+            // The user chose to exit, reset the game
+            document.removeEventListener("keydown", this.escapeListener);
+            this.exitGame();
+        };
+        const navigate = this.createMenuNavigation([
+            {obj: shapes[2]["obj"], run: exit},
+            {obj: shapes[3]["obj"], run: () => this.pauseGame()}
+        ]);
 
-                document.removeEventListener("keydown", this.escapeListener);
-                this.initMenu();
+        this.escapeListener = (evt) => {
+            if (matches(evt, "exit")) {
+                exit();
+                return;
             }
+            navigate(evt);
         };
 
         // We have a custom listener that is self disabling to go back to the main menu
@@ -585,82 +947,865 @@ export class GUIController {
     }
 
     /**
-     * This function is called every frame by the overlying Simulation class.
-     * 
-     * this.shapes has JSON objects of properties shape, material, transform, and text if it
-     * is a text object.
-     * 
-     * @param {*} context 
-     * @param {*} program_state 
-     * @param {Mat4} cam_matrix
+     * Leave the game, going back to the editor if we were test driving its track and
+     * to the initial menu otherwise.
      */
-    handle(context, program_state, cam_matrix) {
-        // Make sure the world is loaded before doing any onscreen GUI stuff
-        if (!this.worldReady) {
-            return;
-        }
-
-        // Handle the values of each state accordingly
-        this.handleMenuState();
-        this.handlePlayState();
-        
-        /**
-         * "Handling" the GUI consists of drawing all the current items and listening
-         * for user input that is relevant.
-         * 
-         * We assume that all the shapes tied to the GUI must be drawn in reference to
-         * the camera, thus we specially program each shape to provide their model_transform
-         * dynamically on call.
-         */
-        for (let i = 0; i < this.shapes.length; i++) {
-            let shape = this.shapes[i];
+    exitGame() {
+        this.finishRecording();
 
-            if (shape.text != undefined) {
-                shape["shape"].set_string(shape.text, context.context);
-            }
-            shape["shape"].draw(context, program_state, shape["transform"](cam_matrix), shape["material"]);
+        if (this.testDriving) {
+            this.initEditor();
+        } else {
+            this.initMenu();
         }
     }
 
     /**
-     * Handle the Menu state's current parameters by updating them.
+     * Open the Ghosts menu, where the player can export their best ghost for the selected kart
+     * and map, and import someone else's ghost to race against.
      */
-    handleMenuState() {
-        if (this.state != "initial") {
-            return;
-        }
+    initGhosts() {
+        this.state = "ghosts";
 
-        this.currentKartString["text"] = "Current Kart: " + this.selectedKart;
-        this.currentMapString["text"] = "Current Map: " + this.selectedMap;
-    }
+        // Reset the GUI
+        this.reset();
+        this.loadMemory();
 
-    /**
-     * Handle the play state on every handle call IF we are in the play state.
-     */
-    handlePlayState() {
-        if (this.state != "playing") {
-            return;
-        }
+        let shapes = [
+            {
+                "name": "Background Cube",
+                "obj": this.createShapeObj(this.createTransformFunc([0, 0, -5], [1.8 * 2 / 1.5, 2 / 1.5, 1])) // 1.8 is the Aspect Ratio of the screen
+            },
+            {
+                "name": "Ghosts Title",
+                "obj": this.createTextObj(this.createTransformFunc([-.5, 1.2, -3.99], [.1, .1, 1]), "Ghosts")
+            },
+            { // Index 2
+                "name": "Best String",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, .8, -3.99], [.08, .08, 1]), "BEST")
+            },
+            { // Index 3
+                "name": "Imported String",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, .55, -3.99], [.08, .08, 1]), "IMPORTED")
+            },
+            { // Index 4
+                "name": "Imported Details String",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, .35, -3.99], [.08, .08, 1]), "IMPORTEDDETAILS")
+            },
+            {
+                "name": "Export Option",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, -.1, -3.99], [.08, .08, 1]), `Press ${keyLabel("exportGhost")} to Export Your Best Ghost`)
+            },
+            {
+                "name": "Import Option",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, -.3, -3.99], [.08, .08, 1]), `Press ${keyLabel("importGhost")} to Import a Ghost`)
+            },
+            {
+                "name": "Clear Option",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, -.5, -3.99], [.08, .08, 1]), `Press ${keyLabel("clearGhost")} to Clear the Imported Ghost`)
+            },
+            {
+                "name": "Back Prompt",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, -.9, -3.99], [.08, .08, 1]), `Press the ${keyLabel("pause")} key to go Back.`)
+            }
+        ];
+        this.buildShapes(shapes);
+
+        this.ghostsBestString = shapes[2]["obj"];
+        this.ghostsImportedString = shapes[3]["obj"];
+        this.ghostsDetailsString = shapes[4]["obj"];
+
+        this.listeners.push({
+            "type": "keydown",
+            "listener": this.createMenuNavigation([
+                {obj: shapes[5]["obj"], run: () => this.exportGhost()},
+                {obj: shapes[6]["obj"], run: () => this.importGhost()},
+                {obj: shapes[7]["obj"], run: () => { this.importedGhost = null; }}
+            ])
+        }, {
+            "type": "keydown",
+            "listener": (evt) => {
+                if (matches(evt, "exportGhost")) {
+                    this.exportGhost();
+                } else if (matches(evt, "importGhost")) {
+                    this.importGhost();
+                } else if (matches(evt, "clearGhost")) {
+                    this.importedGhost = null;
+                }
+            }
+        });
+
+        this.activateListeners();
+    }
+
+    /**
+     * The name of who drove the ghost with the given header (shortened to fit the HUD).
+     * @param {JSON} header (check ghost.js decodeGhost)
+     */
+    ghostOwner(header) {
+        return (header.owner || "Unknown").slice(0, 16);
+    }
+
+    /**
+     * Download the player's best ghost for the selected kart and map as a file, signed with
+     * their name.
+     */
+    async exportGhost() {
+        let kart = this.memoryKart();
+        let world = this.selectedMap;
+        let entry = this.memory[kart] && this.memory[kart][world];
+
+        if (!entry) {
+            alert(`You have no best time with ${kart} on ${world} yet.`);
+            return;
+        }
+
+        let owner = prompt("Sign your ghost with your name:", localStorage.getItem("playerName") || "");
+        if (owner == null) {
+            return;
+        }
+        localStorage.setItem("playerName", owner);
+
+        try {
+            let {header, ghost} = decodeGhost(entry.ghost);
+
+            // Ghosts from before track hashes existed were set on the track as it is bundled now
+            let trackHash = header.trackHash || hashTrack(await fetchTrack(world));
+
+            let physics = this.selectedPhysics == "arcade" ? "" : "-" + this.selectedPhysics;
+            downloadJSON(`${this.selectedKart}-${world}${physics}.ghost.json`, {
+                ghost: encodeGhost(ghost, {...header, trackHash, owner}),
+                splits: entry.splits || []
+            });
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Ask the user for a ghost file and race against it from now on.
+     * 
+     * The ghost has to be set on one of our tracks exactly as it is now (checked by the
+     * track's hash), that track becomes the selected map.
+     */
+    async importGhost() {
+        try {
+            let file = await openJSONFile();
+            let {header, ghost} = decodeGhost(file.ghost);
+
+            if (!BUNDLED_TRACKS.includes(header.track)) {
+                throw new Error(`This ghost was set on "${header.track}", which is not one of our tracks.`);
+            }
+            if (header.trackHash != hashTrack(await fetchTrack(header.track))) {
+                throw new Error(`This ghost was set on a different layout of "${header.track}".`);
+            }
+
+            let splits = Array.isArray(file.splits) && file.splits.every(split => typeof split == "number") ? file.splits : [];
+
+            if (!PHYSICS_MODES.includes(header.physics)) {
+                throw new Error(`This ghost was driven with "${header.physics}" physics, which we do not have.`);
+            }
+
+            this.importedGhost = {header, ghost, splits};
+            this.selectedMap = header.track;
+            this.options.world = header.track;
+            this.selectedPhysics = header.physics;
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Handle the ghosts state on every handle call IF we are in the ghosts state.
+     */
+    handleGhostsState() {
+        if (this.state != "ghosts") {
+            return;
+        }
+
+        let kart = this.memoryKart();
+        let entry = this.memory[kart] && this.memory[kart][this.selectedMap];
+        this.ghostsBestString["text"] = `Your Best (${kart}, ${this.selectedMap}): ` + (entry ? entry.bestTime.toFixed(1) : "N/A");
+
+        let imported = this.importedGhost;
+        if (imported) {
+            this.ghostsImportedString["text"] = "Imported: " + this.ghostOwner(imported.header);
+            this.ghostsDetailsString["text"] = `${imported.header.lapTime.toFixed(1)} with ${imported.header.kart} on ${imported.header.track} (${imported.header.physics})`;
+        } else {
+            this.ghostsImportedString["text"] = "Imported: None";
+            this.ghostsDetailsString["text"] = "";
+        }
+    }
+
+    /**
+     * Stop recording the session, saving its replay.
+     * 
+     * @returns {JSON} The replay (check replay.js), null if nothing was recorded
+     */
+    finishRecording() {
+        let recorder = this.parent.recorder;
+        this.parent.recorder = null;
+
+        if (!recorder || recorder.steps == 0) {
+            return null;
+        }
+
+        let replay = recorder.finish(this.parent.karts);
+        try {
+            saveReplay(replay);
+        } catch (error) {
+            alert(error.message);
+        }
+        return replay;
+    }
+
+    /**
+     * Open the Replays menu, listing the saved replays (newest first) to choose one to watch.
+     */
+    initReplays() {
+        this.state = "replays";
+
+        // Reset the GUI
+        this.reset();
+        this.parent.disableKart();
+
+        let replays = loadReplays();
+
+        let shapes = [
+            {
+                "name": "Background Cube",
+                "obj": this.createShapeObj(this.createTransformFunc([0, 0, -5], [1.8 * 2 / 1.5, 2 / 1.5, 1])) // 1.8 is the Aspect Ratio of the screen
+            },
+            {
+                "name": "Replays Title",
+                "obj": this.createTextObj(this.createTransformFunc([-.55, 1.2, -3.99], [.1, .1, 1]), "Replays")
+            },
+            {
+                "name": "Watch Prompt",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, -.7, -3.99], [.08, .08, 1]),
+                    replays.length > 0 ? `Press 1-${replays.length} to Watch a Replay.` : "No replays yet, go for a drive first!")
+            },
+            {
+                "name": "Back Prompt",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, -.9, -3.99], [.08, .08, 1]), `Press the ${keyLabel("pause")} key to go Back.`)
+            }
+        ];
+        this.buildShapes(shapes);
+
+        // One line per replay
+        let lines = replays.map((replay, i) => {
+            let text = `${i + 1}. ${replay.trackName.slice(0, 10)} ${this.lapsName(replay.laps)} ${replay.karts.length} Karts ${replay.duration.toFixed(1)}s`;
+            return this.createTextObj(this.createTransformFunc([-2.2, .8 - .2 * i, -3.99], [.08, .08, 1]), text);
+        });
+        this.shapes.push(...lines);
+
+        this.listeners.push({
+            "type": "keydown",
+            "listener": this.createMenuNavigation(lines.map((line, i) => ({obj: line, run: () => this.watchReplay(replays[i])})))
+        }, {
+            "type": "keydown",
+            "listener": (evt) => {
+                let replay = replays[evt.keyCode - 49]; // The 1 key onwards
+                if (replay) {
+                    this.watchReplay(replay);
+                }
+            }
+        });
+
+        this.activateListeners();
+    }
+
+    /**
+     * Watch the given replay on the track it was recorded on.
+     * 
+     * Its keys are the replay actions (check input.js ACTIONS): play / pause (Enter too), scrub, change the
+     * speed and follow the next kart. The camera key still changes the camera and the pause key goes back
+     * to the replays menu.
+     * @param {JSON} replay (check replay.js)
+     */
+    async watchReplay(replay) {
+        this.state = "replay";
+        this.testDriving = false;
+        this.parent.cameraOverride = null;
+
+        // Reset the GUI, the kart is enabled once the replay is ready
+        this.reset();
+        this.parent.disableKart();
+
+        // Set the world to not ready so no GUI updates happen
+        this.worldReady = false;
+
+        let player;
+        try {
+            player = new ReplayPlayer(replay);
+            await this.parent.loadWorld(replay.track);
+
+            if (this.parent.world.hash != replay.trackHash) {
+                throw new Error(`This replay was recorded on a different layout of "${replay.trackName}".`);
+            }
+        } catch (error) {
+            // The replay or its track cannot be read, tell the user and go back
+            alert(error.message);
+            this.worldReady = true;
+            this.initReplays();
+            return;
+        }
+        this.worldReady = true;
+
+        this.parent.startReplay(player);
+        this.replaySpeed = REPLAY_SPEEDS.indexOf(1);
+        this.replayKart = 0;
+        this.parent.time_scale = 1;
+        this.parent.enableKart();
+
+        this.replayTimeString = this.createTextObj(this.createTransformFunc([-2.8, 1.5, -3.99], [.1, .1, 1]), "TIME");
+        this.replaySpeedString = this.createTextObj(this.createTransformFunc([1.6, 1.5, -3.99], [.1, .1, 1]), "SPEED");
+        this.replayKartString = this.createTextObj(this.createTransformFunc([-2.8, 1.3, -3.99], [.08, .08, 1]), "KART");
+        this.replayInputString = this.createTextObj(this.createTransformFunc([-2.8, 1.1, -3.99], [.08, .08, 1]), "INPUT");
+
+        this.shapes.push(
+            this.replayTimeString, this.replaySpeedString, this.replayKartString, this.replayInputString,
+            this.createTextObj(this.createTransformFunc([-2.8, -1.3, -3.99], [.08, .08, 1]),
+                `${keyLabel("replayPlay")} Play/Pause  ${keyLabel("replayBack")}/${keyLabel("replayForward")} Scrub`),
+            this.createTextObj(this.createTransformFunc([-2.8, -1.5, -3.99], [.08, .08, 1]),
+                `${keyLabel("replaySlower")}/${keyLabel("replayFaster")} Speed  ${keyLabel("replayNextKart")} Kart  ${keyLabel("cameraNext")} Camera  ${keyLabel("pause")} Back`)
+        );
+
+        this.listeners.push({
+            "type": "keydown",
+            "listener": (evt) => {
+                if (matches(evt, "replayPlay") || evt.keyCode == MENU_KEYS.select) { // Enter (a gamepad's A) too
+                    this.toggleReplay();
+                } else if (matches(evt, "replayBack")) {
+                    player.seek(player.time - REPLAY_SCRUB);
+                } else if (matches(evt, "replayForward")) {
+                    player.seek(player.time + REPLAY_SCRUB);
+                } else if (matches(evt, "replaySlower")) {
+                    this.replaySpeed = Math.max(0, this.replaySpeed - 1);
+                    this.parent.time_scale = REPLAY_SPEEDS[this.replaySpeed];
+                } else if (matches(evt, "replayFaster")) {
+                    this.replaySpeed = Math.min(REPLAY_SPEEDS.length - 1, this.replaySpeed + 1);
+                    this.parent.time_scale = REPLAY_SPEEDS[this.replaySpeed];
+                } else if (matches(evt, "replayNextKart")) {
+                    this.replayKart = (this.replayKart + 1) % player.karts.length;
+                    this.parent.followReplayKart(this.replayKart);
+                }
+            }
+        });
+
+        this.activateListeners();
+    }
+
+    /**
+     * Play or pause the replay being watched, playing from the end starts over.
+     */
+    toggleReplay() {
+        const player = this.parent.replay;
+        if (!player) {
+            return;
+        }
+
+        if (!player.playing && player.time >= player.duration) {
+            player.seek(0);
+        }
+        player.playing = !player.playing;
+    }
+
+    /**
+     * Handle the replay state on every handle call IF we are watching a replay.
+     */
+    handleReplayState() {
+        if (this.state != "replay" || !this.parent.replay) {
+            return;
+        }
+
+        const player = this.parent.replay;
+        const kart = player.karts[this.replayKart];
+        const input = player.inputAt(this.replayKart, player.time);
+
+        this.replayTimeString["text"] = `Replay: ${player.time.toFixed(1)}/${player.duration.toFixed(1)}`;
+        this.replaySpeedString["text"] = player.playing ? "x" + REPLAY_SPEEDS[this.replaySpeed] : "Paused";
+        this.replayKartString["text"] = `Watching: ${kart.name} (${kart.kartType})`;
+
+        let pressed = [["Gas", input.accelerate], ["Brake", input.brake], ["Left", input.left], ["Right", input.right], ["Drift", input.drift], ["Item", input.useItem], ["Reset", input.reset]]
+            .filter(([name, down]) => down).map(([name]) => name);
+        this.replayInputString["text"] = "Input: " + (pressed.join(" ") || "None");
+    }
+
+    /**
+     * Open the Controls menu, listing every action (check input.js) with its key and the
+     * gamepad's settings, a page at a time.
+     * 
+     * Up and Down choose a line, Enter rebinds its action to the next key pressed (Esc cancels)
+     * or changes the setting, Backspace puts every key back to its default and 1-3 bind driving
+     * to one of the DRIVING_PRESETS. Binding a key another action already uses at the same time
+     * swaps their keys.
+     */
+    initControls() {
+        this.state = "controls";
+
+        // Reset the GUI
+        this.reset();
+
+        // Every line (an action or a gamepad setting), the chosen one and the action waiting for its new key (null if none)
+        this.controlsLines = [...Object.keys(ACTIONS), ...Object.keys(GAMEPAD_SETTINGS)];
+        this.controlsChoice = 0;
+        this.rebinding = null;
+        this.controlsMessage = "";
+
+        const lines = this.controlsLines;
+        const presets = Object.keys(DRIVING_PRESETS);
+
+        let shapes = [
+            {
+                "name": "Background Cube",
+                "obj": this.createShapeObj(this.createTransformFunc([0, 0, -5], [1.8 * 2 / 1.5, 2 / 1.5, 1])) // 1.8 is the Aspect Ratio of the screen
+            },
+            {
+                "name": "Controls Title",
+                "obj": this.createTextObj(this.createTransformFunc([-.6, 1.2, -3.99], [.1, .1, 1]), "Controls")
+            },
+            { // Index 2
+                "name": "Gamepad String",
+                "obj": this.createTextObj(this.createTransformFunc([-2.8, -.78, -3.99], [.07, .07, 1]), "GAMEPAD")
+            },
+            { // Index 3
+                "name": "Message String",
+                "obj": this.createTextObj(this.createTransformFunc([-2.8, -.95, -3.99], [.07, .07, 1]), "MESSAGE")
+            },
+            { // Index 4
+                "name": "Choose Prompt",
+                "obj": this.createTextObj(this.createTransformFunc([-2.8, -1.15, -3.99], [.07, .07, 1]), "CHOOSE")
+            },
+            {
+                "name": "Presets Prompt",
+                "obj": this.createTextObj(this.createTransformFunc([-2.8, -1.3, -3.99], [.07, .07, 1]),
+                    presets.map((preset, i) => `${i + 1} ${preset}`).join("  ") + "  Bksp Reset")
+            },
+            { // Index 6
+                "name": "Back Prompt",
+                "obj": this.createTextObj(this.createTransformFunc([-2.8, -1.45, -3.99], [.07, .07, 1]), "BACK")
+            }
+        ];
+        this.buildShapes(shapes);
+
+        this.controlsGamepadString = shapes[2]["obj"];
+        this.controlsMessageString = shapes[3]["obj"];
+        this.controlsChooseString = shapes[4]["obj"];
+        this.controlsBackString = shapes[6]["obj"];
+
+        // A page of actions and settings in two columns, filled in by handleControlsState
+        this.controlsStrings = Array.from({length: 2 * CONTROLS_ROWS}, (line, i) =>
+            this.createTextObj(this.createTransformFunc([i < CONTROLS_ROWS ? -2.8 : 0, 1.03 - .14 * (i % CONTROLS_ROWS), -3.99], [.07, .07, 1]), ""));
+        this.shapes.push(...this.controlsStrings);
+
+        this.listeners.push({
+            "type": "keydown",
+            "listener": (evt) => {
+                if (this.rebinding) {
+                    this.rebindAction(this.rebinding, evt.keyCode);
+                    this.rebinding = null;
+                    return;
+                }
+
+                let line = lines[this.controlsChoice];
+                let preset = presets[evt.keyCode - 49]; // The 1 key onwards
+
+                switch (evt.keyCode) {
+                    case CONTROLS_KEYS.up:
+                        this.controlsChoice = (this.controlsChoice + lines.length - 1) % lines.length;
+                        break;
+                    case CONTROLS_KEYS.down:
+                        this.controlsChoice = (this.controlsChoice + 1) % lines.length;
+                        break;
+                    case CONTROLS_KEYS.rebind:
+                        if (GAMEPAD_SETTINGS[line]) {
+                            // Settings move on to their next choice
+                            let choices = GAMEPAD_SETTINGS[line].choices;
+                            let current = choices.indexOf(getGamepadSettings()[line]);
+                            setGamepadSettings({[line]: choices[(current + 1) % choices.length]});
+                            break;
+                        }
+                        this.rebinding = line;
+                        this.controlsMessage = `New key for ${ACTIONS[line].name}? (Esc cancels)`;
+                        break;
+                    case CONTROLS_KEYS.reset:
+                        resetBindings();
+                        this.controlsMessage = "Every key is back to its default.";
+                        break;
+                    default:
+                        if (preset) {
+                            try {
+                                applyPreset(preset);
+                                this.controlsMessage = `Driving with ${preset}.`;
+                            } catch (error) {
+                                alert(error.message);
+                            }
+                        }
+                }
+            }
+        });
+
+        this.activateListeners();
+    }
+
+    /**
+     * Bind the given action to the given key from the Controls menu, telling the player what
+     * happened (check input.js bind).
+     * @param {String} action 
+     * @param {Number} key keyCode
+     */
+    rebindAction(action, key) {
+        if (key == CONTROLS_KEYS.cancel) {
+            this.controlsMessage = "";
+            return;
+        }
+
+        // Global actions work in this menu too, they cannot take the keys it is navigated with
+        if (ACTIONS[action].group == "global" && Object.values(CONTROLS_KEYS).includes(key)) {
+            alert(`${keyName(key)} is needed by the Controls menu, choose another key.`);
+            this.controlsMessage = "";
+            return;
+        }
+
+        try {
+            let swapped = bind(action, key);
+            this.controlsMessage = swapped ? `Swapped: ${ACTIONS[swapped].name} now on ${keyLabel(swapped)}` : "";
+        } catch (error) {
+            alert(error.message);
+            this.controlsMessage = "";
+        }
+    }
+
+    /**
+     * Handle the controls state on every handle call IF we are in the controls state.
+     */
+    handleControlsState() {
+        if (this.state != "controls") {
+            return;
+        }
+
+        const settings = getGamepadSettings();
+
+        // Show the page of the chosen line
+        const lines = this.controlsLines;
+        const pageSize = this.controlsStrings.length;
+        const page = Math.floor(this.controlsChoice / pageSize);
+        const pages = Math.ceil(lines.length / pageSize);
+
+        this.controlsStrings.forEach((string, j) => {
+            let i = page * pageSize + j;
+            let line = lines[i];
+            let marker = i == this.controlsChoice ? ">" : " ";
+
+            if (!line) {
+                string["text"] = "";
+                return;
+            }
+            if (GAMEPAD_SETTINGS[line]) {
+                string["text"] = marker + GAMEPAD_SETTINGS[line].name.padEnd(14) + GAMEPAD_SETTINGS[line].format(settings[line]);
+                return;
+            }
+            let key = line == this.rebinding ? "..." : keyLabel(line);
+            string["text"] = marker + ACTIONS[line].name.padEnd(14) + key;
+        });
+
+        this.controlsChooseString["text"] = `Up/Down Choose  Enter Change  Page ${page + 1}/${pages}`;
+
+        let gamepad = currentGamepad();
+        this.controlsGamepadString["text"] = "Gamepad: " + (gamepad ? gamepad.id.slice(0, 30) : "None");
+        this.controlsMessageString["text"] = this.controlsMessage;
+        this.controlsBackString["text"] = `Press the ${keyLabel("pause")} key to go Back.`;
+    }
+
+    /**
+     * Open the Track Editor, continuing the work in progress saved in localStorage if
+     * there is any (otherwise we start from a copy of the selected map).
+     * 
+     * The world is rebuilt from the editor's track after every change, and the camera
+     * looks down on the editor's cursor.
+     */
+    async initEditor() {
+        this.state = "editor";
+        this.testDriving = false;
+
+        // Reset the GUI and make sure the kart cannot be driven
+        this.reset();
+        this.parent.disableKart();
+
+        if (!this.editor) {
+            this.worldReady = false;
+            this.editor = TrackEditor.loadDraft();
+
+            if (!this.editor) {
+                try {
+                    let track = await fetchTrack(this.selectedMap);
+                    track.id = "custom";
+                    track.name = "Custom Track";
+                    this.editor = new TrackEditor(track);
+                } catch (error) {
+                    alert(error.message);
+                    this.worldReady = true;
+                    this.initMenu();
+                    return;
+                }
+            }
+            this.worldReady = true;
+        }
+
+        this.startEditing(this.editor);
+
+        // Materials for everything the editor draws in the world (and nothing else does)
+        this.editorMaterials = this.editorMaterials || {
+            preview: globalMaterials.default.override({color: color(1, 1, 1, .4), ambient: 1}),
+            grabbed: globalMaterials.default.override({color: color(1, .8, 0, .6), ambient: 1}),
+            heading: globalMaterials.default.override({color: hex_color("#FFAE42"), ambient: 1}),
+            checkpoint: globalMaterials.default.override({color: color(0, .6, 1, .3), ambient: 1}),
+            finish: globalMaterials.default.override({color: color(1, 1, 1, .5), ambient: 1})
+        };
+
+        // Build the GUI for the editor
+        this.editorTitleString = this.createTextObj(this.createTransformFunc([-2.8, 1.5, -3.99], [.1, .1, 1]), "Track Editor")
+        this.editorPieceString = this.createTextObj(this.createTransformFunc([-2.8, 1.3, -3.99], [.08, .08, 1]), "PIECE")
+        this.editorCursorString = this.createTextObj(this.createTransformFunc([-2.8, 1.15, -3.99], [.08, .08, 1]), "CURSOR")
+
+        // The keys of the given actions, as the player bound them
+        const keys = (...actions) => actions.map(keyLabel).join("/");
+        let help = [
+            `${keys("cursorUp", "cursorLeft", "cursorDown", "cursorRight")} Move  ${keys("nextPiece")} Piece  ${keys("placePiece")} Place`,
+            `${keys("rotatePiece")} Rotate  ${keys("grabPiece")} Grab  ${keys("removePiece")} Delete`,
+            `${keys("dropCheckpoint")} Checkpoint  ${keys("setStart")} Start  ${keys("testDrive")} Test Drive`,
+            `${keys("exportTrack")} Export  ${keys("importTrack")} Import  ${keys("zoomOut", "zoomIn")} Zoom  ${keys("pause")} Menu`
+        ].map((line, i) => this.createTextObj(this.createTransformFunc([-2.8, -1.1 - .15 * i, -3.99], [.07, .07, 1]), line));
+
+        this.shapes.push(this.editorTitleString, this.editorPieceString, this.editorCursorString, ...help);
+
+        // Every editor action is a single key (check input.js ACTIONS)
+        let actions = {
+            cursorUp: () => this.editor.moveCursor(0, 1),
+            cursorDown: () => this.editor.moveCursor(0, -1),
+            cursorLeft: () => this.editor.moveCursor(1, 0),
+            cursorRight: () => this.editor.moveCursor(-1, 0),
+            nextPiece: () => this.editor.nextPiece(),
+            placePiece: () => this.editor.place(),
+            rotatePiece: () => this.editor.rotate(),
+            grabPiece: () => this.editor.toggleGrab(),
+            removePiece: () => this.editor.remove(),
+            dropCheckpoint: () => this.editor.dropCheckpoint(),
+            setStart: () => this.editor.setStart(),
+            zoomIn: () => this.editor.zoomBy(.8),
+            zoomOut: () => this.editor.zoomBy(1.25),
+            testDrive: () => {
+                this.testDriving = true;
+                this.initGame(this.editor.getTrack());
+            },
+            exportTrack: () => downloadJSON(`${this.editor.track.id}.json`, this.editor.getTrack()),
+            importTrack: () => this.importTrack()
+        };
+
+        this.listeners.push({
+            "type": "keydown",
+            "listener": (evt) => {
+                let action = Object.keys(actions).find(action => matches(evt, action));
+                if (action) {
+                    evt.preventDefault();
+                    actions[action]();
+                }
+            }
+        });
+
+        this.activateListeners();
+    }
+
+    /**
+     * Make the given editor the current one and show its track.
+     * @param {TrackEditor} editor 
+     */
+    startEditing(editor) {
+        this.editor = editor;
+        this.editor.onChange = () => this.refreshEditorWorld();
+        this.refreshEditorWorld();
+    }
+
+    /**
+     * Rebuild the world from the editor's track and put the kart at its start.
+     */
+    refreshEditorWorld() {
+        try {
+            this.parent.setWorld(new World(this.editor.getTrack(), true));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        this.resetKart();
+    }
+
+    /**
+     * Ask the user for a track file and edit it instead of the current track
+     * (which is replaced as the work in progress).
+     */
+    async importTrack() {
+        try {
+            let track = validateTrack(await openJSONFile(), true);
+            this.startEditing(new TrackEditor(track));
+            this.editor.saveDraft();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * This function is called every frame by the overlying Simulation class.
+     * 
+     * this.shapes has JSON objects of properties shape, material, transform, and text if it
+     * is a text object.
+     * 
+     * @param {*} context 
+     * @param {*} program_state 
+     * @param {Mat4} cam_matrix
+     */
+    handle(context, program_state, cam_matrix) {
+        // Make sure the world is loaded before doing any onscreen GUI stuff
+        if (!this.worldReady) {
+            return;
+        }
+
+        // Handle the values of each state accordingly
+        this.handleMenuState();
+        this.handlePlayState();
+        this.handleResultsState();
+        this.handleGhostsState();
+        this.handleReplayState();
+        this.handleControlsState();
+        this.handleEditorState(context, program_state);
+        this.handleMenuNavigation();
+        
+        /**
+         * "Handling" the GUI consists of drawing all the current items and listening
+         * for user input that is relevant.
+         * 
+         * We assume that all the shapes tied to the GUI must be drawn in reference to
+         * the camera, thus we specially program each shape to provide their model_transform
+         * dynamically on call.
+         */
+        const shapes = [...this.shapes, this.noticeString];
+        for (let i = 0; i < shapes.length; i++) {
+            let shape = shapes[i];
+
+            if (shape.text != undefined) {
+                shape["shape"].set_string(shape.text, context.context);
+            }
+            shape["shape"].draw(context, program_state, shape["transform"](cam_matrix), shape["material"]);
+        }
+    }
+
+    /**
+     * Handle the Menu state's current parameters by updating them.
+     */
+    handleMenuState() {
+        if (this.state != "initial") {
+            return;
+        }
+
+        this.currentKartString["text"] = "Current Kart: " + this.selectedKart;
+        this.currentMapString["text"] = "Current Map: " + this.selectedMap;
+        this.currentOpponentsString["text"] = "Opponents: " + this.selectedOpponents;
+        this.currentLapsString["text"] = "Laps: " + this.lapsName(this.selectedLaps);
+        this.currentPhysicsString["text"] = "Physics: " + this.selectedPhysics;
+    }
+
+    /**
+     * Handle the editor state on every handle call IF we are in the editor state.
+     * 
+     * Moves the camera above the cursor, and draws the cursor, the piece to be placed and
+     * every checkpoint (which are invisible while playing) into the world.
+     * @param {*} context 
+     * @param {*} program_state 
+     */
+    handleEditorState(context, program_state) {
+        if (this.state != "editor" || !this.editor) {
+            return;
+        }
+
+        const editor = this.editor;
+        const {x, z} = editor.cursor;
+
+        this.editorPieceString["text"] = "Piece: " + editor.piece + (editor.grabbed ? " (Grabbing)" : "");
+        this.editorCursorString["text"] = `Cursor: ${x}, ${z}  Checkpoints: ${editor.track.checkpoints.length}`;
+
+        this.parent.cameraOverride = Mat4.look_at(
+            vec3(x, 60 * editor.zoom, z - 40 * editor.zoom),
+            vec3(x, 0, z),
+            vec3(0, 1, 0)
+        );
+
+        // The piece that would be placed (or the outline of the grabbed wall)
+        let dims = WALL_CATALOG[editor.piece].dims;
+        let material = this.editorMaterials.preview;
+        if (editor.grabbed) {
+            let wall = editor.grabbed.list[editor.grabbed.index];
+            dims = editor.getDims(wall);
+            material = this.editorMaterials.grabbed;
+        }
+        let preview = Mat4.translation(x + dims[0] / 2, dims[1] / 2, z + dims[2] / 2).times(
+            Mat4.scale(dims[0] / 2 + .1, dims[1] / 2 + .1, dims[2] / 2 + .1));
+        globalShapes.cube.draw(context, program_state, preview, material);
+
+        // The cursor's heading (used for checkpoints and the start)
+        let heading = Mat4.translation(x, 3, z).times(Mat4.rotation(editor.angle, 0, 1, 0)).times(
+            Mat4.translation(0, 0, 2)).times(Mat4.scale(.3, .3, 2));
+        globalShapes.cube.draw(context, program_state, heading, this.editorMaterials.heading);
+
+        // Every checkpoint, the last one (the finish line) is drawn differently
+        let checkpoints = editor.track.checkpoints;
+        for (let i = 0; i < checkpoints.length; i++) {
+            let {location, leeway} = checkpoints[i];
+            let transform = Mat4.translation(location[0], 2, location[2]).times(Mat4.scale(leeway[0], 2, leeway[2]));
+            let checkMaterial = i == checkpoints.length - 1 ? this.editorMaterials.finish : this.editorMaterials.checkpoint;
+
+            globalShapes.cube.draw(context, program_state, transform, checkMaterial);
+        }
+    }
+
+    /**
+     * Handle the play state on every handle call IF we are in the play state.
+     */
+    handlePlayState() {
+        if (this.state != "playing") {
+            return;
+        }
 
         // Update all of our parameters on the GUI accordingly
-        let time = this.timer.getTime().toFixed(1);
+        let time = this.parent.kart.lapTime.toFixed(1);
         this.timeString["text"] = "Time: " + time;
         this.bestTimeString["text"] = "Best Time: " + (this.bestTime == Infinity ? "N/A" : this.bestTime.toFixed(1));
-        this.lapsString["text"] = "Lap: " + this.laps;
         this.checkString["text"] = "Check: " + this.checks;
 
-        // Save the position to currentGhost if last ghost time is greater than current time
-        if (time - this.lastGhostTime > 0) { // We have to write the condition this way because writing it normally doesn't work for some reason
-            // Update the time accordingly
-            this.currentGhost[time] = this.parent.kart.getLoc();
-
-            this.lastGhostTime = time;
+        // In a race we show the lap we are on out of the total, otherwise the laps completed
+        const race = this.parent.race;
+        if (race.hasFinish) {
+            this.lapsString["text"] = "Lap: " + Math.min(this.laps + 1, race.laps) + "/" + race.laps;
+        } else {
+            this.lapsString["text"] = "Lap: " + this.laps;
         }
 
-        // If we can, ask the parent to display a ghost model at the given coords
-        if (Object.keys(this.pastGhost).includes(time)) {
-            this.parent.displayGhostAt(this.pastGhost[time]);
+        if (race.karts.length > 1) {
+            this.positionString["text"] = "Pos: " + ordinal(race.positionOf(this.parent.kart)) + "/" + race.karts.length;
         }
+
+        const kart = this.parent.kart;
+        this.itemString["text"] = kart.item ? `Item: ${ITEMS[kart.item].name} (${keyLabel("useItem")})` : "Item: -";
+        this.shieldString["text"] = kart.shield > 0 ? "Shield: " + kart.shield.toFixed(1) : "";
+
+        /**
+         * Ask the parent to display the ghost where it was at this point of its lap (hidden once
+         * its lap is over). The player's kart is drawn in between its last two simulation steps
+         * (check Simulation.simulate), a step behind its lapTime (its newest sample), so we play
+         * the ghost at that same point in between.
+         */
+        let ghostTime = this.parent.kart.lapTime - this.parent.dt + this.parent.time_accumulator;
+        let ghostKart = this.racingImported ? this.importedGhost.header.kart : this.parent.kart.kartType;
+        this.parent.displayGhostAt(sampleGhost(this.pastGhost, ghostTime), ghostKart);
     }
 
     /**
@@ -671,16 +1816,26 @@ export class GUIController {
      * @param {*} laps 
      */
     updateStatus(checkIndex, laps) {
+        // Once the player has finished the race, nothing they do counts
+        if (this.state != "playing") {
+            return;
+        }
+
         if (laps > this.laps) { // The Kart JUST completed a new lap, check if they beat the record
-            if (this.timer.getTime() < this.bestTime) { // New PR in the gym
-                this.bestTime = this.timer.getTime();
+            let lastLap = this.parent.kart.lastLap;
+            if (lastLap.time < this.bestTime) { // New PR in the gym
+                this.bestTime = lastLap.time;
                 
                 // We ALWAYS assume that beating the best time means you beat your past ghost
                 // This idea only works if we save bestTime over sessions in cookies or cache
-                this.pastGhost = this.currentGhost;
+                // (unless we are racing an imported ghost, which we keep racing)
+                if (!this.racingImported) {
+                    this.pastGhost = lastLap.ghost;
+                    this.bestSplits = lastLap.splits;
+                }
 
                 // Save the Best Time and Past Ghost to Cache / Memory and retrieve it on initGame
-                let kart = this.options.kart;
+                let kart = this.memoryKart();
                 let world = this.options.world;
                 if (!Object.keys(this.memory).includes(kart)) {
                     this.memory[kart] = {};
@@ -688,20 +1843,221 @@ export class GUIController {
                 if (!Object.keys(this.memory[kart]).includes(world)) {
                     this.memory[kart][world] = {}
                 }
-                this.memory[kart][world]["ghost"] = this.pastGhost;
+                this.memory[kart][world]["ghost"] = encodeGhost(lastLap.ghost, {
+                    kart: this.options.kart,
+                    track: world,
+                    trackHash: this.parent.world.hash,
+                    owner: localStorage.getItem("playerName") || "",
+                    physics: this.selectedPhysics,
+                    lapTime: this.bestTime,
+                    date: Date.now()
+                });
                 this.memory[kart][world]["bestTime"] = this.bestTime;
+                this.memory[kart][world]["splits"] = lastLap.splits;
 
-                this.saveMemory();
+                // A track that is still being edited never has its times saved
+                if (!this.testDriving) {
+                    this.saveMemory();
+                }
             }
-            this.timer.resetTime();
-
-            // Reset the Ghost Timer
-            this.currentGhost = {};
-            this.lastGhostTime = -1;
 
+            // Let the player know when they start their last lap
+            if (this.parent.race.onFinalLap(this.parent.kart)) {
+                this.showBanner("FINAL LAP");
+            }
         }
         this.laps = laps;
         this.checks = checkIndex + 1;        
+
+        // The player just crossed the finish line of the race
+        if (this.parent.race.hasFinished(this.parent.kart)) {
+            this.initResults();
+        }
+    }
+
+    /**
+     * Show how the player's split at the given checkpoint compares to their best lap,
+     * i.e. "-1.10" in green if they are faster and "+0.42" in red if they are slower.
+     * 
+     * @param {Number} index The index of the checkpoint crossed
+     * @param {Number} time The time into the lap it was crossed at
+     */
+    showSplit(index, time) {
+        if (this.state != "playing" || this.bestSplits[index] == undefined) {
+            return;
+        }
+
+        /**
+         * The text texture is white letters with black outlines and its shader adds the
+         * material's color to the texture, so subtracting channels tints only the letters.
+         */
+        this.splitMaterials = this.splitMaterials || {
+            faster: globalMaterials.text_mat.override({color: color(-1, 0, -1, 1)}),
+            slower: globalMaterials.text_mat.override({color: color(0, -1, -1, 1)})
+        };
+
+        let delta = time - this.bestSplits[index];
+        let text = (delta > 0 ? "+" : "-") + Math.abs(delta).toFixed(2);
+
+        let deltaString = this.deltaString;
+        deltaString["text"] = text;
+        deltaString["material"] = delta > 0 ? this.splitMaterials.slower : this.splitMaterials.faster;
+
+        setTimeout(() => {
+            // Only clear the delta if a later checkpoint has not replaced it
+            if (deltaString["text"] == text) {
+                deltaString["text"] = "";
+            }
+        }, 3000);
+    }
+
+    /**
+     * Show the given text in the middle of the screen for a few seconds.
+     * @param {String} text 
+     */
+    showBanner(text) {
+        let banner = this.bannerString;
+        banner["text"] = text;
+
+        setTimeout(() => {
+            // Only clear the banner if it is still showing our text
+            if (banner["text"] == text) {
+                banner["text"] = "";
+            }
+        }, 3000);
+    }
+
+    /**
+     * Show the results of the race once the player has finished it.
+     * 
+     * The race carries on behind the results (the player's kart is handed to an AI driver)
+     * so the times of the opponents still racing fill in as they finish.
+     */
+    initResults() {
+        this.state = "results";
+
+        // Reset the GUI, the kart stays enabled so the other karts keep racing
+        this.reset();
+
+        let kart = this.parent.kart;
+        kart.driver = new AIDriver(kart, this.parent.world, "normal");
+
+        let shapes = [
+            {
+                "name": "Background Cube",
+                "obj": this.createShapeObj(this.createTransformFunc([0, 0, -5], [1.8 * 2 / 1.5, 2 / 1.5, 1])) // 1.8 is the Aspect Ratio of the screen
+            },
+            {
+                "name": "Results Title",
+                "obj": this.createTextObj(this.createTransformFunc([-.9, 1.2, -3.99], [.1, .1, 1]), "Race Results")
+            },
+            {
+                "name": "Results Header",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, .9, -3.99], [.08, .08, 1]), this.formatResultLine("Pos", "Racer", "Total", "Best"))
+            },
+            {
+                "name": "Retry Prompt",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, -1, -3.99], [.08, .08, 1]), `Press the ${keyLabel("retry")} key to Race Again.`)
+            },
+            {
+                "name": "Exit Prompt",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, -1.2, -3.99], [.08, .08, 1]), `Press the ${keyLabel("exit")} key to ${this.testDriving ? "Edit" : "Exit"}.`)
+            },
+            {
+                "name": "Replay Prompt",
+                "obj": this.createTextObj(this.createTransformFunc([-2.2, -1.4, -3.99], [.08, .08, 1]), this.testDriving ? "" : `Press the ${keyLabel("watchReplay")} key to Watch the Replay.`)
+            }
+        ];
+        this.buildShapes(shapes);
+
+        // One line per racer, filled in by handleResultsState
+        this.resultStrings = this.parent.race.karts.map((racer, i) =>
+            this.createTextObj(this.createTransformFunc([-2.2, .65 - .2 * i, -3.99], [.08, .08, 1]), ""));
+        this.shapes.push(...this.resultStrings);
+
+        let options = [
+            {obj: shapes[3]["obj"], run: () => this.initGame(this.currentTrack)},
+            {obj: shapes[4]["obj"], run: () => this.exitGame()}
+        ];
+        if (!this.testDriving) {
+            options.push({obj: shapes[5]["obj"], run: () => this.watchLastRace()});
+        }
+
+        this.listeners.push(
+            { // Navigation Listener
+                "type": "keydown",
+                "listener": this.createMenuNavigation(options)
+            },
+            { // Retry Listener
+                "type": "keydown",
+                "listener": (evt) => {
+                    if (matches(evt, "retry")) {
+                        this.initGame(this.currentTrack);
+                    }
+                }
+            },
+            { // Exit Listener
+                "type": "keydown",
+                "listener": (evt) => {
+                    if (matches(evt, "exit")) {
+                        this.exitGame();
+                    }
+                }
+            },
+            { // Replay Listener
+                "type": "keydown",
+                "listener": (evt) => {
+                    if (matches(evt, "watchReplay") && !this.testDriving) {
+                        this.watchLastRace();
+                    }
+                }
+            },
+        );
+
+        this.activateListeners();
+    }
+
+    /**
+     * Save the replay of the race just finished and watch it.
+     */
+    watchLastRace() {
+        let replay = this.finishRecording();
+        if (replay) {
+            this.watchReplay(replay);
+        }
+    }
+
+    /**
+     * Line up the given columns of a line of the results.
+     * @param {String} position 
+     * @param {String} racer 
+     * @param {String} total 
+     * @param {String} best 
+     * @returns {String}
+     */
+    formatResultLine(position, racer, total, best) {
+        return position.padEnd(5) + racer.padEnd(15) + total.padStart(8) + best.padStart(8);
+    }
+
+    /**
+     * Handle the results state on every handle call IF we are in the results state.
+     */
+    handleResultsState() {
+        if (this.state != "results") {
+            return;
+        }
+
+        let results = this.parent.race.results();
+        for (let i = 0; i < results.length; i++) {
+            let {kart, position, totalTime, bestLap} = results[i];
+
+            this.resultStrings[i]["text"] = this.formatResultLine(
+                ordinal(position),
+                kart == this.parent.kart ? "You" : kart.kartType,
+                totalTime == null ? "--" : totalTime.toFixed(1),
+                bestLap == null ? "--" : bestLap.toFixed(1)
+            );
+        }
     }
 
 
@@ -714,8 +2070,46 @@ export class GUIController {
 
     /**
      * Load Memory from Cache
+     * 
+     * Memory looks like this: {
+     *      kart: {world: {bestTime, ghost, splits}} // ghost is encoded (check ghost.js encodeGhost)
+     * }
+     * where kart is the kart type, followed by the physics in brackets unless it is the arcade's (check memoryKart)
      */
     loadMemory() {
         this.memory = JSON.parse(localStorage.getItem("memory")) || {};
+        this.migrateMemory();
+    }
+
+    /**
+     * Encode any ghost saved before ghosts were encoded (as {time: [x, y, z, angle]} objects),
+     * saving the memory again if there were any.
+     * 
+     * We cannot know which layout of the track those were set on, so their track hash is left empty.
+     */
+    migrateMemory() {
+        let migrated = false;
+
+        for (let kart of Object.keys(this.memory)) {
+            for (let world of Object.keys(this.memory[kart])) {
+                let entry = this.memory[kart][world];
+                if (typeof entry.ghost == "string") {
+                    continue;
+                }
+
+                entry.ghost = encodeGhost(toGhostSamples(entry.ghost), {
+                    kart: kart,
+                    track: world,
+                    trackHash: "",
+                    lapTime: entry.bestTime,
+                    date: 0
+                });
+                migrated = true;
+            }
+        }
+
+        if (migrated) {
+            this.saveMemory();
+        }
     }
 }
\ No newline at end of file
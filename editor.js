@@ -0,0 +1,349 @@
+/**
+ * The Track Editor, holding a track that is being built in game and every operation the
+ * editor state of the GUIController can perform on it (placing, moving, rotating and deleting
+ * walls, dropping checkpoints and setting where the karts start).
+ *
+ * The editor works on the plain track JSON (check track.js), which is saved to localStorage
+ * after every change and can be exported to / imported from a file.
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+import {WALL_CATALOG, validateTrack} from './track.js';
+
+// The size of a single cursor step, every catalog piece is a multiple of this
+const GRID = 2;
+
+// Rotating a catalog piece moves it to the next orientation in this order
+const ORIENTATIONS = ["EW", "NS", "WE", "SN"];
+
+/**
+ * Download the given JSON as a file.
+ *
+ * @param {String} fileName
+ * @param {JSON} data
+ */
+export function downloadJSON(fileName, data) {
+    let blob = new Blob([JSON.stringify(data, null, 4)], {type: "application/json"});
+    let link = document.createElement("a");
+
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Ask the user to pick a JSON file from disk and parse it.
+ *
+ * @returns {Promise<JSON>} Resolves with the parsed file, rejects if it is not valid JSON
+ */
+export function openJSONFile() {
+    return new Promise((resolve, reject) => {
+        let input = document.createElement("input");
+        input.type = "file";
+        input.accept = ".json,application/json";
+
+        input.onchange = async () => {
+            if (input.files.length == 0) {
+                return;
+            }
+
+            try {
+                resolve(JSON.parse(await input.files[0].text()));
+            } catch (error) {
+                reject(new Error(`"${input.files[0].name}" is not a valid JSON file`));
+            }
+        };
+
+        input.click();
+    });
+}
+
+export class TrackEditor {
+    /**
+     * Start editing a copy of the given track.
+     *
+     * Rows of walls ("repeat") are split into single walls so each one can be edited.
+     * @param {JSON} track
+     */
+    constructor(track) {
+        this.track = JSON.parse(JSON.stringify(track));
+        this.track.walls = this.expandWalls(this.track.walls);
+        this.track.obstacles = this.expandWalls(this.track.obstacles);
+
+        /**
+         * The cursor everything is placed at, heading is in quarter turns
+         * (0 faces +z like the kart does at angle 0).
+         */
+        let start = this.track.start.grid[0];
+        this.cursor = {x: start[0], z: start[2], heading: 0};
+
+        // The catalog piece that will be placed next
+        this.pieces = Object.keys(WALL_CATALOG);
+        this.pieceIndex = 0;
+
+        // The wall currently being carried by the cursor ({list, index}), if any
+        this.grabbed = null;
+
+        // How far away the editor camera is from the cursor
+        this.zoom = 1;
+
+        // Called with no parameters after every change of the track
+        this.onChange = () => {};
+    }
+
+    /**
+     * The key the work in progress is saved under in localStorage.
+     */
+    static get STORAGE_KEY() {
+        return "editorTrack";
+    }
+
+    /**
+     * Load the work in progress from localStorage.
+     *
+     * @returns {TrackEditor} null if nothing (or nothing valid) was saved
+     */
+    static loadDraft() {
+        try {
+            let track = JSON.parse(localStorage.getItem(TrackEditor.STORAGE_KEY));
+            return track ? new TrackEditor(validateTrack(track, true)) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save the work in progress to localStorage.
+     */
+    saveDraft() {
+        localStorage.setItem(TrackEditor.STORAGE_KEY, JSON.stringify(this.track));
+    }
+
+    /**
+     * Save the track and let the listener know that it changed.
+     */
+    changed() {
+        this.saveDraft();
+        this.onChange();
+    }
+
+    /**
+     * Return a copy of the track being edited.
+     * @returns {JSON}
+     */
+    getTrack() {
+        return JSON.parse(JSON.stringify(this.track));
+    }
+
+    /**
+     * Split every wall with a "repeat" into single walls.
+     * @param {JSON[]} walls
+     */
+    expandWalls(walls) {
+        let expanded = [];
+
+        for (let wall of walls) {
+            let count = wall.repeat ? wall.repeat.count : 1;
+            let step = wall.repeat ? wall.repeat.step : [0, 0, 0];
+
+            for (let i = 0; i < count; i++) {
+                let single = {...wall, location: wall.location.map((value, axis) => value + i * step[axis])};
+                delete single.repeat;
+                expanded.push(single);
+            }
+        }
+
+        return expanded;
+    }
+
+    /**
+     * The x, y, z size of the given wall.
+     * @param {JSON} wall
+     */
+    getDims(wall) {
+        return wall.type != undefined ? WALL_CATALOG[wall.type].dims : wall.dims;
+    }
+
+    /**
+     * The catalog piece that will be placed next.
+     */
+    get piece() {
+        return this.pieces[this.pieceIndex];
+    }
+
+    /**
+     * The kart facing for the cursor's heading.
+     */
+    get angle() {
+        return this.cursor.heading * Math.PI / 2;
+    }
+
+    /**
+     * Find the wall or obstacle covering the cursor.
+     *
+     * @returns {JSON} {list, index} or null if there is none
+     */
+    wallAtCursor() {
+        for (let list of [this.track.obstacles, this.track.walls]) {
+            for (let index = list.length - 1; index >= 0; index--) {
+                let [x, , z] = list[index].location;
+                let [dx, , dz] = this.getDims(list[index]);
+
+                if (this.cursor.x >= x && this.cursor.x < x + dx && this.cursor.z >= z && this.cursor.z < z + dz) {
+                    return {list, index};
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the checkpoint covering the cursor.
+     *
+     * @returns {Number} The index of the checkpoint, -1 if there is none
+     */
+    checkpointAtCursor() {
+        for (let i = this.track.checkpoints.length - 1; i >= 0; i--) {
+            let {location, leeway} = this.track.checkpoints[i];
+
+            if (Math.abs(this.cursor.x - location[0]) <= leeway[0] && Math.abs(this.cursor.z - location[2]) <= leeway[2]) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Move the cursor by the given number of grid steps, carrying the grabbed wall with it.
+     * @param {Number} dx
+     * @param {Number} dz
+     */
+    moveCursor(dx, dz) {
+        this.cursor.x += dx * GRID;
+        this.cursor.z += dz * GRID;
+
+        if (this.grabbed) {
+            let location = this.grabbed.list[this.grabbed.index].location;
+            location[0] += dx * GRID;
+            location[2] += dz * GRID;
+            this.changed();
+        }
+    }
+
+    /**
+     * Select the next piece of the catalog to place.
+     */
+    nextPiece() {
+        this.pieceIndex = (this.pieceIndex + 1) % this.pieces.length;
+    }
+
+    /**
+     * Place the selected piece with its top left corner at the cursor.
+     */
+    place() {
+        this.track.walls.push({type: this.piece, location: [this.cursor.x, 0, this.cursor.z]});
+        this.changed();
+    }
+
+    /**
+     * Pick up the wall under the cursor so that it moves with the cursor, or put down
+     * the wall that is currently grabbed.
+     */
+    toggleGrab() {
+        this.grabbed = this.grabbed ? null : this.wallAtCursor();
+    }
+
+    /**
+     * Rotate the wall under the cursor by a quarter turn, if there is no wall then rotate
+     * the cursor's heading instead (used for checkpoints and the start).
+     *
+     * Catalog pieces move to their next orientation (i.e. multEW32 -> multNS32), sized
+     * walls have their x and z dimensions swapped.
+     */
+    rotate() {
+        let found = this.grabbed || this.wallAtCursor();
+
+        if (!found) {
+            this.cursor.heading = (this.cursor.heading + 1) % 4;
+            return;
+        }
+
+        let wall = found.list[found.index];
+        if (wall.type != undefined) {
+            let match = wall.type.match(/^(.*)(EW|NS|WE|SN)(\d+)$/);
+            if (match) {
+                let next = ORIENTATIONS[(ORIENTATIONS.indexOf(match[2]) + 1) % ORIENTATIONS.length];
+                wall.type = match[1] + next + match[3];
+            }
+        } else {
+            wall.dims = [wall.dims[2], wall.dims[1], wall.dims[0]];
+        }
+        this.changed();
+    }
+
+    /**
+     * Delete the wall under the cursor, or the checkpoint under it if there is no wall.
+     */
+    remove() {
+        let found = this.wallAtCursor();
+        this.grabbed = null;
+
+        if (found) {
+            found.list.splice(found.index, 1);
+            this.changed();
+            return;
+        }
+
+        let checkpoint = this.checkpointAtCursor();
+        if (checkpoint != -1) {
+            this.track.checkpoints.splice(checkpoint, 1);
+            this.changed();
+        }
+    }
+
+    /**
+     * Add a checkpoint at the cursor, spanning across the cursor's heading.
+     *
+     * Checkpoints are crossed in the order they are dropped, the last one is the finish line.
+     */
+    dropCheckpoint() {
+        let alongZ = this.cursor.heading % 2 == 0;
+
+        this.track.checkpoints.push({
+            location: [this.cursor.x, 1, this.cursor.z],
+            scale: alongZ ? [30, 100, 1] : [1, 100, 30],
+            leeway: alongZ ? [15, 50, 5] : [5, 50, 15]
+        });
+        this.changed();
+    }
+
+    /**
+     * Move the start of the race to the cursor, facing the cursor's heading.
+     *
+     * The rest of the grid keeps its offsets from the first slot (rotated to match).
+     */
+    setStart() {
+        let [x0, , z0] = this.track.start.grid[0];
+        let turn = this.angle - this.track.start.angle;
+        let [cos, sin] = [Math.cos(turn), Math.sin(turn)];
+
+        this.track.start.grid = this.track.start.grid.map(([x, y, z]) => {
+            let [dx, dz] = [x - x0, z - z0];
+            return [this.cursor.x + dx * cos + dz * sin, y, this.cursor.z - dx * sin + dz * cos];
+        });
+        this.track.start.angle = this.angle;
+        this.changed();
+    }
+
+    /**
+     * Change the distance of the editor camera.
+     * @param {Number} factor
+     */
+    zoomBy(factor) {
+        this.zoom = Math.min(4, Math.max(.25, this.zoom * factor));
+    }
+}
@@ -0,0 +1,306 @@
+/**
+ * Ghosts, a recording of a kart's lap that the player can race against.
+ *
+ * A ghost is an array of samples [time, x, y, z, angle] sorted by time (the seconds into the
+ * lap), recorded once every simulation step (check Kart.recordGhost). Any time in between two
+ * samples is interpolated so that the ghost moves smoothly at any frame rate.
+ *
+ * Ghosts are saved as a compact base64 string (check encodeGhost), which is binary like this:
+ *      "BKG" <version byte>
+ *      header: kart, track, trackHash, owner, physics (strings), lapTime, date (float64s)
+ *              (version 1 had no owner, versions before 3 had no physics and were all arcade)
+ *      sample count, then for every sample the change in time, x, y, z and angle from the last
+ *      sample (quantized to SAMPLE_STEPS)
+ *
+ * Strings are a varint byte length followed by UTF-8, all other whole numbers are varints
+ * (signed ones zigzag encoded first), so the small changes between samples take a byte or two.
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+/**
+ * The version of the saved format written by encodeGhost, bump it whenever the format changes
+ * (and keep decodeGhost reading the older ones).
+ */
+export const GHOST_VERSION = 3;
+
+// The first bytes of every saved ghost
+const MAGIC = "BKG";
+
+// How finely each value of a sample is saved (seconds, world units and radians)
+const TIME_STEP = 1 / 1000;
+const POSITION_STEP = 1 / 100;
+const ANGLE_STEP = 1 / 10000;
+
+// The step of each value of a sample [time, x, y, z, angle]
+const SAMPLE_STEPS = [TIME_STEP, POSITION_STEP, POSITION_STEP, POSITION_STEP, ANGLE_STEP];
+
+/**
+ * Thrown when a saved ghost cannot be read.
+ */
+export class GhostFormatError extends Error {
+    constructor(problem) {
+        super(`Invalid ghost: ${problem}`);
+        this.name = "GhostFormatError";
+    }
+}
+
+/**
+ * Builds up the bytes of a saved ghost.
+ */
+class ByteWriter {
+    constructor() {
+        this.bytes = [];
+    }
+
+    varint(value) {
+        do {
+            let byte = value % 128;
+            value = Math.floor(value / 128);
+            this.bytes.push(value > 0 ? byte + 128 : byte);
+        } while (value > 0);
+    }
+
+    signed(value) {
+        this.varint(value >= 0 ? 2 * value : -2 * value - 1);
+    }
+
+    float64(value) {
+        let view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value);
+        for (let i = 0; i < 8; i++) {
+            this.bytes.push(view.getUint8(i));
+        }
+    }
+
+    string(value) {
+        let encoded = new TextEncoder().encode(value);
+        this.varint(encoded.length);
+        this.bytes.push(...encoded);
+    }
+
+    toBase64() {
+        let binary = "";
+        for (let byte of this.bytes) {
+            binary += String.fromCharCode(byte);
+        }
+        return btoa(binary);
+    }
+}
+
+/**
+ * Reads back the bytes written by a ByteWriter, throwing a GhostFormatError if they run out.
+ */
+class ByteReader {
+    constructor(base64) {
+        let binary;
+        try {
+            binary = atob(base64);
+        } catch (error) {
+            throw new GhostFormatError("it is not base64");
+        }
+
+        this.bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        this.index = 0;
+    }
+
+    byte() {
+        if (this.index >= this.bytes.length) {
+            throw new GhostFormatError("it ends too early");
+        }
+        return this.bytes[this.index++];
+    }
+
+    varint() {
+        let value = 0, scale = 1, byte;
+        do {
+            byte = this.byte();
+            value += (byte % 128) * scale;
+            scale *= 128;
+        } while (byte >= 128);
+        return value;
+    }
+
+    signed() {
+        let value = this.varint();
+        return value % 2 == 0 ? value / 2 : -(value + 1) / 2;
+    }
+
+    float64() {
+        let view = new DataView(new ArrayBuffer(8));
+        for (let i = 0; i < 8; i++) {
+            view.setUint8(i, this.byte());
+        }
+        return view.getFloat64(0);
+    }
+
+    string() {
+        let length = this.varint();
+        let bytes = [];
+        for (let i = 0; i < length; i++) {
+            bytes.push(this.byte());
+        }
+        return new TextDecoder().decode(new Uint8Array(bytes));
+    }
+}
+
+/**
+ * Interpolate between two angles the short way around, i.e. from 350 to 10 degrees passes
+ * through 0 rather than 180.
+ * @param {Number} from
+ * @param {Number} to
+ * @param {Number} alpha 0 gives from, 1 gives to
+ */
+function mixAngle(from, to, alpha) {
+    let difference = (to - from) % (2 * Math.PI);
+    if (difference > Math.PI) {
+        difference -= 2 * Math.PI;
+    } else if (difference < -Math.PI) {
+        difference += 2 * Math.PI;
+    }
+    return from + difference * alpha;
+}
+
+/**
+ * Find where the ghost was at the given time into its lap.
+ *
+ * @param {Array[]} ghost
+ * @param {Number} time
+ * @returns {Number[]} [x, y, z, angle], or null if the ghost has no sample that late (its lap is over)
+ */
+export function sampleGhost(ghost, time) {
+    if (ghost.length == 0 || time > ghost[ghost.length - 1][0]) {
+        return null;
+    }
+    if (time <= ghost[0][0]) {
+        return ghost[0].slice(1);
+    }
+
+    // Binary search for the last sample at or before the time
+    let low = 0, high = ghost.length - 1;
+    while (high - low > 1) {
+        let middle = Math.floor((low + high) / 2);
+        if (ghost[middle][0] <= time) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    let [t0, x0, y0, z0, angle0] = ghost[low];
+    let [t1, x1, y1, z1, angle1] = ghost[high];
+    let alpha = t1 > t0 ? (time - t0) / (t1 - t0) : 0;
+
+    return [
+        x0 + (x1 - x0) * alpha,
+        y0 + (y1 - y0) * alpha,
+        z0 + (z1 - z0) * alpha,
+        mixAngle(angle0, angle1, alpha)
+    ];
+}
+
+/**
+ * Turn a ghost saved before samples existed ({"<time>": [x, y, z, angle]}, keyed by the time
+ * to a tenth of a second) into samples, any ghost that already is samples is returned as is.
+ *
+ * @param {Object|Array[]} ghost
+ * @returns {Array[]}
+ */
+export function toGhostSamples(ghost) {
+    if (Array.isArray(ghost)) {
+        return ghost;
+    }
+
+    return Object.entries(ghost || {})
+        .filter(([time, location]) => location != null)
+        .map(([time, location]) => [parseFloat(time), ...location])
+        .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Encode a ghost to save it.
+ *
+ * @param {Array[]} ghost The samples
+ * @param {JSON} header {kart, track, trackHash, owner, physics, lapTime, date}, the kart type and track id the
+ *                      ghost was recorded with, the track's hash (check track.js hashTrack, "" if unknown),
+ *                      the name of who drove it ("" if unknown), the physics it was driven with (check
+ *                      kart.js PHYSICS_MODES, "arcade" if not given), its lap time and when it was recorded
+ *                      (milliseconds since 1970)
+ * @returns {String}
+ */
+export function encodeGhost(ghost, header) {
+    let writer = new ByteWriter();
+
+    for (let char of MAGIC) {
+        writer.bytes.push(char.charCodeAt(0));
+    }
+    writer.bytes.push(GHOST_VERSION);
+
+    writer.string(header.kart);
+    writer.string(header.track);
+    writer.string(header.trackHash);
+    writer.string(header.owner || "");
+    writer.string(header.physics || "arcade");
+    writer.float64(header.lapTime);
+    writer.float64(header.date);
+
+    writer.varint(ghost.length);
+
+    // Quantize every value first and save the changes between them, so rounding never adds up
+    let last = [0, 0, 0, 0, 0];
+    for (let sample of ghost) {
+        let quantized = sample.map((value, i) => Math.round(value / SAMPLE_STEPS[i]));
+        quantized.forEach((value, i) => writer.signed(value - last[i]));
+        last = quantized;
+    }
+
+    return writer.toBase64();
+}
+
+/**
+ * Decode a ghost saved by encodeGhost.
+ *
+ * Throws a GhostFormatError if the ghost is not one or was saved by a newer version.
+ * @param {String} encoded
+ * @returns {JSON} {header: {version, kart, track, trackHash, owner, physics, lapTime, date}, ghost}
+ */
+export function decodeGhost(encoded) {
+    if (typeof encoded != "string") {
+        throw new GhostFormatError("it is not a string");
+    }
+
+    let reader = new ByteReader(encoded);
+
+    for (let char of MAGIC) {
+        if (reader.byte() != char.charCodeAt(0)) {
+            throw new GhostFormatError("it is not a BruinKart ghost");
+        }
+    }
+
+    let version = reader.byte();
+    if (version < 1 || version > GHOST_VERSION) {
+        throw new GhostFormatError(`version ${version} is not supported`);
+    }
+
+    let header = {
+        version: version,
+        kart: reader.string(),
+        track: reader.string(),
+        trackHash: reader.string(),
+        owner: version >= 2 ? reader.string() : "",
+        physics: version >= 3 ? reader.string() : "arcade",
+        lapTime: reader.float64(),
+        date: reader.float64()
+    };
+
+    let count = reader.varint();
+    let ghost = [];
+    let last = [0, 0, 0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        last = last.map(value => value + reader.signed());
+        ghost.push(last.map((value, j) => value * SAMPLE_STEPS[j]));
+    }
+
+    return {header, ghost};
+}
@@ -0,0 +1,191 @@
+/**
+ * Headless mode, running the game's simulation without WebGL or a DOM (i.e. in Node) for
+ * automated tests and tools.
+ *
+ * A HeadlessGame builds a World and its karts the same way BruinKart does and steps them exactly
+ * the same way (check BruinKart.update_state), with the input of each step given by a script (or
+ * the karts' drivers) rather than the keyboard. Everything that happens is recorded in game.events:
+ *      {type: "wall", kart, wall, time}            kart (an index into game.karts) hit a wall (an index into game.staticBodies)
+ *      {type: "kart", kart, other, time}           kart bumped into the other kart
+ *      {type: "respawn", kart, reason, time}       kart was put back on the track, reason is fall / stuck / reset (check Kart.respawnReason)
+ *      {type: "checkpoint", kart, checkpoint, split, time}
+ *      {type: "lap", kart, lap, lapTime, time}
+ *      {type: "finish", kart, finishTime, time}    kart finished the race
+ *      {type: "pickup", kart, item, time}          kart got an item from an item box (check items.js)
+ *      {type: "use", kart, item, time}
+ *      {type: "hit", kart, item, by, blocked, time} kart was hit by the item of by (blocked if its shield took it)
+ *
+ * Example (check tests/ for more):
+ *      let game = new HeadlessGame(trackJson, {karts: ["BruinKart", "Toad"], laps: 1});
+ *      game.run(200, (step, index, kart) => ({accelerate: true, left: step < 20}));
+ *      game.karts[0].getLoc(), game.karts[0].laps, game.eventsOf("wall")
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+import {defs, tiny} from './examples/common.js';
+import {Kart} from './kart.js';
+import {World} from './world.js';
+import {Race} from './race.js';
+import {Items} from './items.js';
+
+const {Material} = tiny;
+
+/**
+ * The length of one simulation step (the same as Simulation.dt).
+ */
+export const HEADLESS_DT = 1 / 20;
+
+/**
+ * Fill in the global shapes and materials (made by main.js in the browser) with plain ones if
+ * they do not exist, nothing is drawn headless but Kart and World hand them to their bodies.
+ */
+function installGlobals() {
+    if (globalThis.globalShapes) {
+        return;
+    }
+
+    const cube = new defs.Cube();
+    const material = new Material(new defs.Phong_Shader());
+
+    globalThis.globalShapes = {cube: cube, sphere: cube, kart1: cube, kart2: cube, kart3: cube};
+    globalThis.globalMaterials = {
+        default: material,
+        textured: material,
+        kart1_texture: material,
+        kart2_texture: material,
+        kart3_texture: material
+    };
+}
+
+export class HeadlessGame {
+    /**
+     * Build the given track and put karts on its start grid.
+     *
+     * @param {JSON} track The track JSON (check track.js)
+     * @param {JSON} options {karts, laps, physics}, the kart types to put on the grid in order (the
+     *                       first is the player's), the laps of the race (0 for a Free Run) and the
+     *                       physics every kart drives with (check kart.js PHYSICS_MODES)
+     */
+    constructor(track, {karts = ["BruinKart"], laps = 0, physics = "arcade"} = {}) {
+        installGlobals();
+
+        // Read by every Kart as it is made (check the Kart constructor), the step like Simulation.dt
+        this.physics = physics;
+        this.dt = HEADLESS_DT;
+
+        this.world = new World(track);
+
+        // The same bodies BruinKart keeps (check its constructor)
+        this.staticBodies = [];
+        this.world.initializeBodies(this.staticBodies);
+
+        this.checkpoints = [];
+        this.world.initializeCheckpoints(this.checkpoints);
+
+        const start = this.world.start;
+        this.karts = karts.map((kartType, i) => new Kart(this, kartType, {position: start.grid[i], angle: start.angle}));
+        this.race = new Race(this.karts, this.checkpoints, laps);
+        this.items = new Items(this);
+
+        this.steps = 0;
+        this.time = 0;
+        this.events = [];
+    }
+
+    /**
+     * Step the simulation once.
+     *
+     * @param {JSON[]} inputs The input for each kart (check Kart.readInput, missing keys are not
+     *                        pressed), a kart without one is driven by its driver (or not at all,
+     *                        there is no keyboard headless)
+     */
+    step(inputs = []) {
+        const dt = this.dt;
+
+        for (let kart of this.karts) {
+            kart.settle();
+        }
+        this.karts.forEach((kart, i) => kart.step(inputs[i] || kart.readInput(dt), dt));
+
+        this.steps++;
+        this.time = this.steps * dt;
+
+        this.karts.forEach((kart, i) => {
+            for (let wall of kart.collisions.walls) {
+                this.events.push({type: "wall", kart: i, wall: wall, time: this.time});
+            }
+            for (let other of kart.collisions.karts) {
+                this.events.push({type: "kart", kart: i, other: this.karts.indexOf(other), time: this.time});
+            }
+            if (kart.respawned) {
+                this.events.push({type: "respawn", kart: i, reason: kart.respawned, time: this.time});
+            }
+
+            let crossed = kart.crossCheckpoint(this.checkpoints);
+            if (!crossed) {
+                return;
+            }
+            this.events.push({type: "checkpoint", kart: i, checkpoint: crossed.index, split: crossed.time, time: this.time});
+
+            if (crossed.lapCompleted) {
+                this.events.push({type: "lap", kart: i, lap: kart.laps, lapTime: kart.lastLap.time, time: this.time});
+
+                let finished = this.race.hasFinished(kart);
+                this.race.checkFinish(kart);
+                if (!finished && this.race.hasFinished(kart)) {
+                    this.events.push({type: "finish", kart: i, finishTime: kart.finishTime, time: this.time});
+                }
+            }
+        });
+
+        // Then the items, the same as BruinKart.update_state
+        const index = (kart) => this.karts.indexOf(kart);
+        for (let event of this.items.step(dt)) {
+            let recorded = {...event, kart: index(event.kart), time: this.time};
+            if (event.type == "hit") {
+                recorded.by = index(event.by);
+            }
+            this.events.push(recorded);
+        }
+    }
+
+    /**
+     * Step the simulation the given number of times.
+     *
+     * @param {Number} steps
+     * @param {Function} script (step, index, kart) => input, called for every kart on every step
+     *                          (step counts from 0 since the game was built), return null to let
+     *                          the kart's driver drive. Without a script the drivers drive.
+     */
+    run(steps, script = null) {
+        for (let i = 0; i < steps; i++) {
+            this.step(this.karts.map((kart, index) => script ? script(this.steps, index, kart) : null));
+        }
+    }
+
+    /**
+     * The recorded events of the given type, only those of the given kart if one is given.
+     *
+     * @param {String} type wall / kart / checkpoint / lap / finish
+     * @param {Number} kart The index of the kart
+     * @returns {JSON[]}
+     */
+    eventsOf(type, kart = null) {
+        return this.events.filter(event => event.type == type && (kart == null || event.kart == kart));
+    }
+
+    /**
+     * Move the given kart to the given point on the ground (keeping its heading), stopped.
+     *
+     * @param {Number} index The index of the kart
+     * @param {Number} x
+     * @param {Number} z
+     */
+    teleport(index, x, z) {
+        let kart = this.karts[index];
+        kart.setState({...kart.getState(), position: [x, kart.position[1], z], velocity: 0, lateralVelocity: 0, deltaAngle: 0, verticalVelocity: 0, airborne: false});
+        kart.body.beginStep();
+    }
+}
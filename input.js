@@ -0,0 +1,542 @@
+/**
+ * The Input layer, every key the game listens to is bound to an action ("accelerate", "pause",
+ * "play", ...) and the rest of the game only ever asks about actions, so the player can choose
+ * their own keys (check the Controls menu in controller.js).
+ *
+ * Keys are keyCodes (the deprecated KeyboardEvent.keyCode, like everywhere else in the game).
+ * The player's bindings are saved in localStorage as {action: keyCode}, any action missing
+ * from them uses its default key.
+ *
+ * A gamepad (any with the "standard" mapping of the Gamepad API) drives with analog steering and
+ * throttle (check readGamepad) and presses keys with its buttons (check GAMEPAD_BUTTONS), so the
+ * menus are navigated with its D-pad exactly like with the arrow keys. It is polled once a frame
+ * (check pollGamepad) and can be plugged in or out at any time. The touch controls (check touch.js)
+ * drive the same way.
+ *
+ * Example:
+ *      isPressed("accelerate")                 Is the accelerate key held down right now
+ *      matches(evt, "pause")                   Is this keydown event the pause key
+ *      `Press ${keyName(keyFor("play"))} to Play`
+ *      readAnalog()                            {steer, throttle, braking, drift, useItem, reset} of the gamepad and touch controls, null without them
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+// The keys the bindings and the gamepad settings are saved under in localStorage
+const STORAGE_KEY = "controls";
+const GAMEPAD_STORAGE_KEY = "gamepad";
+
+/**
+ * Every action, in the order they are listed in the Controls menu.
+ *
+ * name: How the action is shown to the player
+ * group: When the action is used, actions of the same group are used at the same time so they
+ *        can never share a key. Global actions work everywhere so they cannot share a key with
+ *        any other action.
+ * key: The default key
+ */
+export const ACTIONS = {
+    accelerate: {name: "Accelerate", group: "driving", key: 73}, // I
+    brake: {name: "Brake/Reverse", group: "driving", key: 75}, // K
+    steerLeft: {name: "Steer Left", group: "driving", key: 74}, // J
+    steerRight: {name: "Steer Right", group: "driving", key: 76}, // L
+    drift: {name: "Hop/Drift", group: "driving", key: 32}, // Space
+    useItem: {name: "Use Item", group: "driving", key: 85}, // U
+    reset: {name: "Reset Kart", group: "driving", key: 72}, // H
+    cameraNext: {name: "Next Camera", group: "global", key: 67}, // C
+    pause: {name: "Pause/Back", group: "global", key: 27}, // Esc
+    play: {name: "Play", group: "menu", key: 80}, // P
+    nextKart: {name: "Switch Kart", group: "menu", key: 75}, // K
+    nextMap: {name: "Switch Map", group: "menu", key: 77}, // M
+    editor: {name: "Track Editor", group: "menu", key: 69}, // E
+    nextOpponents: {name: "Opponents", group: "menu", key: 79}, // O
+    nextLaps: {name: "Switch Laps", group: "menu", key: 76}, // L
+    nextPhysics: {name: "Switch Physics", group: "menu", key: 89}, // Y
+    ghosts: {name: "Ghosts", group: "menu", key: 71}, // G
+    replays: {name: "Replays", group: "menu", key: 86}, // V
+    controls: {name: "Controls", group: "menu", key: 83}, // S
+    retry: {name: "Race Again", group: "raceMenus", key: 80}, // P (on the results)
+    exit: {name: "Exit", group: "raceMenus", key: 69}, // E (on the pause menu and the results)
+    watchReplay: {name: "Watch Replay", group: "raceMenus", key: 87}, // W (on the results)
+    exportGhost: {name: "Export Ghost", group: "ghosts", key: 88}, // X
+    importGhost: {name: "Import Ghost", group: "ghosts", key: 73}, // I
+    clearGhost: {name: "Clear Imported", group: "ghosts", key: 68}, // D
+    replayPlay: {name: "Play/Pause", group: "replay", key: 32}, // Space
+    replayBack: {name: "Scrub Back", group: "replay", key: 37}, // Left
+    replayForward: {name: "Scrub Forward", group: "replay", key: 39}, // Right
+    replaySlower: {name: "Slower", group: "replay", key: 189}, // -
+    replayFaster: {name: "Faster", group: "replay", key: 187}, // =
+    replayNextKart: {name: "Follow Kart", group: "replay", key: 86}, // V
+    cursorUp: {name: "Cursor Up", group: "editor", key: 73}, // I
+    cursorDown: {name: "Cursor Down", group: "editor", key: 75}, // K
+    cursorLeft: {name: "Cursor Left", group: "editor", key: 74}, // J
+    cursorRight: {name: "Cursor Right", group: "editor", key: 76}, // L
+    nextPiece: {name: "Next Piece", group: "editor", key: 78}, // N
+    placePiece: {name: "Place Piece", group: "editor", key: 13}, // Enter
+    rotatePiece: {name: "Rotate", group: "editor", key: 81}, // Q
+    grabPiece: {name: "Grab/Release", group: "editor", key: 71}, // G
+    removePiece: {name: "Delete Piece", group: "editor", key: 46}, // Delete
+    dropCheckpoint: {name: "Checkpoint", group: "editor", key: 84}, // T
+    setStart: {name: "Set Start", group: "editor", key: 66}, // B
+    testDrive: {name: "Test Drive", group: "editor", key: 80}, // P
+    exportTrack: {name: "Export Track", group: "editor", key: 88}, // X
+    importTrack: {name: "Import Track", group: "editor", key: 79}, // O
+    zoomOut: {name: "Zoom Out", group: "editor", key: 189}, // -
+    zoomIn: {name: "Zoom In", group: "editor", key: 187} // =
+};
+
+/**
+ * Ready made bindings for driving, the keys half of us would rather use.
+ */
+export const DRIVING_PRESETS = {
+    IJKL: {accelerate: 73, brake: 75, steerLeft: 74, steerRight: 76},
+    WASD: {accelerate: 87, brake: 83, steerLeft: 65, steerRight: 68},
+    Arrows: {accelerate: 38, brake: 40, steerLeft: 37, steerRight: 39}
+};
+
+// The names of the keys that are not a letter or a digit
+const KEY_NAMES = {
+    8: "Backspace", 9: "Tab", 13: "Enter", 16: "Shift", 17: "Ctrl", 18: "Alt", 20: "CapsLock",
+    27: "Esc", 32: "Space", 33: "PageUp", 34: "PageDown", 35: "End", 36: "Home",
+    37: "Left", 38: "Up", 39: "Right", 40: "Down", 45: "Insert", 46: "Delete",
+    186: ";", 187: "=", 188: ",", 189: "-", 190: ".", 191: "/", 192: "`",
+    219: "[", 220: "\\", 221: "]", 222: "'"
+};
+
+// Keys the game uses outside of any action, which no action can be bound to (check BruinKart.make_control_panel)
+const RESERVED_KEYS = {
+    82: "Clear Memory" // R
+};
+
+/**
+ * The keys every menu is navigated with (check GUIController.createMenuNavigation), only
+ * actions of the MENU_KEY_GROUPS can be bound to them.
+ */
+export const MENU_KEYS = {up: 38, down: 40, select: 13};
+
+// The groups of actions used where no menu is navigated, which can use the MENU_KEYS
+const MENU_KEY_GROUPS = ["driving", "editor"];
+
+/**
+ * The choices of the gamepad's deadzone (how far a stick or trigger moves before it counts)
+ * and sensitivity (how much of the stick steers all the way, 2 turns fully at half way).
+ */
+export const GAMEPAD_DEADZONES = [.05, .1, .15, .2, .3];
+export const GAMEPAD_SENSITIVITIES = [.5, .75, 1, 1.5, 2];
+
+/**
+ * The keys pressed by the buttons of a standard gamepad (https://w3c.github.io/gamepad/#remapping),
+ * a key or the key of an action. The triggers and the left stick drive (check readGamepad).
+ */
+const GAMEPAD_BUTTONS = {
+    0: {key: MENU_KEYS.select}, // A
+    3: {action: "cameraNext"}, // Y
+    9: {action: "pause"}, // Start
+    12: {key: MENU_KEYS.up}, // D-pad
+    13: {key: MENU_KEYS.down},
+    14: {key: 37},
+    15: {key: 39}
+};
+
+/**
+ * How finely the stick, triggers and touch controls are read (check readAnalog), in steps of
+ * 1 / ANALOG_STEPS, so a replay saves exactly how they drove in a byte each (check replay.js).
+ */
+export const ANALOG_STEPS = 127;
+
+// The standard gamepad's axes and buttons that drive
+const STEER_AXIS = 0; // Left stick, left is negative
+const THROTTLE_BUTTONS = [7, 0]; // Right trigger, A
+const BRAKE_BUTTONS = [6, 1]; // Left trigger, B
+const DRIFT_BUTTONS = [4, 5]; // Either bumper
+const ITEM_BUTTONS = [2]; // X
+const RESET_BUTTONS = [8]; // Back / Select
+
+// The player's bindings (loaded the first time they are needed)
+let bindings = null;
+
+// The gamepad settings {deadzone, sensitivity} (loaded the first time they are needed)
+let gamepadSettings = null;
+
+// Which keys are held down right now, there is no keyboard when running headless (check headless.js)
+const held = {};
+
+// The gamepad in use (its index in navigator.getGamepads()) and its buttons pressed on the last poll
+let gamepadIndex = null;
+let gamepadPressed = {};
+
+// Called with the gamepad (null once it is unplugged) whenever one is plugged in or out
+const gamepadListeners = [];
+
+// How the touch controls are driving (check setTouchInput), null when they are not
+let touchInput = null;
+
+if (typeof document != "undefined") {
+    document.addEventListener("keydown", (evt) => held[evt.keyCode] = true);
+    document.addEventListener("keyup", (evt) => held[evt.keyCode] = false);
+
+    // Nothing is held once the page loses focus (the keyup would never arrive)
+    window.addEventListener("blur", () => Object.keys(held).forEach(key => held[key] = false));
+
+    window.addEventListener("gamepadconnected", (evt) => useGamepad(evt.gamepad));
+    window.addEventListener("gamepaddisconnected", (evt) => {
+        if (evt.gamepad.index == gamepadIndex) {
+            useGamepad(null);
+        }
+    });
+}
+
+/**
+ * The player's bindings, loaded from localStorage the first time.
+ * @returns {JSON} {action: keyCode}
+ */
+function getBindings() {
+    if (!bindings) {
+        bindings = {};
+        try {
+            bindings = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            // Nothing saved (or no localStorage when running headless), every action uses its default
+        }
+    }
+    return bindings;
+}
+
+/**
+ * Save the player's bindings to localStorage.
+ */
+function saveBindings() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(getBindings()));
+    } catch (error) {
+        // There is nowhere to save them (headless), they last until the page is closed
+    }
+}
+
+/**
+ * The key bound to the given action.
+ * @param {String} action (check ACTIONS)
+ * @returns {Number} keyCode
+ */
+export function keyFor(action) {
+    let key = getBindings()[action];
+    return typeof key == "number" ? key : ACTIONS[action].key;
+}
+
+/**
+ * If the key of the given action is held down right now.
+ * @param {String} action (check ACTIONS)
+ */
+export function isPressed(action) {
+    return !!held[keyFor(action)];
+}
+
+/**
+ * If the given keyboard event is the key of the given action.
+ * @param {KeyboardEvent} evt
+ * @param {String} action (check ACTIONS)
+ */
+export function matches(evt, action) {
+    return evt.keyCode == keyFor(action);
+}
+
+/**
+ * If the two actions can be used at the same time (and so cannot share a key).
+ * @param {String} a (check ACTIONS)
+ * @param {String} b (check ACTIONS)
+ */
+function overlaps(a, b) {
+    let groupA = ACTIONS[a].group;
+    let groupB = ACTIONS[b].group;
+    return groupA == groupB || groupA == "global" || groupB == "global";
+}
+
+/**
+ * The actions that would clash with the given action if it were bound to the given key.
+ * @param {String} action (check ACTIONS)
+ * @param {Number} key keyCode
+ * @returns {String[]} The clashing actions
+ */
+export function conflictsFor(action, key) {
+    return Object.keys(ACTIONS).filter(other => other != action && overlaps(action, other) && keyFor(other) == key);
+}
+
+/**
+ * Throw an Error if the given action can never be bound to the given key.
+ * @param {String} action (check ACTIONS)
+ * @param {Number} key keyCode
+ */
+function checkAllowed(action, key) {
+    if (RESERVED_KEYS[key]) {
+        throw new Error(`${keyName(key)} is reserved for ${RESERVED_KEYS[key]}.`);
+    }
+    if (!MENU_KEY_GROUPS.includes(ACTIONS[action].group) && Object.values(MENU_KEYS).includes(key)) {
+        throw new Error(`${keyName(key)} navigates the menus, only driving and the editor can use it.`);
+    }
+}
+
+/**
+ * Bind the given action to the given key (and save it). If another action used at the same time
+ * already has that key, the two swap keys.
+ *
+ * Throws an Error (and changes nothing) if the key is reserved or the swap would clash too.
+ * @param {String} action (check ACTIONS)
+ * @param {Number} key keyCode
+ * @returns {String} The action that was swapped onto the old key, null if there was none
+ */
+export function bind(action, key) {
+    checkAllowed(action, key);
+
+    let conflicts = conflictsFor(action, key);
+    let swapped = conflicts[0] || null;
+    let oldKey = keyFor(action);
+
+    if (swapped) {
+        checkAllowed(swapped, oldKey);
+    }
+    if (conflicts.length > 1 || (swapped && conflictsFor(swapped, oldKey).some(other => other != action))) {
+        let names = conflicts.map(other => ACTIONS[other].name).join(" and ");
+        throw new Error(`${keyName(key)} is already used to ${names}, choose another key.`);
+    }
+
+    if (swapped) {
+        getBindings()[swapped] = oldKey;
+    }
+    getBindings()[action] = key;
+    saveBindings();
+    return swapped;
+}
+
+/**
+ * Bind the driving actions to one of the DRIVING_PRESETS (and save them).
+ *
+ * Throws an Error (and changes nothing) if one of its keys is taken by a global action.
+ * @param {String} preset (check DRIVING_PRESETS)
+ */
+export function applyPreset(preset) {
+    let keys = DRIVING_PRESETS[preset];
+
+    for (let [action, key] of Object.entries(keys)) {
+        let conflict = conflictsFor(action, key).find(other => ACTIONS[other].group != "driving");
+        if (conflict) {
+            throw new Error(`${keyName(key)} is already used to ${ACTIONS[conflict].name}.`);
+        }
+    }
+
+    Object.assign(getBindings(), keys);
+    saveBindings();
+}
+
+/**
+ * Put every action back on its default key (and save it).
+ */
+export function resetBindings() {
+    bindings = {};
+    saveBindings();
+}
+
+/**
+ * The name of the given key as shown to the player, i.e. "W", "Space" or "Left".
+ * @param {Number} key keyCode
+ * @returns {String}
+ */
+export function keyName(key) {
+    if ((key >= 65 && key <= 90) || (key >= 48 && key <= 57)) {
+        return String.fromCharCode(key);
+    }
+    return KEY_NAMES[key] || "Key " + key;
+}
+
+/**
+ * The gamepad settings, loaded from localStorage the first time.
+ * @returns {JSON} {deadzone, sensitivity}
+ */
+export function getGamepadSettings() {
+    if (!gamepadSettings) {
+        gamepadSettings = {deadzone: .15, sensitivity: 1};
+        try {
+            Object.assign(gamepadSettings, JSON.parse(localStorage.getItem(GAMEPAD_STORAGE_KEY)));
+        } catch (error) {
+            // Nothing saved (or no localStorage when running headless), keep the defaults
+        }
+    }
+    return gamepadSettings;
+}
+
+/**
+ * Change (and save) the gamepad settings.
+ * @param {JSON} settings Any of {deadzone, sensitivity}
+ */
+export function setGamepadSettings(settings) {
+    Object.assign(getGamepadSettings(), settings);
+    try {
+        localStorage.setItem(GAMEPAD_STORAGE_KEY, JSON.stringify(gamepadSettings));
+    } catch (error) {
+        // There is nowhere to save them (headless), they last until the page is closed
+    }
+}
+
+/**
+ * Call the given function with the gamepad whenever one is plugged in, and with null once it is
+ * unplugged.
+ * @param {Function} listener (gamepad) => {}
+ */
+export function onGamepadChange(listener) {
+    gamepadListeners.push(listener);
+}
+
+/**
+ * Start using the given gamepad (null to stop using one), telling the listeners.
+ * @param {Gamepad} gamepad
+ */
+function useGamepad(gamepad) {
+    let index = gamepad ? gamepad.index : null;
+    if (index == gamepadIndex) {
+        return;
+    }
+
+    // Let go of every key the last gamepad was holding
+    for (let button of Object.keys(gamepadPressed)) {
+        pressGamepadButton(button, false);
+    }
+
+    gamepadIndex = index;
+    gamepadPressed = {};
+    gamepadListeners.forEach(listener => listener(gamepad));
+}
+
+/**
+ * The gamepad in use, null if there is none (or no Gamepad API).
+ * @returns {Gamepad}
+ */
+export function currentGamepad() {
+    if (gamepadIndex == null || typeof navigator == "undefined" || !navigator.getGamepads) {
+        return null;
+    }
+    return navigator.getGamepads()[gamepadIndex] || null;
+}
+
+/**
+ * Press (or let go of) the given key, as if it were pressed on the keyboard.
+ * @param {Number} key keyCode
+ * @param {Boolean} down
+ */
+export function pressKey(key, down) {
+    // keyCode cannot be given to the KeyboardEvent constructor
+    let evt = new KeyboardEvent(down ? "keydown" : "keyup");
+    Object.defineProperty(evt, "keyCode", {value: key});
+    document.dispatchEvent(evt);
+}
+
+/**
+ * Press (or let go of) the key of the given gamepad button.
+ * @param {Number} button (check GAMEPAD_BUTTONS)
+ * @param {Boolean} down
+ */
+function pressGamepadButton(button, down) {
+    let {key, action} = GAMEPAD_BUTTONS[button];
+    pressKey(action ? keyFor(action) : key, down);
+}
+
+/**
+ * Poll the gamepad, call once a frame. Picks up a gamepad that was plugged in before the page
+ * noticed (browsers only announce one once a button is pressed) and presses the keys of the
+ * buttons that went down or up since the last poll.
+ */
+export function pollGamepad() {
+    if (typeof navigator == "undefined" || !navigator.getGamepads) {
+        return;
+    }
+
+    let gamepad = currentGamepad();
+    if (!gamepad) {
+        // The gamepad is gone, use any other one plugged in
+        useGamepad(Array.from(navigator.getGamepads()).find(pad => pad && pad.connected && pad.mapping == "standard") || null);
+        gamepad = currentGamepad();
+        if (!gamepad) {
+            return;
+        }
+    }
+
+    for (let button of Object.keys(GAMEPAD_BUTTONS)) {
+        let down = !!(gamepad.buttons[button] && gamepad.buttons[button].pressed);
+        if (down != !!gamepadPressed[button]) {
+            gamepadPressed[button] = down;
+            pressGamepadButton(button, down);
+        }
+    }
+}
+
+/**
+ * Shape how far a stick or trigger is moved by the deadzone and sensitivity: nothing within the
+ * deadzone, then growing to all the way (1) at 1 / sensitivity of the rest of the way.
+ * @param {Number} value -1 to 1
+ * @param {JSON} settings {deadzone, sensitivity} (check getGamepadSettings)
+ * @returns {Number} -1 to 1
+ */
+export function shapeAxis(value, {deadzone, sensitivity}) {
+    let amount = (Math.abs(value) - deadzone) / (1 - deadzone);
+    if (amount <= 0) {
+        return 0;
+    }
+    return Math.sign(value) * Math.min(1, amount * sensitivity);
+}
+
+/**
+ * How the gamepad is driving right now, shaped by its settings.
+ * @returns {JSON} {steer, throttle, braking, drift, useItem, reset}, steer from -1 (right) to 1 (left), the
+ *                 pedals from 0 to 1 and drift, useItem and reset if they are held, null if there is no gamepad
+ */
+export function readGamepad() {
+    let gamepad = currentGamepad();
+    if (!gamepad) {
+        return null;
+    }
+
+    const settings = getGamepadSettings();
+    const held = (buttons) => buttons.some(button => gamepad.buttons[button] && gamepad.buttons[button].pressed);
+    const pedal = (buttons) => Math.max(...buttons.map(button => gamepad.buttons[button] ? shapeAxis(gamepad.buttons[button].value, settings) : 0));
+
+    return {
+        steer: -shapeAxis(gamepad.axes[STEER_AXIS] || 0, settings),
+        throttle: pedal(THROTTLE_BUTTONS),
+        braking: pedal(BRAKE_BUTTONS),
+        drift: held(DRIFT_BUTTONS),
+        useItem: held(ITEM_BUTTONS),
+        reset: held(RESET_BUTTONS)
+    };
+}
+
+/**
+ * Set how the touch controls are driving.
+ * @param {JSON} input {steer, throttle, braking, drift, useItem, reset} (check readGamepad), null when they are not driving
+ */
+export function setTouchInput(input) {
+    touchInput = input;
+}
+
+/**
+ * How the gamepad and touch controls are driving right now, the furthest of them for each (in
+ * steps of 1 / ANALOG_STEPS).
+ * @returns {JSON} {steer, throttle, braking, drift, useItem, reset} (check readGamepad), null if there are neither
+ */
+export function readAnalog() {
+    let sources = [readGamepad(), touchInput].filter(source => source);
+    if (sources.length == 0) {
+        return null;
+    }
+
+    const furthest = (name) => {
+        let value = sources.map(source => source[name]).reduce((a, b) => Math.abs(b) > Math.abs(a) ? b : a, 0);
+        return Math.round(value * ANALOG_STEPS) / ANALOG_STEPS;
+    };
+    return {
+        steer: furthest("steer"),
+        throttle: furthest("throttle"),
+        braking: furthest("braking"),
+        drift: sources.some(source => source.drift),
+        useItem: sources.some(source => source.useItem),
+        reset: sources.some(source => source.reset)
+    };
+}
@@ -0,0 +1,381 @@
+/**
+ * Items, the item boxes of a track and the power-ups the karts racing on it get from them.
+ *
+ * Driving through an item box gives a kart without an item a random one, weighted by its place
+ * in the race (the leaders mostly get Bananas and Shields, the karts at the back Mushrooms and
+ * Shells, check ITEMS), and the box comes back a moment later. Pressing use item (check
+ * Kart.readInput) uses it:
+ *      Mushroom    A boost (like a mini-turbo's, check stepKart)
+ *      Banana      Dropped behind the kart, spinning out the next kart to drive into it
+ *      Shell       Fired ahead of the kart, bouncing off walls until it hits a kart
+ *      Shield      Takes the next hit instead of the kart, for a while
+ * A kart hit by a Banana or a Shell spins out (check Kart.spinOut).
+ *
+ * Items are stepped right after the karts on every simulation step (check BruinKart.update_state
+ * and HeadlessGame.step) with their own seeded random numbers, so the same race always gives
+ * the same items.
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+import {defs, tiny} from './examples/common.js';
+import {Body} from './physics.js';
+import {groundBounds} from './broadphase.js';
+
+const {vec3, Mat4, color, hex_color} = tiny;
+
+/**
+ * Every item, how it is shown and how likely a kart is to get it.
+ *
+ * weights: How likely the item is [for the leader, for the kart in last], in between the
+ *          chance moves evenly with the kart's place
+ */
+export const ITEMS = {
+    mushroom: {name: "Mushroom", weights: [1, 6]},
+    banana: {name: "Banana", weights: [6, 1]},
+    shell: {name: "Shell", weights: [2, 4]},
+    shield: {name: "Shield", weights: [4, 2]}
+};
+
+// How close (in world units) a kart has to drive to an item box to pick it up, and how long
+// (seconds) the box takes to come back
+const BOX_RADIUS = 2;
+const BOX_RESPAWN = 3;
+
+// How long (seconds) a Mushroom boosts and a Shield lasts
+const MUSHROOM_BOOST = 1.2;
+const SHIELD_TIME = 8;
+
+// How far behind (or ahead of) the kart a Banana (or Shell) is put
+const DROP_DISTANCE = 2.5;
+
+// How fast a Shell travels, and how long (seconds) and how many bounces it lasts
+const SHELL_SPEED = 30;
+const SHELL_LIFE = 6;
+const SHELL_BOUNCES = 4;
+
+// How close (in world units) a Banana or Shell has to be to a kart to hit it, and how long
+// (seconds) it cannot hit the kart that used it
+const HIT_DISTANCE = 1.8;
+const OWNER_GRACE = .5;
+
+// The size of a Banana and a Shell (their bodies are collided with the walls)
+const OBJECT_SIZES = {
+    banana: vec3(.5, .3, .5),
+    shell: vec3(.6, .6, .6)
+};
+
+// The materials of the boxes and items, made the first time they are drawn (the global materials do not exist yet here)
+let itemMaterials = null;
+
+/**
+ * A random number generator (mulberry32) that always gives the same numbers for the same seed.
+ * @param {Number} seed
+ * @returns {Function} () => a number from 0 (inclusive) to 1
+ */
+export function seededRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Pick a random item for a kart at the given place in the race.
+ * @param {Number} place From 0 (the leader) to 1 (last)
+ * @param {Function} random () => a number from 0 to 1
+ * @returns {String} A key of ITEMS
+ */
+export function rollItem(place, random) {
+    const names = Object.keys(ITEMS);
+    const weights = names.map(name => {
+        let [first, last] = ITEMS[name].weights;
+        return first + (last - first) * place;
+    });
+
+    let roll = random() * weights.reduce((a, b) => a + b, 0);
+    for (let i = 0; i < names.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) {
+            return names[i];
+        }
+    }
+    return names[names.length - 1];
+}
+
+export class Items {
+    /**
+     * Fill the game's world with its item boxes, every kart starts without an item.
+     *
+     * @param {BruinKart} game Any game with karts, staticBodies, world and race (i.e. a HeadlessGame)
+     * @param {Number} seed The seed of the items' random numbers
+     */
+    constructor(game, seed = 1) {
+        this.game = game;
+        this.random = seededRandom(seed);
+
+        // Every item box, {position: [x, y, z], respawn}, respawn is how long (seconds) until it is back
+        this.boxes = game.world.itemBoxes.map(position => ({position: position, respawn: 0}));
+
+        /**
+         * The Bananas and Shells out on the track:
+         * {type, owner, body, position: [x, y, z], previous, velocity: [x, z], age, bounces}
+         * (velocity and bounces only for Shells, previous is where it was on the last step)
+         */
+        this.objects = [];
+
+        for (let kart of game.karts) {
+            kart.item = null;
+            kart.itemTime = 0;
+            kart.shield = 0;
+            kart.useHeld = false;
+        }
+    }
+
+    /**
+     * How far down the race the given kart is, from 0 (the leader, or racing alone) to 1 (last).
+     * @param {Kart} kart
+     */
+    placeOf(kart) {
+        const race = this.game.race;
+        if (!race || race.karts.length < 2) {
+            return 0;
+        }
+        return (race.positionOf(kart) - 1) / (race.karts.length - 1);
+    }
+
+    /**
+     * Step the items forward by dt, call right after the karts have stepped.
+     *
+     * @param {Number} dt
+     * @returns {JSON[]} What happened, in order:
+     *      {type: "pickup", kart, item}            kart got item from a box
+     *      {type: "use", kart, item}
+     *      {type: "hit", kart, item, by, blocked}  kart was hit by by's item (blocked if its shield took it)
+     */
+    step(dt) {
+        const karts = this.game.karts;
+        let events = [];
+
+        for (let box of this.boxes) {
+            if (box.respawn > 0) {
+                box.respawn = Math.max(0, box.respawn - dt);
+                continue;
+            }
+
+            let kart = karts.find(kart => Math.hypot(kart.position[0] - box.position[0], kart.position[2] - box.position[2]) < BOX_RADIUS);
+            if (!kart) {
+                continue;
+            }
+
+            // The box breaks either way, only a kart without an item gets one
+            box.respawn = BOX_RESPAWN;
+            if (kart.item == null) {
+                kart.item = rollItem(this.placeOf(kart), this.random);
+                kart.itemTime = 0;
+                events.push({type: "pickup", kart: kart, item: kart.item});
+            }
+        }
+
+        for (let kart of karts) {
+            // An item is used once per press, and never while spinning out
+            let pressed = !!(kart.lastInput && kart.lastInput.useItem);
+            if (pressed && !kart.useHeld && kart.item != null && kart.spin == 0) {
+                events.push({type: "use", kart: kart, item: kart.item});
+                this.useItem(kart);
+            }
+            kart.useHeld = pressed;
+
+            if (kart.item != null) {
+                kart.itemTime += dt;
+            }
+            kart.shield = Math.max(0, kart.shield - dt);
+        }
+
+        for (let object of this.objects) {
+            object.age += dt;
+            object.previous = [...object.position];
+            if (object.type == "shell") {
+                this.moveShell(object, dt);
+            }
+        }
+
+        // Anything out on the track hits the first kart it touches (that was not just put back on the track)
+        this.objects = this.objects.filter(object => {
+            let kart = karts.find(kart => (kart != object.owner || object.age > OWNER_GRACE) && kart.invulnerable == 0 &&
+                Math.hypot(kart.position[0] - object.position[0], kart.position[2] - object.position[2]) < HIT_DISTANCE);
+
+            if (kart) {
+                let spun = kart.spinOut();
+                events.push({type: "hit", kart: kart, item: object.type, by: object.owner, blocked: !spun});
+                return false;
+            }
+
+            // A Shell runs out eventually
+            return object.type != "shell" || (object.age < SHELL_LIFE && object.bounces <= SHELL_BOUNCES);
+        });
+
+        return events;
+    }
+
+    /**
+     * Use the item the given kart holds.
+     * @param {Kart} kart
+     */
+    useItem(kart) {
+        const heading = [Math.sin(kart.angle), Math.cos(kart.angle)];
+        const [x, y, z] = kart.position;
+
+        switch (kart.item) {
+            case "mushroom":
+                kart.boost = Math.max(kart.boost, MUSHROOM_BOOST);
+                break;
+            case "shield":
+                kart.shield = SHIELD_TIME;
+                break;
+            case "banana":
+                this.addObject("banana", kart, [x - DROP_DISTANCE * heading[0], y, z - DROP_DISTANCE * heading[1]]);
+                break;
+            case "shell": {
+                let shell = this.addObject("shell", kart, [x + DROP_DISTANCE * heading[0], y, z + DROP_DISTANCE * heading[1]]);
+                shell.velocity = [SHELL_SPEED * heading[0], SHELL_SPEED * heading[1]];
+                shell.bounces = 0;
+                break;
+            }
+        }
+
+        kart.item = null;
+        kart.itemTime = 0;
+    }
+
+    /**
+     * Put a Banana or Shell out on the track.
+     * @param {String} type banana / shell
+     * @param {Kart} owner The kart that used it
+     * @param {Number[]} position [x, y, z]
+     * @returns {JSON} The object (check this.objects)
+     */
+    addObject(type, owner, position) {
+        let object = {
+            type: type,
+            owner: owner,
+            body: new Body(globalShapes.sphere, null, OBJECT_SIZES[type]),
+            position: position,
+            previous: [...position],
+            age: 0
+        };
+        this.place(object, position);
+
+        this.objects.push(object);
+        return object;
+    }
+
+    /**
+     * Move the given object's body to the given position.
+     * @param {JSON} object
+     * @param {Number[]} position [x, y, z]
+     */
+    place(object, position) {
+        object.body.emplace(Mat4.translation(...position).times(Mat4.scale(...object.body.size)), vec3(0, 0, 0), 0, vec3(0, 1, 0));
+    }
+
+    /**
+     * If the given object would be inside any wall at the given position (its box against the
+     * walls near it, like a kart's, check Kart.handleCollisions).
+     * @param {JSON} object
+     * @param {Number[]} position [x, y, z]
+     */
+    blockedAt(object, position) {
+        this.place(object, position);
+
+        const walls = this.game.staticBodies;
+        let nearby = this.game.world.broadphase.query(...groundBounds(object.body));
+        return nearby.some(i => object.body.collide(walls[i]));
+    }
+
+    /**
+     * Move a Shell along its velocity, bouncing off any wall in its way.
+     *
+     * Walls are axis aligned boxes, so the Shell bounces by reversing whichever part of its
+     * velocity (x or z) runs into the wall, or both at a corner.
+     * @param {JSON} shell
+     * @param {Number} dt
+     */
+    moveShell(shell, dt) {
+        const [x, y, z] = shell.position;
+        let [vx, vz] = shell.velocity;
+        const next = () => [x + vx * dt, y, z + vz * dt];
+
+        if (this.blockedAt(shell, next())) {
+            let blockedX = this.blockedAt(shell, [x + vx * dt, y, z]);
+            let blockedZ = this.blockedAt(shell, [x, y, z + vz * dt]);
+
+            if (blockedX || !blockedZ) {
+                vx = -vx;
+            }
+            if (blockedZ || !blockedX) {
+                vz = -vz;
+            }
+            shell.velocity = [vx, vz];
+            shell.bounces++;
+        }
+
+        // If even the bounce is blocked (i.e. fired into a wall), the Shell stays where it is this step
+        shell.position = this.blockedAt(shell, next()) ? [x, y, z] : next();
+        this.place(shell, shell.position);
+    }
+
+    /**
+     * Show the item boxes and everything out on the track where a replay has them, rather than
+     * stepping them (check ReplayPlayer.itemsAt).
+     * @param {JSON} state {broken, objects}, the indices of the boxes not back yet and the
+     *                     [type, x, y, z] of everything out on the track
+     */
+    show({broken, objects}) {
+        this.boxes.forEach((box, i) => box.respawn = broken.includes(i) ? BOX_RESPAWN : 0);
+        this.objects = objects.map(([type, ...position]) => ({type: type, position: position, previous: position}));
+    }
+
+    /**
+     * Draw the item boxes (spinning and changing color) and everything out on the track.
+     * @param {Context} context
+     * @param {Program_State} program_state
+     * @param {Number} alpha How far the frame is between the last two simulation steps (0 to 1),
+     *                       things that move are drawn in between
+     */
+    draw(context, program_state, alpha) {
+        if (!itemMaterials) {
+            const plain = (value) => globalMaterials.default.override({color: value, ambient: .7, specularity: .8});
+            itemMaterials = {
+                box: globalMaterials.default.override({ambient: 1, diffusivity: .2}),
+                banana: plain(hex_color("#ffe135")),
+                shell: plain(hex_color("#2fbf3f"))
+            };
+        }
+
+        const t = program_state.animation_time / 1000;
+
+        for (let box of this.boxes) {
+            if (box.respawn > 0) {
+                continue;
+            }
+            let [x, y, z] = box.position;
+            let transform = Mat4.translation(x, y + .2 * Math.sin(2 * t + x), z)
+                .times(Mat4.rotation(t, 0, 1, 0)).times(Mat4.rotation(Math.PI / 4, 1, 0, 1))
+                .times(Mat4.scale(.7, .7, .7));
+            let hue = color(.5 + .5 * Math.sin(t), .5 + .5 * Math.sin(t + 2.1), .5 + .5 * Math.sin(t + 4.2), .8);
+
+            globalShapes.cube.draw(context, program_state, transform, itemMaterials.box.override({color: hue}));
+        }
+
+        for (let object of this.objects) {
+            let position = object.previous.map((value, i) => value + (object.position[i] - value) * alpha);
+            let transform = Mat4.translation(...position).times(Mat4.scale(...OBJECT_SIZES[object.type]));
+
+            globalShapes.sphere.draw(context, program_state, transform, itemMaterials[object.type]);
+        }
+    }
+}
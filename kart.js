@@ -8,22 +8,548 @@
 
 import {defs, tiny} from './examples/common.js';
 import {Body, Simulation} from './physics.js';
+import {groundBounds} from './broadphase.js';
+import {isPressed, readAnalog} from './input.js';
 
 // Pull these names into this module's scope for convenience:
-const {vec3, vec4, Mat4, Scene, Material, color, Light, unsafe3, hex_color} = tiny;
+const {vec3, vec4, Mat4, Quaternion, Scene, Material, color, Light, unsafe3, hex_color} = tiny;
 
-// Read user input globally (using deprecated keyCode)
-globalThis.keys = {};
+// How far (in world units) two karts that bump into each other are pushed apart
+const BUMP_DISTANCE = 1;
 
-document.onkeydown = function(e){
-    if(!keys[e.keyCode])   {
-        keys[e.keyCode] = true;
+// The fraction of their speeds (toward each other) two karts that bump into each other exchange
+const BUMP_TRANSFER = .4;
+
+// The steepest (radians) a kart can hit a wall at and still slide along it (anything steeper
+// bounces it back off), the fraction of its speed it bounces back with and how far (world units)
+// past touching the wall it is pushed out of it
+const SLIDE_ANGLE = Math.PI / 3;
+const WALL_BOUNCE = .4;
+const WALL_SKIN = .01;
+
+// The furthest (world units) a kart moving fast is moved along its path at a time while looking
+// for the first wall it touches (check sweepWalls), well under half the thinnest wall
+const SWEEP_STEP = .5;
+
+// How long (seconds) a kart hit by an item spins out for, how fast it spins (radians per second)
+// and the fraction of its speed it keeps every step of it
+const SPIN_TIME = 1.2;
+const SPIN_RATE = 3 * Math.PI;
+const SPIN_DRAG = .85;
+
+// How high (in world units) a kart hops before it drifts
+const HOP_HEIGHT = .6;
+
+// How high (in world units) above the ground a kart's center rides, how tall a kart is and the
+// highest ledge it can drive up (anything taller stops it, check followGround)
+const RIDE_HEIGHT = 1;
+const KART_HEIGHT = 2;
+const STEP_HEIGHT = 1;
+
+// How fast (world units per second squared) a kart in the air falls, and how far the ground can
+// drop away in a single step with the kart still following it (down a slope) rather than flying
+const GRAVITY = 30;
+const SNAP_DISTANCE = .75;
+
+// The furthest (radians) a kart in the air tips its nose up or down, along its flight
+const AIR_PITCH = Math.PI / 6;
+
+// The fraction of its speed a kart bounces back off a ledge with
+const LEDGE_BOUNCE = .4;
+
+// How low (world units) a kart can fall before it is put back on the track (check Kart.respawn)
+const FALL_HEIGHT = -20;
+
+// How long (seconds) a kart can be driven without getting STUCK_DISTANCE (world units) away from
+// where it was before it counts as stuck and is put back on the track
+const STUCK_TIME = 6;
+const STUCK_DISTANCE = 2;
+
+// How long (seconds) a kart put back on the track is held while it is lowered onto it (the time
+// penalty for respawning), how high above the track it starts and how long (seconds) after it
+// lands nothing can hit it
+const RESPAWN_TIME = 1.5;
+const RESPAWN_HEIGHT = 4;
+const INVULNERABLE_TIME = 2;
+
+// The color of the sparks of each tier of mini-turbo (check miniTurboTier), and of a boost's flame
+const SPARK_COLORS = [hex_color("#3fa9ff"), hex_color("#ff8c1a"), hex_color("#c03fff")];
+const BOOST_COLOR = hex_color("#ffd23f");
+
+// The see through color of a shield's bubble
+const SHIELD_COLOR = color(.4, .8, 1, .3);
+
+// The colors of the line a respawning kart is lowered on and of the cloud it hangs from
+const LINE_COLOR = hex_color("#222222");
+const CLOUD_COLOR = hex_color("#ffffff");
+
+// The materials of the sparks and flame, made the first time they are drawn (the global materials do not exist yet here)
+let effectMaterials = null;
+
+/**
+ * The ways a kart's movement can be worked out (check stepKart). "arcade" is the hand-tuned
+ * model every kart drives with by default (and every best time so far was set with),
+ * "simulation" drives it as a rigid body pushed by its engine and held by its tires (check
+ * driveRigidBody).
+ */
+export const PHYSICS_MODES = ["arcade", "simulation"];
+
+/**
+ * How each type of kart is built, for the simulation physics (check driveRigidBody). Forces are
+ * in kilograms times world units per second squared, and every kart weighs mass * GRAVITY.
+ *
+ * mass: How heavy the kart is (kilograms)
+ * engineForce, reverseForce, brakeForce: How hard the engine pushes it forward and backward, and
+ *                                        the brakes hold it back
+ * rollingResistance: The force holding it back per unit of its speed
+ * drag: The force holding it back per unit of its speed squared (the air)
+ * wheelBase: How far apart (world units) its front and rear axles are
+ * frontWeight: The fraction of its weight on its front axle (where its center of mass sits)
+ * cornering: How hard its tires push back against sliding sideways, per radian they slide (of
+ *            the weight on them, check slip angles in driveRigidBody)
+ * frontGrip, rearGrip: The most sideways force the tires of each axle hold (of the weight on
+ *                      them), the axle with less lets go first: the front (understeer) or the
+ *                      rear (oversteer)
+ * maxSteer: How far (radians) the front wheels turn
+ * steerRate: How fast (radians per second) the front wheels turn
+ */
+export const KART_PHYSICS = {
+    BruinKart: {
+        mass: 150, engineForce: 450, reverseForce: 120, brakeForce: 900, rollingResistance: 6, drag: 1.6,
+        wheelBase: 2, frontWeight: .5, cornering: 6, frontGrip: .3, rearGrip: .34, maxSteer: .5, steerRate: 2.5
+    },
+    // Heavy and fast, but it pushes wide in the corners
+    Clown: {
+        mass: 200, engineForce: 500, reverseForce: 100, brakeForce: 1000, rollingResistance: 6, drag: .36,
+        wheelBase: 2.4, frontWeight: .4, cornering: 5, frontGrip: .3, rearGrip: .4, maxSteer: .4, steerRate: 1.5
+    },
+    // Light and quick to turn, with a loose rear end
+    Toad: {
+        mass: 100, engineForce: 500, reverseForce: 66, brakeForce: 700, rollingResistance: 10, drag: 4,
+        wheelBase: 1.8, frontWeight: .55, cornering: 7, frontGrip: .45, rearGrip: .4, maxSteer: .6, steerRate: 4
     }
+};
+
+// How many smaller steps the simulation physics takes in every step (its tires react quicker
+// than a whole step), and the slowest speed (world units per second) its slip angles are worked
+// out at (any slower and the smallest slide would flick the kart sideways)
+const RIGID_SUBSTEPS = 5;
+const MIN_SLIP_SPEED = 4;
+
+// The speed (world units per second) at which the front wheels of a kart driving with the
+// simulation physics only turn half as far as they can (a key always steers all the way, which
+// at speed would only scrub the front tires)
+const STEER_SPEED = 8;
+
+/**
+ * The tier of mini-turbo a drift of the given length has charged.
+ * @param {Number} charge The seconds spent drifting (check Kart.driftCharge)
+ * @param {JSON} driftHandling The kart's drift characteristics (check Kart.setParams)
+ * @returns {Number} 0 (none yet) to driftHandling.tiers.length
+ */
+export function miniTurboTier(charge, driftHandling) {
+    return driftHandling.tiers.filter(time => charge >= time).length;
 }
 
-document.onkeyup = function(e){
-    if(keys[e.keyCode])   {
-        keys[e.keyCode] = false;
+/**
+ * How far (radians) a kart with the given heading on ground of the given slope (check
+ * World.groundAt) tips its nose up (pitch) and its right side up (roll).
+ * @param {Number[]} slope [x, z]
+ * @param {Number} angle
+ * @returns {Number[]} [pitch, roll]
+ */
+function tiltOn(slope, angle) {
+    return [
+        Math.atan(slope[0] * Math.sin(angle) + slope[1] * Math.cos(angle)),
+        Math.atan(slope[0] * Math.cos(angle) - slope[1] * Math.sin(angle))
+    ];
+}
+
+/**
+ * Move a kart that drives from its position to next up and down the terrain under it.
+ * 
+ * On the ground it follows the ground's height and tilts with its slope, climbing at the speed
+ * its height changes. Once the ground drops away too quickly (off the top of a ramp or any
+ * edge) it flies off at that climbing speed and falls until it lands. A ledge too high to
+ * drive up bounces it back like a wall.
+ * @param {JSON} state The kart's state before this step (check stepKart)
+ * @param {Number[]} next Where it drives to [x, y, z] (y is still its height before this step)
+ * @param {Number} velocity Its speed after this step
+ * @param {Number} angle Its heading after this step
+ * @param {Number} dt 
+ * @param {World} terrain 
+ * @returns {JSON} {position, velocity, verticalVelocity, airborne, pitch, roll}
+ */
+function followGround(state, next, velocity, angle, dt, terrain) {
+    let {verticalVelocity = 0, airborne = false, pitch = 0, roll = 0} = state;
+    const [x, y, z] = state.position;
+    const feet = y - RIDE_HEIGHT;
+
+    if (terrain.solidBetween(next[0], next[2], feet + STEP_HEIGHT, feet + KART_HEIGHT)) {
+        next = [x, y, z];
+        velocity = -LEDGE_BOUNCE * velocity;
+    }
+
+    const ground = terrain.groundAt(next[0], next[2], feet + STEP_HEIGHT);
+    const floor = ground ? ground.height + RIDE_HEIGHT : -Infinity;
+    let height = floor;
+
+    if (airborne || floor < y - SNAP_DISTANCE) {
+        // Fly on (or off) at the speed the kart was climbing, falling all the while
+        verticalVelocity -= GRAVITY * dt;
+        height = Math.max(floor, y + verticalVelocity * dt);
+        airborne = height > floor;
+    }
+
+    if (airborne) {
+        pitch = Math.max(-AIR_PITCH, Math.min(AIR_PITCH, Math.atan2(verticalVelocity, Math.abs(velocity))));
+    } else {
+        verticalVelocity = state.airborne ? 0 : (height - y) / dt;
+        [pitch, roll] = tiltOn(ground.slope, angle);
+    }
+
+    return {
+        position: [next[0], height, next[2]],
+        velocity: velocity,
+        verticalVelocity: verticalVelocity,
+        airborne: airborne,
+        pitch: pitch,
+        roll: roll
+    };
+}
+
+/**
+ * How a kart's speeds change over a step with the arcade physics: its speed moves toward as
+ * fast as the throttle (or brake) allows by a fixed amount every step, and its turning toward
+ * the steering's turn by another (check stepKart).
+ * @param {JSON} state The kart's state before this step (check stepKart)
+ * @param {JSON} controls {throttle, braking, steer, drift, boost}, how the kart is driven this step
+ *                        and what is left (seconds) of its boost
+ * @param {Number} dt 
+ * @param {JSON} params The kart's handling (check stepKart)
+ * @param {JSON} surface The surface under the kart (check World.surfaceAt), null on the road
+ * @returns {JSON} {velocity, lateralVelocity, deltaAngle, steering, boost}
+ */
+function driveArcade(state, controls, dt, params, surface) {
+    let {velocity, deltaAngle} = state;
+    let {throttle, braking, steer, drift, boost} = controls;
+    const handling = params.driftHandling;
+    const {speed = 1, drag = 0, grip = 1} = surface || {};
+
+    // How quickly the kart slows down by itself, and turns
+    const slowDownSpeed = params.slowDownSpeed * grip + drag;
+    const shortDeltaAngle = params.shortDeltaAngle * grip;
+    const slowDownAngle = params.slowDownAngle * grip;
+
+    if (boost > 0) {
+        // Boost past the top speed (dropping back down to it once the boost is over, check below)
+        boost = Math.max(0, boost - dt);
+        velocity = Math.min(velocity + params.acceleration * handling.boostAcceleration, params.maxVelocityF * handling.boostSpeed);
+    } else if (throttle > 0) {
+        // Accelerate, up to as fast as the throttle allows (easing back down to it when faster)
+        let top = params.maxVelocityF * throttle * speed;
+        velocity = velocity <= top ? Math.min(velocity + params.acceleration * throttle, top) : Math.max(top, velocity - slowDownSpeed);
+    } else if (braking > 0) {
+        // Decelerate, and reverse up to as fast as the brake allows
+        let top = params.maxVelocityB * braking * speed;
+        velocity = velocity >= top ? Math.max(velocity - params.acceleration * braking, top) : Math.min(top, velocity + slowDownSpeed);
+    } else {
+        // Create an artificial slow down effect
+        velocity += velocity > 0 ? -1 * slowDownSpeed : slowDownSpeed;
+    }
+
+    if (boost == 0 && velocity > params.maxVelocityF) {
+        // A boost is over, lose its extra speed about as fast as it was gained
+        velocity = Math.max(params.maxVelocityF, velocity - params.acceleration * handling.boostAcceleration);
+    }
+
+    if (state.airborne) {
+        // There is nothing to push against in the air
+        velocity = state.velocity;
+    }
+
+    if (drift != 0) {
+        // Turn the way of the drift, steering into it tightens the turn and out of it widens it
+        let target = drift * params.maxDeltaAngle * (handling.turn + handling.control * steer * drift);
+        deltaAngle = deltaAngle < target ? Math.min(target, deltaAngle + shortDeltaAngle) : Math.max(target, deltaAngle - shortDeltaAngle);
+    } else if (steer != 0) {
+        // Turn toward the steering's angle (left is positive), all the way for a key
+        let target = steer * params.maxDeltaAngle;
+        deltaAngle = deltaAngle < target ? Math.min(target, deltaAngle + shortDeltaAngle) : Math.max(target, deltaAngle - shortDeltaAngle);
+    } else if (Math.abs(deltaAngle) < slowDownAngle) {
+        deltaAngle = 0;
+    } else {
+        // Create an artificial straightening effect
+        deltaAngle += deltaAngle > 0 ? -1 * slowDownAngle : slowDownAngle;
+    }
+
+    // The arcade kart never slides sideways (its drift's slide is faked, check slip in stepKart)
+    return {velocity: velocity, lateralVelocity: 0, deltaAngle: deltaAngle, steering: 0, boost: boost};
+}
+
+/**
+ * How a kart's speeds change over a step with the simulation physics, as a rigid body on two
+ * axles (a "bicycle" model) built as its params.chassis says (check KART_PHYSICS).
+ * 
+ * Along its heading the engine (or the brakes) pushes it while rolling resistance and drag hold
+ * it back, so it is quick off the line and slower to gain its last bit of speed. Sideways, each
+ * axle's tires push back against the way they slide (their slip angle, between where the wheels
+ * point and where they travel), harder the further they slide up to as much as their grip
+ * holds. Steering turns the front wheels, which slide and pull the front of the kart around.
+ * 
+ * Whichever axle runs out of grip first decides how the kart corners at the limit: the front
+ * (understeer, it runs wide) or the rear (oversteer, its tail swings out). A drift turns the
+ * front wheels like the arcade's drift turns the kart, sliding it as far as its tires let it. The
+ * surface under the kart scales its engine and grip and adds to its rolling resistance.
+ * @param {JSON} state The kart's state before this step (check stepKart)
+ * @param {JSON} controls {throttle, braking, steer, drift, boost} (check driveArcade)
+ * @param {Number} dt 
+ * @param {JSON} params The kart's handling, with its chassis (check Kart.setParams)
+ * @param {JSON} surface The surface under the kart (check World.surfaceAt), null on the road
+ * @returns {JSON} {velocity, lateralVelocity, deltaAngle, steering, boost}
+ */
+function driveRigidBody(state, controls, dt, params, surface) {
+    let {velocity, deltaAngle, lateralVelocity = 0, steering = 0} = state;
+    let {throttle, braking, steer, drift, boost} = controls;
+    const chassis = params.chassis;
+    const handling = params.driftHandling;
+    const {speed = 1, grip = 1, rollingResistance = 0} = surface || {};
+
+    // Turn the front wheels toward the steering (or the drift's turn, like the arcade's), less the
+    // faster the kart goes and only so fast
+    let lock = chassis.maxSteer / (1 + Math.abs(velocity) / STEER_SPEED);
+    let target = drift != 0 ? drift * lock * (handling.turn + handling.control * steer * drift) : steer * lock;
+    let turn = chassis.steerRate * dt;
+    steering = steering < target ? Math.min(target, steering + turn) : Math.max(target, steering - turn);
+
+    let boosting = boost > 0;
+    boost = Math.max(0, boost - dt);
+
+    if (state.airborne) {
+        // There is nothing to push against in the air, the kart flies on as it was
+        return {velocity: velocity, lateralVelocity: lateralVelocity, deltaAngle: deltaAngle, steering: steering, boost: boost};
+    }
+
+    // How far (world units) the axles are from the center of mass, the weight on each and how
+    // hard the kart is to turn about its center of mass
+    const front = chassis.wheelBase * (1 - chassis.frontWeight);
+    const rear = chassis.wheelBase * chassis.frontWeight;
+    const frontLoad = chassis.mass * GRAVITY * chassis.frontWeight;
+    const rearLoad = chassis.mass * GRAVITY - frontLoad;
+    const inertia = chassis.mass * front * rear;
+
+    const frontGrip = chassis.frontGrip * grip;
+    const rearGrip = chassis.rearGrip * grip;
+
+    // Off-road holds the kart back harder, the heavier it is the harder
+    const resistance = chassis.rollingResistance + chassis.mass * rollingResistance;
+
+    // The sideways force of an axle's tires sliding the given way (radians), up to as much as they hold
+    const tire = (slide, load, axleGrip) => Math.max(-axleGrip * load, Math.min(axleGrip * load, -chassis.cornering * axleGrip * load * slide));
+
+    const h = dt / RIGID_SUBSTEPS;
+    for (let i = 0; i < RIGID_SUBSTEPS; i++) {
+        // Pushing it along its heading
+        let push = 0;
+        if (boosting) {
+            push = velocity < params.maxVelocityF * handling.boostSpeed ? chassis.engineForce * handling.boostAcceleration : 0;
+        } else if (throttle > 0) {
+            push = chassis.engineForce * throttle * speed;
+        } else if (braking > 0) {
+            push = velocity > 0 ? -chassis.brakeForce * braking : -chassis.reverseForce * braking * speed;
+        }
+
+        // The front wheels' own frame (they point steering to the left of the kart)
+        let [cos, sin] = [Math.cos(steering), Math.sin(steering)];
+        let frontSide = lateralVelocity + front * deltaAngle;
+        let frontAlong = velocity * cos + frontSide * sin;
+        let frontAcross = frontSide * cos - velocity * sin;
+
+        // How far each axle's tires slide, and how hard they push back
+        let frontForce = tire(Math.atan2(frontAcross, Math.max(Math.abs(frontAlong), MIN_SLIP_SPEED)), frontLoad, frontGrip);
+        let rearForce = tire(Math.atan2(lateralVelocity - rear * deltaAngle, Math.max(Math.abs(velocity), MIN_SLIP_SPEED)), rearLoad, rearGrip);
+
+        // Newton's laws in the kart's own (turning) frame
+        let forward = (push - frontForce * sin) / chassis.mass + lateralVelocity * deltaAngle;
+        let sideways = (frontForce * cos + rearForce) / chassis.mass - velocity * deltaAngle;
+        let spinning = (front * frontForce * cos - rear * rearForce) / inertia;
+
+        velocity += h * forward;
+        lateralVelocity += h * sideways;
+        deltaAngle += h * spinning;
+
+        // Rolling resistance and drag only ever slow the kart, never push it back the other way
+        let held = h * (resistance * Math.abs(velocity) + chassis.drag * velocity * velocity) / chassis.mass;
+        velocity = Math.sign(velocity) * Math.max(0, Math.abs(velocity) - held);
+    }
+
+    return {velocity: velocity, lateralVelocity: lateralVelocity, deltaAngle: deltaAngle, steering: steering, boost: boost};
+}
+
+/**
+ * Step a kart's movement forward by dt with the given input, its speed and turning change
+ * by the input and it drives along its heading.
+ * 
+ * How its speeds change depends on the kart's physics (check PHYSICS_MODES): the arcade's
+ * (check driveArcade) or a rigid body's that slides on its tires (check driveRigidBody).
+ * 
+ * Pressing drift while driving fast enough hops, steering during the hop starts a drift that
+ * way for as long as drift is held. A drifting kart turns by its drift (steering only tightens
+ * or widens the turn) and slides, pointing further into the turn than it travels. The longer
+ * the drift, the higher the tier of mini-turbo it charges, which is let out as a boost past the
+ * kart's top speed once drift is let go.
+ * 
+ * A kart spun out (check Kart.spinOut) ignores its input, spinning in place as it slows down.
+ * 
+ * The surface under the kart changes how it drives (check SURFACE_TYPES): off-road caps its
+ * speed and drags it down, ice takes away its grip and boost pads boost it like a mini-turbo.
+ * 
+ * Given the terrain, the kart drives up and down its ramps and bridges and flies off jumps
+ * (check followGround), in the air its speed stays as it was until it lands.
+ * 
+ * This is a pure function, the same state, input and dt always give exactly the same result
+ * (collisions are handled after it, check Kart.step).
+ * 
+ * @param {JSON} state {position: [x, y, z], angle, deltaAngle, velocity, lateralVelocity, steering,
+ *                     drift, driftCharge, hop, slip, boost, driftHeld, spin, verticalVelocity,
+ *                     airborne, pitch, roll} (check Kart.getState)
+ * @param {JSON} input {accelerate, brake, left, right, drift} (check Kart.readInput), with a gamepad (or touch) also
+ *                     {throttle, braking, steer} which drive proportionally instead (the keys
+ *                     drive like all the way, 1)
+ * @param {Number} dt 
+ * @param {JSON} params The kart's handling: physics, maxVelocityF, maxVelocityB, acceleration,
+ *                      slowDownSpeed, maxDeltaAngle, shortDeltaAngle, slowDownAngle, driftHandling
+ *                      and chassis (check Kart.setParams, a Kart has them all)
+ * @param {JSON} surface The surface under the kart (check World.surfaceAt), null on the road
+ * @param {World} terrain What the kart drives on (check World.groundAt), null to stay at the same height
+ * @returns {JSON} The new state
+ */
+export function stepKart(state, input, dt, params, surface = null, terrain = null) {
+    let {velocity, deltaAngle, angle, lateralVelocity = 0, steering = 0} = state;
+    let {drift = 0, driftCharge = 0, hop = 0, slip = 0, boost = 0, driftHeld = false, spin = 0} = state;
+    const handling = params.driftHandling;
+    const simulated = params.physics == "simulation";
+    const {boost: padBoost = 0} = surface || {};
+
+    if (spin > 0) {
+        input = {};
+    }
+
+    const throttle = "throttle" in input ? input.throttle : input.accelerate ? 1 : 0;
+    const braking = "braking" in input ? input.braking : input.brake ? 1 : 0;
+    const steer = "steer" in input ? input.steer : input.left ? 1 : input.right ? -1 : 0;
+
+    // Hop when drift is first pressed, steering during the hop picks the way to drift
+    if (input.drift && !driftHeld && drift == 0 && hop == 0 && velocity >= handling.minSpeed) {
+        hop = handling.hopTime;
+    } else if (hop > 0) {
+        // Landing once less than half a step is left (the steps do not add up to exact seconds)
+        hop = hop - dt > dt / 2 ? hop - dt : 0;
+    }
+    if (hop > 0 && drift == 0 && steer != 0) {
+        drift = Math.sign(steer);
+    }
+
+    if (drift != 0 && (!input.drift || velocity < handling.minSpeed)) {
+        // The drift is over, let out the mini-turbo it charged
+        let tier = miniTurboTier(driftCharge, handling);
+        if (tier > 0) {
+            boost = Math.max(boost, handling.boostTimes[tier - 1]);
+        }
+        drift = 0;
+        driftCharge = 0;
+    } else if (drift != 0 && hop == 0) {
+        driftCharge += dt;
+    }
+    driftHeld = !!input.drift;
+
+    // A boost pad keeps boosting for as long as the kart is on it
+    boost = Math.max(boost, padBoost);
+
+    // How its speeds change, by the kart's physics
+    const drive = simulated ? driveRigidBody : driveArcade;
+    ({velocity, lateralVelocity, deltaAngle, steering, boost} = drive(state, {throttle, braking, steer, drift, boost}, dt, params, surface));
+
+    if (spin > 0) {
+        // Spin in place until the spin out is over
+        spin = spin - dt > dt / 2 ? spin - dt : 0;
+        velocity *= SPIN_DRAG;
+        lateralVelocity *= SPIN_DRAG;
+        deltaAngle = spin > 0 ? SPIN_RATE : 0;
+    }
+
+    // Slide out while drifting (pointing into the turn past where the kart travels), and back in
+    // after. A rigid body kart really slides instead (check driveRigidBody).
+    let slipTarget = simulated ? 0 : drift * handling.slip;
+    let slipStep = dt * handling.slipRate;
+    slip = slip < slipTarget ? Math.min(slipTarget, slip + slipStep) : Math.max(slipTarget, slip - slipStep);
+
+    // Rotation for given angle, then drive along it (less the slide) and sideways to the left as fast as it slides
+    angle = (angle + dt * deltaAngle) % (2 * Math.PI);
+    let travel = angle - slip;
+
+    let [x, y, z] = state.position;
+    let next = [
+        x + dt * velocity * Math.sin(travel) + dt * lateralVelocity * Math.cos(travel),
+        y,
+        z + dt * velocity * Math.cos(travel) - dt * lateralVelocity * Math.sin(travel)
+    ];
+
+    // Then up and down whatever it drives on
+    let {verticalVelocity = 0, airborne = false, pitch = 0, roll = 0} = state;
+    if (terrain) {
+        ({position: next, velocity, verticalVelocity, airborne, pitch, roll} = followGround(state, next, velocity, angle, dt, terrain));
+    }
+
+    return {
+        position: next,
+        angle: angle,
+        deltaAngle: deltaAngle,
+        velocity: velocity,
+        lateralVelocity: lateralVelocity,
+        steering: steering,
+        drift: drift,
+        driftCharge: driftCharge,
+        hop: hop,
+        slip: slip,
+        boost: boost,
+        driftHeld: driftHeld,
+        spin: spin,
+        verticalVelocity: verticalVelocity,
+        airborne: airborne,
+        pitch: pitch,
+        roll: roll
+    };
+}
+
+/**
+ * The body of a kart.
+ * 
+ * Karts move themselves (check Kart.step) instead of the simulation integrating their
+ * velocity, the body only remembers where it was at the start of the step so that it is
+ * drawn in between.
+ */
+class KartBody extends Body {
+    advance(time_amount) {
+        // The kart has already moved the body
+    }
+
+    /**
+     * Remember where the body is as where it was on the last step.
+     */
+    beginStep() {
+        this.previous = {center: this.center.copy(), orientation: this.orientation.copy()};
+    }
+
+    /**
+     * Put the body at the given location, which is also where it is collided with until it is
+     * next drawn.
+     * @param {Mat4} location_matrix 
+     */
+    place(location_matrix) {
+        this.center = location_matrix.times(vec4(0, 0, 0, 1)).to3();
+        this.orientation = Quaternion.from_matrix(location_matrix);
+        this.drawn_location = location_matrix;
     }
 }
 
@@ -36,18 +562,59 @@ export class Kart {
      * kart's body may collide with.
      * @param {BruinKart} game 
      * @param {String} kartType BruinKart / Clown / Toad
-     * @param {String} worldType default / classic
+     * @param {JSON} start Where the kart begins, {position: [x, y, z], angle: <Number>}
+     *                     (usually a slot of the world's start grid)
      */
-    constructor(game, kartType="BruinKart", worldType="default") {
+    constructor(game, kartType="BruinKart", start={position: [112, 1, 128], angle: 0}) {
         this.game = game;
         this.kartType = kartType;
 
-        // Set the default position based on the world we are in
-        this.startingPosition = [112, 1, 128];
-        if (worldType == "classic") {
-            this.startingPosition = [-40, 1, 0];
-        }
+        // Set the starting position and facing given by the world we are in
+        this.startingPosition = start.position;
+        this.startingAngle = start.angle;
         
+        // The kart's state (check getState), updated on every step
+        this.position = [...this.startingPosition];
+        this.angle = this.startingAngle;
+        this.deltaAngle = 0;
+        this.velocity = 0;
+
+        // With the simulation physics (check driveRigidBody), how fast the kart slides sideways (to
+        // its left) and how far (radians) its front wheels are turned to the left
+        this.lateralVelocity = 0;
+        this.steering = 0;
+
+        // The drift (check stepKart): which way the kart is drifting (1 left, -1 right, 0 not at all),
+        // the seconds it has drifted, what is left of its hop and boost (seconds), how far it slides
+        // (radians between its heading and where it travels) and if drift was held on the last step
+        this.drift = 0;
+        this.driftCharge = 0;
+        this.hop = 0;
+        this.slip = 0;
+        this.boost = 0;
+        this.driftHeld = false;
+
+        // What is left (seconds) of the kart's spin out (check spinOut)
+        this.spin = 0;
+
+        // Up and down the terrain (check followGround): how fast the kart climbs (world units per
+        // second, falling when negative), if it is in the air and how far (radians) it tips its nose
+        // up and its right side up
+        this.verticalVelocity = 0;
+        this.airborne = false;
+        this.pitch = 0;
+        this.roll = 0;
+
+        // The item the kart holds (a key of ITEMS, check items.js) and for how long (seconds) it has
+        // held it, what is left (seconds) of its shield and if use item was held on the last step
+        this.item = null;
+        this.itemTime = 0;
+        this.shield = 0;
+        this.useHeld = false;
+
+        // The surface the kart was last on (check World.surfaceAt), null on the road
+        this.surface = null;
+
         // Provide ability to alter Kart default parameters through options
         this.generateBody(kartType);
 
@@ -62,13 +629,31 @@ export class Kart {
         this.shortDeltaAngle = Math.PI / 128; // How much the kart can change its angle per frame
         this.slowDownAngle = Math.PI / 512;
 
+        // Drift Defaults (check stepKart)
+        this.driftHandling = {
+            minSpeed: 5, // The slowest the kart can drift at
+            hopTime: .25, // How long (seconds) the hop before a drift lasts
+            turn: .7, // How sharply the kart turns while drifting (of maxDeltaAngle)
+            control: .4, // How much steering into (or out of) the drift tightens (or widens) the turn
+            slip: Math.PI / 8, // How far the kart points into the turn past where it travels
+            slipRate: Math.PI / 2, // How fast (radians per second) it slides out and back
+            tiers: [.8, 1.6, 2.6], // How long (seconds) to drift to charge each tier of mini-turbo
+            boostTimes: [.5, 1, 1.6], // How long (seconds) the boost of each tier lasts
+            boostSpeed: 1.4, // How far past maxVelocityF a boost goes (of maxVelocityF)
+            boostAcceleration: 4 // How much quicker the kart accelerates while boosting (of acceleration)
+        };
+
         // Then change the above values if based on the selected kartType
         this.setParams(kartType);
 
-        // Update params per frame
-        this.angle = 0;
-        this.deltaAngle = 0;
-        this.velocity = 0;
+        // The physics the kart drives with (check PHYSICS_MODES) and how it is built for the
+        // simulation physics, which then decides how it drives instead of the values above
+        this.physics = game.physics || "arcade";
+        this.chassis = {...(KART_PHYSICS[kartType] || KART_PHYSICS.BruinKart)};
+        if (this.physics == "simulation") {
+            this.setChassisParams(game.dt);
+        }
+
 
         // Collider Default
         this.collider = {
@@ -77,8 +662,156 @@ export class Kart {
             leeways: [1, 1, 1]
         }
 
-        // Position
-        this.lastCenter = null;
+
+        /**
+         * Who drives this kart, if null the kart is driven by the keyboard.
+         * 
+         * Otherwise an object with a function getInput(dt) returning the same input the
+         * keyboard would (check readInput), i.e. an AIDriver.
+         */
+        this.driver = null;
+
+        // The input the kart was last driven with (check readInput), recorded by replays
+        this.lastInput = null;
+
+        // What the kart hit on its last step, the indices of the walls (in game.staticBodies) and the other karts
+        // (that it bumped into or that bumped into it)
+        this.collisions = {walls: [], karts: []};
+
+        // Why the kart was put back on the track on its last step (check respawnReason), null if it was not
+        this.respawned = null;
+
+        // What is left (seconds) of the kart being lowered back onto the track and of nothing being
+        // able to hit it after that, and if reset was held on the last step
+        this.respawning = 0;
+        this.invulnerable = 0;
+        this.resetHeld = false;
+
+        // Where the kart last got somewhere and how long (seconds) it has been driven since without
+        // getting away from there (check respawnReason)
+        this.stuckAt = [...this.position];
+        this.stuckTime = 0;
+
+        // Race progress (which checkpoint is next, laps and this lap's ghost)
+        this.resetProgress();
+    }
+
+    /**
+     * Start the kart's race over.
+     * 
+     * Every kart keeps its own progress around the track:
+     * checkpointIndex = The index of the next checkpoint to cross (the last one is the finish line)
+     * laps = The number of laps completed
+     * lapTime = The simulation time (seconds) spent on the current lap
+     * splits = The lapTime at each checkpoint crossed this lap (the last one is the lap time)
+     * raceTime = The simulation time (seconds) spent racing, finishTime is set to it when the
+     *            kart finishes a race (null until then, check Race.checkFinish)
+     * currentGhost = The positions recorded this lap, [[lapTime, x, y, z, angle], ...] (check ghost.js)
+     * lastLap / bestLap = {time, ghost, splits} of the last completed / fastest lap, null until there is one
+     */
+    resetProgress() {
+        this.checkpointIndex = 0;
+        this.laps = 0;
+        this.lapTime = 0;
+        this.splits = [];
+        this.raceTime = 0;
+        this.finishTime = null;
+        this.currentGhost = [];
+        this.lastLap = null;
+        this.bestLap = null;
+    }
+
+    /**
+     * Mark the given checkpoint as crossed, completing a lap if it was the last one.
+     * 
+     * @param {Number} checkpointCount The number of checkpoints on the track
+     * @returns {Boolean} true if a lap was just completed
+     */
+    passCheckpoint(checkpointCount) {
+        this.checkpointIndex++;
+        this.splits.push(this.lapTime);
+
+        if (this.checkpointIndex < checkpointCount) {
+            return false;
+        }
+
+        this.checkpointIndex = 0;
+        this.laps++;
+
+        this.lastLap = {time: this.lapTime, ghost: this.currentGhost, splits: this.splits};
+        if (!this.bestLap || this.lastLap.time < this.bestLap.time) {
+            this.bestLap = this.lastLap;
+        }
+
+        this.lapTime = 0;
+        this.splits = [];
+        this.currentGhost = [];
+        return true;
+    }
+
+    /**
+     * Cross the kart's next checkpoint if it is touching it, or passed through it since the last
+     * step (check passedThrough), (check passCheckpoint).
+     * 
+     * @param {JSON[]} checkpoints The world's checkpoints (check World.addCheckpoint)
+     * @returns {JSON} {index, time, lapCompleted} of the checkpoint crossed (time is the split,
+     *                 the time into the lap it was crossed at), null if none was
+     */
+    crossCheckpoint(checkpoints) {
+        let next = checkpoints[this.checkpointIndex];
+        if (!this.body.check_if_colliding(next.body, {...this.collider, leeways: next.leeway}) && !this.passedThrough(next)) {
+            return null;
+        }
+
+        let crossed = {index: this.checkpointIndex, time: this.lapTime};
+        crossed.lapCompleted = this.passCheckpoint(checkpoints.length);
+        return crossed;
+    }
+
+    /**
+     * If the kart passed through the given checkpoint on its way from where it was on the last
+     * step to where it is now, touching it in between even though it touches it at neither end
+     * (a fast kart can move further in a step than a checkpoint is thick).
+     * 
+     * The path of the kart's center is tested against the checkpoint's box (as far as its
+     * leeway, check World.addCheckpoint) grown by how far the kart reaches from its center.
+     * @param {JSON} checkpoint 
+     * @returns {Boolean}
+     */
+    passedThrough(checkpoint) {
+        const [from, to] = [this.body.previous.center, this.body.center];
+        const center = checkpoint.body.center;
+        const {axes, half} = this.body.get_box();
+
+        // The part of the path (from 0 to 1) inside the grown box, along each axis in turn
+        let [enter, exit] = [0, 1];
+        for (let k = 0; k < 3; k++) {
+            let reach = checkpoint.leeway[k] + axes.reduce((sum, axis, i) => sum + half[i] * Math.abs(axis[k]), 0);
+            let [low, high] = [center[k] - reach, center[k] + reach];
+            let change = to[k] - from[k];
+
+            if (change == 0) {
+                if (from[k] < low || from[k] > high) {
+                    return false;
+                }
+                continue;
+            }
+
+            let [first, second] = [(low - from[k]) / change, (high - from[k]) / change];
+            enter = Math.max(enter, Math.min(first, second));
+            exit = Math.min(exit, Math.max(first, second));
+            if (enter > exit) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Save the kart's position to this lap's ghost (called once every simulation step).
+     */
+    recordGhost() {
+        this.currentGhost.push([this.lapTime, ...this.getLoc()]);
     }
 
     /**
@@ -98,6 +831,10 @@ export class Kart {
                 this.acceleration = .02;
 
                 this.shortDeltaAngle = Math.PI / 700;
+
+                // Slow to charge, but the longest boosts
+                this.driftHandling.tiers = [1.2, 2.2, 3.4];
+                this.driftHandling.boostTimes = [.8, 1.4, 2.2];
                 break;
             case "Toad":
                 this.maxVelocityF = 10;
@@ -105,6 +842,12 @@ export class Kart {
                 this.acceleration = .1;
 
                 this.shortDeltaAngle = Math.PI / 90;
+
+                // Tight, quick drifts with short boosts
+                this.driftHandling.turn = .85;
+                this.driftHandling.tiers = [.5, 1.1, 1.8];
+                this.driftHandling.boostTimes = [.3, .6, 1];
+                this.driftHandling.boostSpeed = 1.6;
                 break;
             default:
                 return;
@@ -114,13 +857,40 @@ export class Kart {
     }
 
     /**
-     * Taking the kartType into account, load the corresponding model.
+     * Work out the kart's top speeds, acceleration and turning from its chassis (check
+     * KART_PHYSICS), for a kart driving with the simulation physics. It does not drive by them,
+     * but they are what it is capable of (which the AI plans its driving with, check ai.js) and
+     * its boosts go past its top speed.
+     * @param {Number} dt The length of a simulation step (Simulation.dt), the acceleration and
+     *                    turning rate are per step like the arcade's (check setParams)
+     */
+    setChassisParams(dt) {
+        const chassis = this.chassis;
+
+        // The speed the given force pushes the kart at, where rolling resistance and drag hold it back as hard
+        const topSpeed = (force) =>
+            (Math.sqrt(chassis.rollingResistance ** 2 + 4 * chassis.drag * force) - chassis.rollingResistance) / (2 * chassis.drag);
+
+        this.maxVelocityF = topSpeed(chassis.engineForce);
+        this.maxVelocityB = -topSpeed(chassis.reverseForce);
+
+        // The speed gained in a step pulling away
+        this.acceleration = chassis.engineForce / chassis.mass * dt;
+
+        // At its top speed it turns as fast as its steering or the grip of its tires allows, whichever
+        // is less, getting there as quickly as its front wheels turn all the way
+        let grip = Math.min(chassis.frontGrip, chassis.rearGrip) * GRAVITY;
+        this.maxDeltaAngle = Math.min(this.maxVelocityF * chassis.maxSteer / chassis.wheelBase, grip / this.maxVelocityF);
+        this.shortDeltaAngle = this.maxDeltaAngle * chassis.steerRate / chassis.maxSteer * dt;
+    }
+
+    /**
+     * The model and material every kart of the given type is drawn with.
      * 
      * @param {String} kartType 
+     * @returns {JSON} {model, material}
      */
-    generateBody(kartType) {
-        // Generate a body accordingly
-        
+    static getModel(kartType) {
         // First set the defaults, then change if another option was chosen
         let model = globalShapes.kart1;
         let material = globalMaterials.kart1_texture;
@@ -138,129 +908,542 @@ export class Kart {
                 break;
         }
 
+        return {model, material};
+    }
+
+    /**
+     * Taking the kartType into account, load the corresponding model.
+     * 
+     * @param {String} kartType 
+     */
+    generateBody(kartType) {
+        // Generate a body accordingly
+        let {model, material} = Kart.getModel(kartType);
+
         let scale = vec3(1, 1, 1);
-        let location = Mat4.translation(...this.startingPosition);
         let velocity = vec3(0, 0, 0);
 
-        this.body = new Body(model, material, scale);
+        this.body = new KartBody(model, material, scale);
 
-        // Make sure to emplace the body (velocity and angular will be hijacked regardless)
-        this.body.emplace(location, velocity, 0);
+        // Make sure to emplace the body (the kart moves it itself from then on)
+        this.body.emplace(this.getMatrix(), velocity, 0, vec3(0, 1, 0));
     }
 
     /**
-     * Provide the kart's body into the game's body array
-     * @param {*} bodies 
+     * The kart's state, everything stepKart needs to know about it.
+     * @returns {JSON} {position: [x, y, z], angle, deltaAngle, velocity, lateralVelocity, steering, drift,
+     *                 driftCharge, hop, slip, boost, driftHeld, spin, verticalVelocity, airborne, pitch,
+     *                 roll} (check stepKart)
      */
-    initializeBody(bodies) {
-        bodies[0] = this.body;
+    getState() {
+        return {
+            position: [...this.position],
+            angle: this.angle,
+            deltaAngle: this.deltaAngle,
+            velocity: this.velocity,
+            lateralVelocity: this.lateralVelocity,
+            steering: this.steering,
+            drift: this.drift,
+            driftCharge: this.driftCharge,
+            hop: this.hop,
+            slip: this.slip,
+            boost: this.boost,
+            driftHeld: this.driftHeld,
+            spin: this.spin,
+            verticalVelocity: this.verticalVelocity,
+            airborne: this.airborne,
+            pitch: this.pitch,
+            roll: this.roll
+        };
     }
 
     /**
-     * Update the body based on user inputs.
-     * 
-     * We hijack movement and rotation controls from the simulation here.
-     * @param {*} dt 
+     * Set the kart's state (check getState), moving its body there.
+     * @param {JSON} state 
+     */
+    setState(state) {
+        this.position = [...state.position];
+        this.angle = state.angle;
+        this.deltaAngle = state.deltaAngle;
+        this.velocity = state.velocity;
+        this.lateralVelocity = state.lateralVelocity;
+        this.steering = state.steering;
+        this.drift = state.drift;
+        this.driftCharge = state.driftCharge;
+        this.hop = state.hop;
+        this.slip = state.slip;
+        this.boost = state.boost;
+        this.driftHeld = state.driftHeld;
+        this.spin = state.spin;
+        this.verticalVelocity = state.verticalVelocity;
+        this.airborne = state.airborne;
+        this.pitch = state.pitch;
+        this.roll = state.roll;
+
+        this.body.place(this.getMatrix());
+    }
+
+    /**
+     * The kart's location as a matrix (its position, turned by its angle and tilted by its pitch
+     * and roll, raised while it hops and while it is lowered back onto the track).
+     * @returns {Mat4}
+     */
+    getMatrix() {
+        let lift = this.hop > 0 ? HOP_HEIGHT * Math.sin(Math.PI * this.hop / this.driftHandling.hopTime) : 0;
+        lift += RESPAWN_HEIGHT * this.respawning / RESPAWN_TIME;
+        let matrix = Mat4.translation(this.position[0], this.position[1] + lift, this.position[2]).times(Mat4.rotation(this.angle, 0, 1, 0));
+
+        if (this.pitch != 0 || this.roll != 0) {
+            matrix = matrix.times(Mat4.rotation(-this.pitch, 1, 0, 0)).times(Mat4.rotation(this.roll, 0, 0, 1));
+        }
+        return matrix;
+    }
+
+    /**
+     * Put the body back exactly where the kart is (it may have been drawn in between two steps
+     * since), so that collisions with it are tested the same way every time.
+     */
+    settle() {
+        this.body.place(this.getMatrix());
+
+        // Every kart is settled before any of them steps, so a bump recorded by either kart stays
+        this.collisions = {walls: [], karts: []};
+    }
+
+    /**
+     * Step the kart with the input the keyboard or its driver gives for this step.
+     * @param {Number} dt 
      */
     update(dt) {
-        // First update the kart's current movement based on user input
-        this.updateUserInput();
+        this.step(this.readInput(dt), dt);
+    }
 
-        // Rotation for given angle
-        this.angle += dt * this.deltaAngle;
-        this.angle = this.angle % (2 * Math.PI);
-        
-        // Get the current location and rotate it by the angle
-        let location = this.body.center;
-        location = Mat4.translation(...location);
-        location = location.times(Mat4.rotation(this.angle, 0, 1, 0));
+    /**
+     * Step the kart forward by dt with the given input.
+     * 
+     * The kart's movement is stepKart, and the collisions after it only depend on where the
+     * karts and walls are, so the same state and inputs always give the same result.
+     * 
+     * A kart that fell off the track, is stuck or was reset is put back on it (check
+     * respawnReason) and held there for RESPAWN_TIME while its lap time keeps counting.
+     * @param {JSON} input {accelerate, brake, left, right, drift, useItem, reset} (check readInput)
+     * @param {Number} dt 
+     */
+    step(input, dt) {
+        this.lastInput = input;
+        this.respawned = null;
 
-        // Calculate rotation for velocity
-        let linear_velocity = vec3(Math.sin(this.angle), 0, Math.cos(this.angle)).times(this.velocity);
-        
-        // Apply emplace
-        this.body.emplace(location, linear_velocity, 0);
+        // Reset only counts when it is pressed, not while it is held down
+        let resetPressed = !!input.reset && !this.resetHeld;
+        this.resetHeld = !!input.reset;
+
+        if (this.respawning > 0) {
+            // Still being lowered onto the track, where the kart stays put
+            this.body.beginStep();
+            this.respawning = this.respawning - dt > dt / 2 ? this.respawning - dt : 0;
+            this.settle();
+        }
+        else {
+            // The surface under the kart changes how it drives (check World.surfaceAt)
+            const world = this.game.world;
+            this.surface = world ? world.surfaceAt(this.position[0], this.position[2]) : null;
+
+            let previous = this.getState();
+            this.body.beginStep();
+            this.setState(stepKart(previous, input, dt, this, this.surface, world));
 
-        this.lastCenter = this.body.center;
+            // Handle collisions with the walls of the world (the first one on the way, however fast
+            // the kart went), then with the other karts
+            this.sweepWalls(previous);
+            this.handleCollisions(previous);
+            this.handleKartCollisions();
 
-        // Handle collisions with other bodies in the game world (Maybe send the location and linear_velocity to the collisions?)
-        this.handleCollisions(location);
+            this.invulnerable = this.invulnerable - dt > dt / 2 ? this.invulnerable - dt : 0;
+
+            this.respawned = this.respawnReason(input, resetPressed, dt);
+            if (this.respawned) {
+                this.respawn();
+            }
+        }
+
+        this.lapTime += dt;
+        this.raceTime += dt;
+        this.recordGhost();
     }
 
     /**
-     * Update the kart's parameters based on the input provided through the keyboard.
+     * Read the input for this update, from the kart's driver if it has one and from the
+     * keyboard (and the gamepad or touch controls, if there are any) otherwise.
      * 
-     * We update parameters such as this.velocity and this.deltaAngle.
-     */
-    updateUserInput() {
-        // We use the globally set keys to see if a certain key is pressed
-        // For now just use I, J, K, L for driving (73, 74, 75, 76)
-
-        if (keys[73]) { // I
-            // Accelerate
-            this.velocity = Math.min(this.velocity + this.acceleration, this.maxVelocityF);
-        } else if (keys[75]) { // K
-            // Decelerate
-            this.velocity = Math.max(this.velocity - this.acceleration, this.maxVelocityB);
-        } else {
-            // Create an artificial slow down effect
-            this.velocity += this.velocity > 0 ? -1 * this.slowDownSpeed : this.slowDownSpeed;
-        }
-
-        if (keys[74]) { // J
-            // Turn Left
-            this.deltaAngle = Math.min(this.maxDeltaAngle, this.deltaAngle + this.shortDeltaAngle);
-        } else if (keys[76]) { // L
-            // Turn Right
-            this.deltaAngle = Math.max(-1 * this.maxDeltaAngle, this.deltaAngle - this.shortDeltaAngle);
-        } else {
-            // Create an artificial straightening effect
-            if (Math.abs(this.deltaAngle) < this.slowDownAngle) {
-                this.deltaAngle = 0;
+     * @param {Number} dt 
+     * @returns {JSON} {accelerate, brake, left, right, drift, useItem, reset}, all booleans, with a gamepad or touch
+     *                 controls also their {throttle, braking, steer} (check stepKart)
+     */
+    readInput(dt) {
+        if (this.driver) {
+            return this.driver.getInput(dt);
+        }
+
+        // The keys are whatever the player bound to driving (check input.js)
+        let input = {
+            accelerate: isPressed("accelerate"),
+            brake: isPressed("brake"),
+            left: isPressed("steerLeft"),
+            right: isPressed("steerRight"),
+            drift: isPressed("drift"),
+            useItem: isPressed("useItem"),
+            reset: isPressed("reset")
+        };
+
+        let analog = readAnalog();
+        if (!analog) {
+            return input;
+        }
+
+        // A key held down counts as all the way, the stick only steers when it is moved
+        let throttle = Math.max(analog.throttle, input.accelerate ? 1 : 0);
+        let braking = Math.max(analog.braking, input.brake ? 1 : 0);
+        let steer = analog.steer != 0 ? analog.steer : input.left ? 1 : input.right ? -1 : 0;
+
+        return {
+            accelerate: throttle > 0,
+            brake: braking > 0,
+            left: steer > 0,
+            right: steer < 0,
+            drift: input.drift || analog.drift,
+            useItem: input.useItem || analog.useItem,
+            reset: input.reset || analog.reset,
+            throttle: throttle,
+            braking: braking,
+            steer: steer
+        };
+    }
+
+    /**
+     * The indices (in game.staticBodies) of the walls the kart is touching right now.
+     * @returns {Number[]}
+     */
+    touchingWalls() {
+        const walls = this.game.staticBodies;
+        const broadphase = this.game.world ? this.game.world.broadphase : null;
+
+        // Only the walls near the kart can be touched (every wall without a world's broadphase)
+        let nearby = broadphase ? broadphase.query(...groundBounds(this.body)) : walls.map((wall, i) => i);
+        return nearby.filter(i => this.body.collide(walls[i]));
+    }
+
+    /**
+     * Continuous collision detection: move the kart back along its path this step to where it
+     * first touched a wall, if it touched one on the way.
+     * 
+     * A fast kart moves further in a step than a thin wall is thick, so only testing where it
+     * ends up lets it go right through the wall (or end up deep enough in it to be pushed out of
+     * its far side). Instead it is moved along its path SWEEP_STEP at a time, stopping at the
+     * first point it touches a wall (where handleCollisions pushes it back out the side it came
+     * from).
+     * @param {JSON} previous The kart's state before this step (check getState)
+     */
+    sweepWalls(previous) {
+        const [from, to] = [previous.position, [...this.position]];
+        let samples = Math.ceil(Math.hypot(to[0] - from[0], to[2] - from[2]) / SWEEP_STEP);
+
+        for (let sample = 1; sample < samples; sample++) {
+            let along = sample / samples;
+            this.setState({...this.getState(), position: from.map((value, i) => value + (to[i] - value) * along)});
+
+            if (this.touchingWalls().length > 0) {
                 return;
             }
-            this.deltaAngle += this.deltaAngle > 0 ? -1 * this.slowDownAngle : this.slowDownAngle;
         }
+
+        this.setState({...this.getState(), position: to});
     }
 
     /**
-     * Handle Collisions by changing the way the kart reacts with its velocity.
+     * Handle Collisions with the world's walls (game.staticBodies).
+     * 
+     * The kart is pushed out of any wall it ended up in along the ground, the way the contact
+     * says is out (check Body.collide). Hitting a wall at up to SLIDE_ANGLE turns the kart to
+     * slide along it, losing speed in proportion to the angle it hit at (a glancing blow barely
+     * slows it), and anything steeper bounces it back off.
+     * 
+     * Being pushed out of one wall can push the kart into another (i.e. in a corner), so the
+     * walls are gone over until it is out of all of them.
+     * @param {JSON} previous The kart's state before this step (check getState)
      */
-    handleCollisions(prevLocation) {
-        // The inverse of the first body must be set
-        this.body.inverse = Mat4.inverse(this.body.drawn_location);
+    handleCollisions(previous) {
+        const walls = this.game.staticBodies;
 
-        for (let i = 1; i < this.game.bodies.length; i++) {
-            if (this.body.check_if_colliding(this.game.bodies[i], this.collider)) {
-                /**
-                 * We assume that the Kart is always traveling forward, in which case,
-                 * after it incurs a collision, it can either end up solely at some distance
-                 * on its x-axis or or on its z-axis, depending on the current angle.
-                 */
-                
-                if (Math.abs(this.velocity) < 10 * this.slowDownSpeed) {
-                    // The user turned in, so push the angle back
-                    this.deltaAngle = -this.deltaAngle;
-                    return;
+        for (let pass = 0; pass < 3; pass++) {
+            let touching = this.touchingWalls();
+
+            for (let i of touching) {
+                // Pushing the kart out of an earlier wall may have pushed it out of this one too
+                let contact = this.body.collide(walls[i]);
+                if (!contact) {
+                    continue;
+                }
+                if (!this.collisions.walls.includes(i)) {
+                    this.collisions.walls.push(i);
                 }
 
-                // First reduce the velocity
-                let val = 2 * this.velocity;
-                let Z_PUSH = val / 5;
-                this.velocity = 0;
-                
-                prevLocation = prevLocation.times(Mat4.translation(0, 0, -Z_PUSH));
-                
-                // Apply emplace
-                this.body.emplace(prevLocation, vec3(0, 0, -val), 0);
-                this.body.inverse = Mat4.inverse(this.body.drawn_location);
+                // Hitting a wall loses the drift, and the mini-turbo it charged, and stops any slide
+                this.drift = 0;
+                this.driftCharge = 0;
+                this.slip = 0;
+                this.lateralVelocity = 0;
 
-                if (this.body.check_if_colliding(this.game.bodies[i], this.collider)) {
-                    prevLocation = prevLocation.times(Mat4.translation(0, 0, 2 * Z_PUSH));
-                    this.body.emplace(prevLocation, vec3(0, 0, val), 0);
+                let normal = vec3(contact.normal[0], 0, contact.normal[2]);
+                if (normal.norm() < .5) {
+                    // It came down on top of the wall (i.e. off a jump), back to where it was
+                    this.setState({...this.getState(), position: [previous.position[0], this.position[1], previous.position[2]]});
+                    continue;
                 }
 
-                this.velocity = -val / 5;
+                // Out along the ground, far enough to be out along the contact's normal
+                let push = contact.depth / normal.norm() + WALL_SKIN;
+                normal = normal.normalized();
+                let position = [this.position[0] + push * normal[0], this.position[1], this.position[2] + push * normal[2]];
+
+                // How steeply (radians) it was driving into the wall, 0 along it to PI / 2 head on
+                let forward = this.velocity < 0 ? -1 : 1;
+                let travel = vec3(forward * Math.sin(this.angle), 0, forward * Math.cos(this.angle));
+                let into = -travel.dot(normal);
+                let angle = this.angle;
+                let velocity = this.velocity;
+
+                if (into > 0) {
+                    let impact = Math.asin(Math.min(1, into));
+
+                    if (impact > SLIDE_ANGLE) {
+                        velocity = -WALL_BOUNCE * velocity;
+                    }
+                    else {
+                        // Turn along the wall (keeping which way the kart points, reversing or not)
+                        let along = travel.plus(normal.times(into)).normalized().times(forward);
+                        angle = Math.atan2(along[0], along[2]);
+                        velocity *= 1 - impact / (Math.PI / 2);
+                    }
+                }
+
+                this.setState({...this.getState(), position: position, angle: angle, velocity: velocity});
+            }
+
+            if (touching.length == 0) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Bump into any other kart we are touching.
+     * 
+     * Both karts are pushed apart along the line between them and trade part of their
+     * speed along that line, so a faster kart shoves a slower one forward rather than stopping
+     * dead and two karts driving head-on into each other both slow down.
+     */
+    handleKartCollisions() {
+        for (let other of this.game.karts) {
+            // A kart just put back on the track passes through the others (check respawn)
+            if (other == this || this.invulnerable > 0 || other.invulnerable > 0) {
+                continue;
+            }
+            let contact = this.body.collide(other.body);
+            if (!contact) {
+                continue;
+            }
+            this.collisions.karts.push(other);
+            other.collisions.karts.push(this);
+
+            // The way out of the other kart along the ground (straight back if we are on top of it)
+            let away = vec3(contact.normal[0], 0, contact.normal[2]);
+            away = away.norm() > 1e-6 ? away.normalized() : vec3(-Math.sin(this.angle), 0, -Math.cos(this.angle));
+
+            let push = Math.max(BUMP_DISTANCE, contact.depth);
+            this.nudge(away.times(push / 2));
+            other.nudge(away.times(-push / 2));
+
+            // How much of each kart's heading (and so of its speed) points along the line between them
+            let myShare = vec3(Math.sin(this.angle), 0, Math.cos(this.angle)).dot(away);
+            let theirShare = vec3(Math.sin(other.angle), 0, Math.cos(other.angle)).dot(away);
+
+            // Only karts closing in on each other trade speed
+            let closing = other.velocity * theirShare - this.velocity * myShare;
+            if (closing <= 0) {
+                continue;
+            }
+
+            // Each takes part of the other's speed along the line, which they can only gain or lose along their heading
+            let traded = closing * BUMP_TRANSFER;
+            this.velocity += traded * myShare;
+            other.velocity -= traded * theirShare;
+        }
+    }
+
+    /**
+     * Spin the kart out (it was hit by an item), losing its drift and boost, unless its shield
+     * takes the hit instead.
+     * @returns {Boolean} true if the kart spun out, false if its shield took the hit
+     */
+    spinOut() {
+        if (this.shield > 0) {
+            this.shield = 0;
+            return false;
+        }
+
+        this.spin = SPIN_TIME;
+        this.drift = 0;
+        this.driftCharge = 0;
+        this.boost = 0;
+        return true;
+    }
+
+    /**
+     * Why the kart has to be put back on the track after this step, if it does.
+     * 
+     * It fell off the track once it drops below FALL_HEIGHT, and is stuck once it has been driven
+     * (accelerating or braking) for STUCK_TIME without getting STUCK_DISTANCE from where it was,
+     * i.e. wedged into a corner.
+     * @param {JSON} input This step's input (check readInput)
+     * @param {Boolean} resetPressed If reset was pressed this step
+     * @param {Number} dt 
+     * @returns {String} fall / stuck / reset, null if the kart can keep going
+     */
+    respawnReason(input, resetPressed, dt) {
+        if (this.position[1] < FALL_HEIGHT) {
+            return "fall";
+        }
+        if (resetPressed) {
+            return "reset";
+        }
+
+        let driving = (input.accelerate || input.brake) && this.spin == 0;
+        if (driving && Math.hypot(this.position[0] - this.stuckAt[0], this.position[2] - this.stuckAt[2]) < STUCK_DISTANCE) {
+            this.stuckTime += dt;
+        }
+        else {
+            this.stuckAt = [...this.position];
+            this.stuckTime = 0;
+        }
+        return this.stuckTime > STUCK_TIME - dt / 2 ? "stuck" : null;
+    }
+
+    /**
+     * Put the kart back on the track, stopped at the last checkpoint it crossed (on the grid before
+     * it has crossed any) and facing along the racing line there.
+     * 
+     * It is then lowered onto the track for RESPAWN_TIME (check step), after which nothing can hit
+     * it for INVULNERABLE_TIME.
+     */
+    respawn() {
+        const checkpoints = this.game.checkpoints;
+        const world = this.game.world;
+        let last = this.checkpointIndex > 0 ? this.checkpointIndex - 1 : this.laps > 0 ? checkpoints.length - 1 : -1;
+
+        let position = [...this.startingPosition];
+        let angle = this.startingAngle;
+        if (last >= 0) {
+            let [x, y, z] = checkpoints[last].body.center;
+            position = [x, y, z];
+            if (world) {
+                angle = world.racingLineAt(x, z).heading;
+            }
+            else {
+                let [nextX, , nextZ] = checkpoints[(last + 1) % checkpoints.length].body.center;
+                angle = Math.atan2(nextX - x, nextZ - z);
+            }
+        }
+
+        // On whatever is under that spot (i.e. a bridge the checkpoint is on)
+        let ground = world ? world.groundAt(position[0], position[2], position[1] - RIDE_HEIGHT + STEP_HEIGHT) : null;
+        if (ground) {
+            position[1] = ground.height + RIDE_HEIGHT;
+        }
+
+        this.setState({
+            ...this.getState(),
+            position: position, angle: angle, deltaAngle: 0, velocity: 0, lateralVelocity: 0, steering: 0,
+            drift: 0, driftCharge: 0, hop: 0, slip: 0, boost: 0, spin: 0,
+            verticalVelocity: 0, airborne: false, pitch: 0, roll: 0
+        });
+
+        this.respawning = RESPAWN_TIME;
+        this.invulnerable = INVULNERABLE_TIME;
+        this.stuckAt = [...position];
+        this.stuckTime = 0;
+        this.settle();
+
+        // It appears there rather than being drawn moving there
+        this.body.beginStep();
+    }
+
+    /**
+     * Move the kart by the given offset without changing its heading.
+     * @param {Vector3} offset 
+     */
+    nudge(offset) {
+        this.setState({...this.getState(), position: this.position.map((value, i) => value + offset[i])});
+    }
+
+    /**
+     * Put the kart at the given location instead of driving it there (used to play back replays),
+     * it is drawn moving there from where it was on the last step.
+     * @param {Number[]} location [x, y, z, angle]
+     */
+    placeAt(location) {
+        let [x, y, z, angle] = location;
+
+        this.body.beginStep();
+        this.setState({...this.getState(), position: [x, y, z], angle: angle});
+    }
+
+    /**
+     * Draw the sparks behind the back wheels while a drift charges a mini-turbo (their color
+     * shows its tier), a flame while the kart boosts, a bubble around it while it is shielded and
+     * the line and cloud it hangs from while it is lowered back onto the track.
+     * @param {Context} context 
+     * @param {Program_State} program_state 
+     */
+    drawEffects(context, program_state) {
+        if (!effectMaterials) {
+            const glow = (color) => globalMaterials.default.override({color: color, ambient: 1, diffusivity: 0, specularity: 0});
+            effectMaterials = {
+                sparks: SPARK_COLORS.map(glow),
+                boost: glow(BOOST_COLOR),
+                shield: globalMaterials.default.override({color: SHIELD_COLOR, ambient: .8, specularity: 1}),
+                line: glow(LINE_COLOR),
+                cloud: globalMaterials.default.override({color: CLOUD_COLOR, ambient: .8})
+            };
+        }
+
+        let tier = miniTurboTier(this.driftCharge, this.driftHandling);
+        if (this.drift != 0 && this.hop == 0 && tier > 0) {
+            for (let side of [-1, 1]) {
+                let size = .15 + .1 * Math.random();
+                let transform = this.body.drawn_location.times(Mat4.translation(side * .8, -.6, -1.3)).times(Mat4.scale(size, size, size));
+                globalShapes.sphere.draw(context, program_state, transform, effectMaterials.sparks[tier - 1]);
+            }
+        }
+
+        if (this.boost > 0) {
+            let length = .5 + .2 * Math.random();
+            let transform = this.body.drawn_location.times(Mat4.translation(0, -.2, -1.5 - length)).times(Mat4.scale(.3, .3, length));
+            globalShapes.sphere.draw(context, program_state, transform, effectMaterials.boost);
+        }
+
+        if (this.shield > 0) {
+            let transform = this.body.drawn_location.times(Mat4.scale(2, 1.6, 2.4));
+            globalShapes.sphere.draw(context, program_state, transform, effectMaterials.shield);
+        }
+
+        // While it is lowered back onto the track the kart hangs on a line from a cloud above it
+        if (this.respawning > 0) {
+            let line = this.body.drawn_location.times(Mat4.translation(0, 1 + RESPAWN_HEIGHT, 0)).times(Mat4.scale(.05, RESPAWN_HEIGHT, .05));
+            globalShapes.cube.draw(context, program_state, line, effectMaterials.line);
+
+            for (let [x, size] of [[-.8, .8], [0, 1.1], [.8, .8]]) {
+                let cloud = this.body.drawn_location.times(Mat4.translation(x, 1 + 2 * RESPAWN_HEIGHT, 0)).times(Mat4.scale(size, .6 * size, size));
+                globalShapes.sphere.draw(context, program_state, cloud, effectMaterials.cloud);
             }
         }
     }
@@ -325,13 +1508,6 @@ export class Kart {
      * Return the current location and angle as a 4 x 1 array.
      */
     getLoc() {
-        if (!this.lastCenter) {
-            return null;
-        }
-        
-        let info = [...this.lastCenter];
-        info.push(this.angle);
-        
-        return info;
+        return [...this.position, this.angle];
     }
 }
\ No newline at end of file
@@ -2,7 +2,12 @@ import {defs, tiny} from './examples/common.js';
 import { Text_Line } from './examples/text-demo.js';
 import {Body, Simulation} from './physics.js';
 import {Kart} from './kart.js';
+import {AIDriver} from './ai.js';
+import {Race} from './race.js';
+import {ITEMS, Items} from './items.js';
 import {World} from './world.js';
+import {matches, pollGamepad} from './input.js';
+import {TouchControls, isTouchDevice} from './touch.js';
 import {Kart1, StadiumLight, Tire, Kart2, Kart3} from './model.js';
 
 
@@ -78,27 +83,47 @@ export class BruinKart extends Simulation {
         // The Matrix used to transform the camera
         this.currCamMatrix = null;
 
-        // Load the Kart, we load the world later
-        this.kart = new Kart(this);
-
-        // this.bodies allocated as empty array to hold all needed bodies
-
         /**
          * Because the internal makeup of this.bodies is an array (OOF!),
          * we need to ensure that all the elements in this.bodies correctly represent
          * both all bodies that need to be active and where they are located.
          * 
-         * In general, we only work with two types of bodies. 
-         * The first type is (this.bodies[0]) is the Kart.
-         * The Kart needs to be passed this body on every update_state so that
-         * it can hijack the placement and rotation behavior.
+         * In general, we only work with two types of bodies, which we keep in their own arrays
+         * and lay out in this.bodies (which the Simulation draws) with syncBodies:
          * 
-         * The second type is (this.bodies[1:]) is the bodies of the World that are collidable.
+         * The first type is the Karts (this.karts), the player's kart is always this.karts[0]
+         * (also this.kart) and any others are computer driven opponents. Each Kart updates its
+         * own body on every update_state, hijacking the placement and rotation behavior.
+         * 
+         * The second type is the bodies of the World that are collidable (this.staticBodies).
          * The World needs to only be passed its bodies array at the time of initialization.
          * 
+         * this.bodies = [...karts' bodies, ...staticBodies]
+         * 
          * The world now loads later
          */
-        this.kart.initializeBody(this.bodies);
+        this.karts = [];
+        this.staticBodies = [];
+
+        // The physics every kart is made with (check kart.js PHYSICS_MODES), chosen in the menu
+        this.physics = "arcade";
+
+        // Load the Kart, we load the world later
+        this.setPlayerKart(new Kart(this));
+
+        // The race between this.karts (check race.js), started by the GUIController once everyone is on the grid
+        this.race = null;
+
+        // The item boxes and items of the race (check items.js), made with it
+        this.items = null;
+
+        /**
+         * Replays (check replay.js), while this.recorder is set every update of the karts is recorded
+         * into it, while this.replay is set (a ReplayPlayer) the karts are not driven but placed where
+         * the replay has them instead.
+         */
+        this.recorder = null;
+        this.replay = null;
 
         /**
          * Checkpoint Logic
@@ -107,23 +132,23 @@ export class BruinKart extends Simulation {
          * 
          * The last checkpoint represents the end of a lap.
          * 
-         * We keep track of a checkpoint index, and solely test collision between the 
-         * kart's body and this invisible checkpoint (by not adding each checkpoint body
-         * to this.bodies, they are not rendered and the collision for the kart is not applied).
+         * Every kart keeps track of its own checkpoint index (check Kart.resetProgress), and we
+         * solely test collision between each kart's body and its next invisible checkpoint (by not
+         * adding each checkpoint body to this.bodies, they are not rendered and the collision
+         * for the kart is not applied).
          */
         this.setupCheckpoints = () => {
-            this.collider = {
-                intersect_test: Body.intersect_cube, 
-                points: new defs.Cube(), 
-            }
             this.checkpoints = [];
             this.world.initializeCheckpoints(this.checkpoints);
-            this.checkpointIndex = 0;
-            this.laps = 0;
+
+            for (let kart of this.karts) {
+                kart.resetProgress();
+            }
         };
     
         // Now load the world, in this way we can initialize the skybox correctly
-        this.loadWorld("default");
+        // (if the track cannot be fetched or is malformed, tell the user like initGame does)
+        this.loadWorld("default").catch(error => alert(error.message));
 
         // We also have access to simulation time variables (check default Simulation Class)
 
@@ -140,6 +165,9 @@ export class BruinKart extends Simulation {
         this.attachedCamera = "kartBack";
         this.cameraListener = false;
 
+        // If set (i.e. by the track editor), this camera matrix is used instead of any kart camera
+        this.cameraOverride = null;
+
         /**
          * GUIController Flags and Helper Funcs, the GUIController will set/use these 
          * defined immediately below, which is used to divert user
@@ -156,6 +184,9 @@ export class BruinKart extends Simulation {
         this.controller = new GUIController(this);
         this.initialized = false;
 
+        // The touch controls (check touch.js), only made on touch devices once the canvas exists
+        this.touch = null;
+
         // NEW FEATURE: Initialize the Ghost variables
         this.ghostPos = null;
     }
@@ -164,38 +195,165 @@ export class BruinKart extends Simulation {
      * Asynchronously load a world and return when it has been processed on screen.
      * 
      * 
-     * @param {*} worldName 
+     * @param {String|JSON} track The name of a bundled track (default / classic), a URL
+     *                            to a track file or the track JSON itself (check track.js)
+     */
+    async loadWorld(track) {
+        // Get the world (fetching the track if needed) before we clear the current one
+        this.setWorld(await World.load(track));
+
+        const delay = (ms = 500) => new Promise(callMeToResolve => setTimeout(callMeToResolve, ms));
+
+        // We don't have a way to actually measure how long it takes it to load the textures so we just guess it take 1/10 second atmost
+        return await delay(100);
+    }
+
+    /**
+     * Replace the current world with the given (already built) world immediately.
+     * 
+     * @param {World} world 
      */
-    async loadWorld(worldName) {
-        // Clear all bodies relevant to current world
-        this.bodies.splice(1, this.bodies.length - 1);
+    setWorld(world) {
+        // Clear all bodies relevant to current world (opponents only race on the world they were added to)
+        this.staticBodies = [];
+        this.karts.splice(1, this.karts.length - 1);
         this.ghostPos = null;
+        this.race = null;
+        this.items = null;
+        this.recorder = null;
+        this.replay = null;
 
-        // Get the world
-        this.world = new World(worldName);
+        this.world = world;
 
         // Load the bodies and checkpoints
-        this.world.initializeBodies(this.bodies);
+        this.world.initializeBodies(this.staticBodies);
+        this.syncBodies();
         this.setupCheckpoints();
 
-        // Perform Skybox logic
+        // Perform Skybox logic (keeping the last material if the texture is the same, so it is not reloaded)
+        let material = this.skybox && this.skybox.material.texture.filename == this.world.skybox.texture ?
+            this.skybox.material :
+            globalMaterials.textured.override({
+                color: hex_color("#000000"),
+                texture: new Texture(this.world.skybox.texture),
+                ambient: 1.0
+            });
 
         this.skybox = {
             shape: globalShapes.cube,
-            material: globalMaterials.textured.override({
-                color: hex_color("#000000"),
-                texture: new Texture("assets/skybox.png"),
-                ambient: 1.0
-            }),
-            center: [62, 1, 125],
-            scale: [500, 100, 500]
+            material: material,
+            center: this.world.skybox.center,
+            scale: this.world.skybox.scale
         }
+    }
 
+    /**
+     * Lay out this.bodies from the karts and the world's static bodies (check the constructor),
+     * call whenever either changes.
+     */
+    syncBodies() {
+        this.bodies.splice(0, this.bodies.length, ...this.karts.map(kart => kart.body), ...this.staticBodies);
+    }
 
-        const delay = (ms = 500) => new Promise(callMeToResolve => setTimeout(callMeToResolve, ms));
+    /**
+     * Make the given kart the one the player drives (replacing the last one).
+     * @param {Kart} kart 
+     */
+    setPlayerKart(kart) {
+        this.kart = kart;
+        this.karts[0] = kart;
+        this.syncBodies();
+    }
 
-        // We don't have a way to actually measure how long it takes it to load the textures so we just guess it take 1/10 second atmost
-        return await delay(100);
+    /**
+     * The computer driven karts racing against the player.
+     * @returns {Kart[]}
+     */
+    get opponents() {
+        return this.karts.slice(1);
+    }
+
+    /**
+     * Place an AI driven kart on every slot of the world's start grid after the player's.
+     * 
+     * Call after the world has loaded, the opponents are removed when the world changes.
+     * 
+     * @param {String} difficulty easy / normal / hard (check ai.js)
+     */
+    addOpponents(difficulty) {
+        const kartTypes = ["Clown", "Toad", "BruinKart"];
+        const start = this.world.start;
+
+        for (let i = 1; i < start.grid.length; i++) {
+            let kart = new Kart(this, kartTypes[(i - 1) % kartTypes.length], {position: start.grid[i], angle: start.angle});
+            kart.driver = new AIDriver(kart, this.world, difficulty);
+
+            this.karts.push(kart);
+        }
+        this.syncBodies();
+    }
+
+    /**
+     * Start a race between every kart on the current world.
+     * 
+     * @param {Number} laps The number of laps to finish, 0 for a Free Run
+     */
+    startRace(laps) {
+        this.race = new Race(this.karts, this.checkpoints, laps);
+        this.items = new Items(this);
+
+        for (let kart of this.karts) {
+            kart.resetProgress();
+        }
+    }
+
+    /**
+     * Watch the given replay on the current world (which should be the one it was recorded on),
+     * replacing every kart with the ones of the replay.
+     * 
+     * @param {ReplayPlayer} replay 
+     */
+    startReplay(replay) {
+        this.race = null;
+        this.recorder = null;
+        this.replay = replay;
+
+        this.karts.splice(0, this.karts.length, ...replay.karts.map(kart => new Kart(this, kart.kartType)));
+        this.kart = this.karts[0];
+        this.syncBodies();
+
+        // The items are shown where the replay has them, never stepped
+        this.items = replay.items ? new Items(this) : null;
+
+        this.placeReplayKarts();
+    }
+
+    /**
+     * Stop watching the replay, the karts are left where they are.
+     */
+    stopReplay() {
+        this.replay = null;
+        this.kart = this.karts[0];
+        this.time_scale = 1;
+    }
+
+    /**
+     * Make the camera follow the given kart of the replay.
+     * @param {Number} index 
+     */
+    followReplayKart(index) {
+        this.kart = this.karts[index];
+    }
+
+    /**
+     * Place every kart (and item) where the replay has it now.
+     */
+    placeReplayKarts() {
+        this.karts.forEach((kart, i) => kart.placeAt(this.replay.locationAt(i, this.replay.time)));
+
+        if (this.items) {
+            this.items.show(this.replay.itemsAt(this.replay.time));
+        }
     }
 
     /**
@@ -213,10 +371,23 @@ export class BruinKart extends Simulation {
                         <h2 style="text-align:center">Built by Zane Witter, Jonathan Woo, and Pirjot Atwal.</h2>
                         <h2>Main Controls:</h2>
                         <p>To play, use the keys "I", "J", "K", and "L" for 
-                           Forward, Left, Right, and Backward respectively.
+                           Forward, Left, Right, and Backward respectively. Hold "Space" while
+                           turning to drift, and let go once the sparks change color for a boost.
+                           Drive through an item box for an item and press "U" to use it.
+                           Stuck or off the track? Press "H" to be put back at the last checkpoint.
+                           Every key can be changed (i.e. to WASD or the arrow keys) from the
+                           Controls menu, press "S" on the main menu.
+                        </p>
+                        <p>On a phone or tablet, touch controls appear over the game: steer with the
+                           joystick (or turn on Tilt and steer by tilting the device), hold GAS and BRAKE,
+                           and tap a menu's options to choose them.
+                        </p>
+                        <p>A gamepad works too: steer with the left stick, accelerate and brake with
+                           the right and left triggers (or A and B), drift with either bumper, use items with X, reset with Back, change the camera with Y, pause with
+                           Start, and move through the menus with the D-pad and A.
                         </p>
                         <h2>Other Controls:</h2>
-                        <p>You can pause the game with "Esc", and change the camera
+                        <p>By default, you can pause the game with "Esc", and change the camera
                         while in game with "C". All other controls are provided onscreen. The third camera
                         is a free camera, which can be navigated using the camera controls displayed to the
                         left. Press R at anytime if you would like to restart the memory of the game.
@@ -236,44 +407,83 @@ export class BruinKart extends Simulation {
      * @param {*} dt 
      */
     update_state(dt) {
-        if (this.kartEnabled) {
-            // Let the kart update its body (hijacks the body controls with emplace)
-            this.kart.update(dt);
+        // While watching a replay, the karts are placed rather than driven
+        if (this.kartEnabled && this.world && this.replay) {
+            this.replay.advance(dt);
+            this.placeReplayKarts();
+
+            this.handleCameraChoice();
+            return;
+        }
+
+        if (this.kartEnabled && this.world) {
+            // The karts may have been drawn in between steps since the last one, collide with where they really are
+            for (let kart of this.karts) {
+                kart.settle();
+            }
+
+            // Let every kart step with its input for this step (check Kart.step), opponents drive themselves
+            for (let kart of this.karts) {
+                kart.update(dt);
+            }
+
+            // The player is told why they were put back on the track (unless they asked to be)
+            if (this.kart.respawned == "fall") {
+                this.controller.showNotice("Fell off the track!");
+            }
+            else if (this.kart.respawned == "stuck") {
+                this.controller.showNotice("Stuck! Back on the track.");
+            }
+
+            // Then the items, telling the player when they are hit
+            if (this.items) {
+                for (let event of this.items.step(dt)) {
+                    if (event.type == "hit" && event.kart == this.kart) {
+                        this.controller.showNotice(event.blocked ? "Your Shield blocked a " + ITEMS[event.item].name + "." : "Hit by a " + ITEMS[event.item].name + "!");
+                    }
+                }
+            }
 
             // Attach the camera to the kart if needed
             this.handleCameraChoice();
 
             // Handle the checkpoints
-            this.handleCheckpoints();
+            for (let kart of this.karts) {
+                this.handleCheckpoints(kart);
+            }
+
+            // Record the update if the session is being recorded
+            if (this.recorder) {
+                this.recorder.record(this.karts, dt, this.items);
+            }
+
+            // We tell the controller what's the current status of the player
+            this.controller.updateStatus(this.kart.checkpointIndex, this.kart.laps);
         }
     }
 
     /**
-     * Handle the checkpoint logic.
+     * Handle the checkpoint logic for the given kart.
      * 
-     * We assume that the checkpoint index is < this.checkpoints.length always at the start.
+     * We assume that the kart's checkpoint index is < this.checkpoints.length always at the start.
+     * @param {Kart} kart 
      */
-    handleCheckpoints() {
-        // We test if the kart is colliding with the selected checkpoint.
-        let nextCheckpoint = this.checkpoints[this.checkpointIndex];
-
-        let collider = this.collider;
-        collider.leeways = nextCheckpoint["leeway"];
-        let checkBody = nextCheckpoint["body"];
-
-        if (this.kart.body.check_if_colliding(checkBody, collider)) {
-            this.checkpointIndex++;
+    handleCheckpoints(kart) {
+        // We test if the kart is colliding with its next checkpoint, or passed through it since the last step (check Kart.passedThrough)
+        let crossed = kart.crossCheckpoint(this.checkpoints);
+        if (!crossed) {
+            return;
         }
 
-        // Test if a lap has been completed
-        if (this.checkpointIndex == this.checkpoints.length) {
-            this.laps++;
-
-            this.checkpointIndex = 0;
+        // The player sees how their split (the time into the lap) at this checkpoint compares to their best
+        if (kart == this.kart) {
+            this.controller.showSplit(crossed.index, crossed.time);
         }
 
-        // We tell the controller what's the current status
-        this.controller.updateStatus(this.checkpointIndex, this.laps);
+        // The lap may have been the kart's last one
+        if (crossed.lapCompleted && this.race) {
+            this.race.checkFinish(kart);
+        }
     }
 
     /**
@@ -295,7 +505,7 @@ export class BruinKart extends Simulation {
         if (!this.cameraListener) {
             document.addEventListener("keydown", (evt) => {
                 // Set this.attachedCamera string accordingly
-                if (evt.keyCode == 67) { // Equal to c
+                if (matches(evt, "cameraNext")) {
                     this.attachedCamera = nextCam(this.attachedCamera);
                 }
             });
@@ -331,6 +541,11 @@ export class BruinKart extends Simulation {
         // NEW CHANGE: We move the ability to add lights to be specific to the world/kart
         program_state.lights = [];
 
+        // Phones and tablets have no keyboard, lay the touch controls over the canvas
+        if (isTouchDevice()) {
+            this.touch = new TouchControls(context.canvas, this.controller);
+        }
+
         this.initialized = true;
     }
 
@@ -345,15 +560,37 @@ export class BruinKart extends Simulation {
         // Always first setup the defaults
         this.setupDefaults(context, program_state);
 
+        // Press the keys of the gamepad's buttons (check input.js) and drive with the touch controls before anything reads them
+        pollGamepad();
+        if (this.touch) {
+            this.touch.update(this.controller.state);
+        }
+
         // Handle Camera
         this.attachCamera(context, program_state);
 
         // Call our super to simulate physics 
         super.display(context, program_state, !this.kartEnabled);
 
+        // The world loads asynchronously, nothing but the GUI can be drawn until it exists
+        if (!this.world) {
+            this.controller.handle(context, program_state, this.currCamMatrix);
+            return;
+        }
+
         // Display all shapes in the world, this simulator will display all the bodies
         this.world.drawWorld(context, program_state);
 
+        // The sparks of drifting karts and the flames of boosting ones
+        for (let kart of this.karts) {
+            kart.drawEffects(context, program_state);
+        }
+
+        // The item boxes and everything out on the track
+        if (this.items) {
+            this.items.draw(context, program_state, this.time_accumulator / this.dt);
+        }
+
         /**
          * How we go about doing a consistent GUI:
          * 
@@ -381,8 +618,9 @@ export class BruinKart extends Simulation {
                 Mat4.rotation(this.ghostPos[3], 0, 1, 0)
             );
 
-            // We grab the model to display directly from the current kart's body
-            this.kart.body.shape.draw(context, program_state, model_transform, this.kart.body.material);
+            // We draw the model of the kart the ghost drove, but see through
+            let {model, material} = Kart.getModel(this.ghostKartType);
+            model.draw(context, program_state, model_transform, this.getGhostMaterial(material));
         }
     }
 
@@ -392,6 +630,13 @@ export class BruinKart extends Simulation {
      * @param {*} program_state 
      */
     attachCamera(context, program_state) {
+        // Special Case: Another part of the game controls the camera
+        if (this.cameraOverride) {
+            this.currCamMatrix = this.cameraOverride;
+            program_state.set_camera(this.cameraOverride);
+            return;
+        }
+
         // Special Case: The user has disabled the kart, change the camera to kartBack always
         if (!this.kartEnabled) {
             this.attachedCamera = "kartBack";
@@ -421,9 +666,27 @@ export class BruinKart extends Simulation {
      * 
      * We simply set the parameters here, if they exist during a display
      * call then they are displayed
+     * @param {Number[]} coords [x, y, z, angle], null to hide the ghost
+     * @param {String} kartType The kart the ghost is drawn as (the player's by default)
      */
-    displayGhostAt(coords) {
+    displayGhostAt(coords, kartType = this.kart.kartType) {
         this.ghostPos = coords;
+        this.ghostKartType = kartType;
+    }
+
+    /**
+     * Return a translucent version of the given kart material for drawing the ghost.
+     * 
+     * (Each one is made once and then kept, the kart materials are shared by every kart of a type)
+     * @param {Material} material 
+     */
+    getGhostMaterial(material) {
+        this.ghostMaterials = this.ghostMaterials || new Map();
+
+        if (!this.ghostMaterials.has(material)) {
+            this.ghostMaterials.set(material, material.override({color: color(.2, .4, .6, .4)}));
+        }
+        return this.ghostMaterials.get(material);
     }
 
     /**
@@ -2,7 +2,7 @@ import { Test_Data } from './examples/collisions-demo.js';
 import {defs, tiny} from './examples/common.js';
 
 // Pull these names into this module's scope for convenience:
-const {vec3, vec4, Mat4, Texture, Material, Shader, Scene} = tiny;
+const {vec3, vec4, Mat4, Quaternion, Texture, Material, Shader, Scene} = tiny;
 
 export class Simulation extends Scene {
     // **Simulation** manages the stepping of simulation time.  Subclass it when making
@@ -118,8 +118,8 @@ export class Body {
 
     emplace(location_matrix=Mat4.identity(), linear_velocity=vec3(0, 0, 0), angular_velocity=0, spin_axis = vec3(0, 0, 0).randomized(1).normalized()) {                               // emplace(): assign the body's initial values, or overwrite them.
         this.center = location_matrix.times(vec4(0, 0, 0, 1)).to3();
-        this.rotation = Mat4.translation(...this.center.times(-1)).times(location_matrix);
-        this.previous = {center: this.center.copy(), rotation: this.rotation.copy()};
+        this.orientation = Quaternion.from_matrix(location_matrix);
+        this.previous = {center: this.center.copy(), orientation: this.orientation.copy()};
         // drawn_location gets replaced with an interpolated quantity:
         this.drawn_location = location_matrix;
         this.temp_matrix = Mat4.identity();
@@ -129,23 +129,24 @@ export class Body {
     advance(time_amount) {
         // advance(): Perform an integration (the simplistic Forward Euler method) to
         // advance all the linear and angular velocities one time-step forward.
-        this.previous = {center: this.center.copy(), rotation: this.rotation.copy()};
+        this.previous = {center: this.center.copy(), orientation: this.orientation.copy()};
         // Apply the velocities scaled proportionally to real time (time_amount):
-        // Linear velocity first, then angular:
+        // Linear velocity first, then angular.  The spin over the step is exactly a turn of
+        // angular_velocity * time_amount about spin_axis (in world space), composed onto the
+        // orientation; normalizing keeps round-off from building up into a scale.
         this.center = this.center.plus(this.linear_velocity.times(time_amount));
-        this.rotation.pre_multiply(Mat4.rotation(time_amount * this.angular_velocity, ...this.spin_axis));
+        this.orientation = Quaternion.from_axis_angle(time_amount * this.angular_velocity, ...this.spin_axis)
+            .times(this.orientation).normalized();
     }
 
     // The following are our various functions for testing a single point,
     // p, against some analytically-known geometric volume formula
 
     blend_rotation(alpha) {
-        // blend_rotation(): Just naively do a linear blend of the rotations, which looks
-        // ok sometimes but otherwise produces shear matrices, a wrong result.
-
-        // TODO:  Replace this function with proper quaternion blending, and perhaps
-        // store this.rotation in quaternion form instead for compactness.
-        return this.rotation.map((x, i) => vec4(...this.previous.rotation[i]).mix(x, alpha));
+        // blend_rotation(): Slerp between the last two orientations, which stays a proper
+        // rotation however far the body turned in the step (a linear blend of the matrices
+        // would shrink and shear it).
+        return this.previous.orientation.slerp(this.orientation, alpha).to_matrix();
     }
 
     blend_state(alpha) {
@@ -170,7 +171,8 @@ export class Body {
         // Convert sphere b to the frame where a is a unit sphere:
         // const T = this.inverse.times(b.drawn_location, this.temp_matrix);
     
-        let bInverse = Mat4.inverse(b.drawn_location);
+        // A body that never moves has its inverse worked out once (check make_static)
+        let bInverse = b.fixed ? b.fixed.inverse : Mat4.inverse(b.drawn_location);
         const T = bInverse.times(this.drawn_location, this.temp_matrix);
 
 
@@ -181,4 +183,76 @@ export class Body {
         return points.arrays.position.some(p =>
             intersect_test(T.times(p.to4(1)).to3(), leeways[0], leeways[1], leeways[2]));
     }
+
+    /**
+     * Mark the body as one that never moves again (i.e. a wall), working out its inverse and box
+     * (check get_box) once here rather than on every collision test.
+     */
+    make_static() {
+        // Worked out from where it is now, even if it was marked before
+        this.fixed = null;
+        this.fixed = {inverse: Mat4.inverse(this.drawn_location), box: this.get_box()};
+    }
+
+    /**
+     * The body as an oriented box, read off where it is drawn (and collided with): a cube
+     * from -1 to 1 moved by drawn_location.
+     * @returns {JSON} {center, axes, half}, its center, its three (unit) axes and how far it
+     *                 reaches along each of them
+     */
+    get_box() {
+        if (this.fixed)
+            return this.fixed.box;
+
+        const m = this.drawn_location;
+        let axes = [], half = [];
+
+        for (let i = 0; i < 3; i++) {
+            let axis = vec3(m[0][i], m[1][i], m[2][i]);
+            half.push(axis.norm());
+            axes.push(axis.normalized());
+        }
+        return {center: vec3(m[0][3], m[1][3], m[2][3]), axes: axes, half: half};
+    }
+
+    /**
+     * Test this body's box against b's (check get_box) with the separating axis test.
+     *
+     * Two boxes only overlap if they overlap along every one of 15 axes (the 3 of each box and
+     * the 9 crossings of them), the axis they overlap the least along is the way out.
+     * @param {Body} b
+     * @returns {JSON} {normal, depth}, the (unit) direction to move this body in to get out of b
+     *                 and how far, null if they do not overlap
+     */
+    collide(b) {
+        if (this == b)
+            return null;
+
+        const mine = this.get_box(), theirs = b.get_box();
+        const between = mine.center.minus(theirs.center);
+
+        let axes = [...mine.axes, ...theirs.axes];
+        for (let a of mine.axes) {
+            for (let c of theirs.axes) {
+                // Parallel axes cross to nothing, and are already tested
+                let crossed = a.cross(c);
+                if (crossed.norm() > 1e-6)
+                    axes.push(crossed.normalized());
+            }
+        }
+
+        // How far a box reaches from its center along the given axis
+        const reach = (box, axis) => box.axes.reduce((sum, boxAxis, i) => sum + box.half[i] * Math.abs(boxAxis.dot(axis)), 0);
+
+        let contact = null;
+        for (let axis of axes) {
+            let distance = between.dot(axis);
+            let depth = reach(mine, axis) + reach(theirs, axis) - Math.abs(distance);
+            if (depth <= 0)
+                return null;
+            if (!contact || depth < contact.depth)
+                contact = {normal: distance < 0 ? axis.times(-1) : axis, depth: depth};
+        }
+        return contact;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * The Race, keeping track of a race between every kart of the game over a set number of laps:
+ * the live standings (who is 1st, 2nd, ...), which karts have finished and the results.
+ *
+ * The karts track their own progress around the track (check Kart.resetProgress), the race only
+ * compares them.
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+/**
+ * The lap counts that can be chosen in the menu, 0 is a Free Run (laps continue forever, as in
+ * time trial).
+ */
+export const LAP_OPTIONS = [0, 1, 3, 5];
+
+/**
+ * Return the given position as a string, i.e. 1 -> "1st", 12 -> "12th".
+ * @param {Number} position
+ * @returns {String}
+ */
+export function ordinal(position) {
+    const suffixes = {1: "st", 2: "nd", 3: "rd"};
+    const lastTwo = position % 100;
+
+    return position + (lastTwo >= 11 && lastTwo <= 13 ? "th" : suffixes[position % 10] || "th");
+}
+
+export class Race {
+    /**
+     * Start a race.
+     *
+     * @param {Kart[]} karts Every kart racing, the player's kart first
+     * @param {JSON[]} checkpoints The world's checkpoints (check World.addCheckpoint)
+     * @param {Number} laps The number of laps to finish, 0 for a Free Run
+     */
+    constructor(karts, checkpoints, laps = 0) {
+        this.karts = karts;
+        this.checkpoints = checkpoints;
+        this.laps = laps;
+    }
+
+    /**
+     * If the race has a finish (it is not a Free Run).
+     */
+    get hasFinish() {
+        return this.laps > 0;
+    }
+
+    /**
+     * Call after the kart has passed a checkpoint, if the lap it completed was its last one
+     * its finish time is recorded.
+     * @param {Kart} kart
+     */
+    checkFinish(kart) {
+        if (this.hasFinish && kart.finishTime == null && kart.laps >= this.laps) {
+            kart.finishTime = kart.raceTime;
+        }
+    }
+
+    /**
+     * If the given kart has crossed the finish line of its last lap.
+     * @param {Kart} kart
+     */
+    hasFinished(kart) {
+        return kart.finishTime != null;
+    }
+
+    /**
+     * If the given kart is on its last lap.
+     * @param {Kart} kart
+     */
+    onFinalLap(kart) {
+        return this.hasFinish && !this.hasFinished(kart) && kart.laps == this.laps - 1;
+    }
+
+    /**
+     * The distance from the kart to its next checkpoint (on the ground).
+     * @param {Kart} kart
+     */
+    distanceToNext(kart) {
+        let center = this.checkpoints[kart.checkpointIndex].body.center;
+        return Math.hypot(center[0] - kart.body.center[0], center[2] - kart.body.center[2]);
+    }
+
+    /**
+     * Compare two karts, negative if a is ahead of b.
+     *
+     * Finished karts are ahead of everyone else (in the order they finished), the rest
+     * by laps, then checkpoints, then distance to their next checkpoint.
+     * @param {Kart} a
+     * @param {Kart} b
+     */
+    compare(a, b) {
+        if (this.hasFinished(a) || this.hasFinished(b)) {
+            return (this.hasFinished(a) ? a.finishTime : Infinity) - (this.hasFinished(b) ? b.finishTime : Infinity);
+        }
+
+        return (b.laps - a.laps) ||
+               (b.checkpointIndex - a.checkpointIndex) ||
+               (this.distanceToNext(a) - this.distanceToNext(b));
+    }
+
+    /**
+     * Every kart, from first place to last.
+     * @returns {Kart[]}
+     */
+    standings() {
+        return [...this.karts].sort((a, b) => this.compare(a, b));
+    }
+
+    /**
+     * The position (1 is first) of the given kart.
+     * @param {Kart} kart
+     * @returns {Number}
+     */
+    positionOf(kart) {
+        return this.standings().indexOf(kart) + 1;
+    }
+
+    /**
+     * The results of the race so far, from first place to last.
+     *
+     * @returns {JSON[]} [{kart, position, totalTime, bestLap}], totalTime is null if the kart has
+     *                   not finished and bestLap is null if it has not completed a lap
+     */
+    results() {
+        return this.standings().map((kart, i) => ({
+            kart: kart,
+            position: i + 1,
+            totalTime: kart.finishTime,
+            bestLap: kart.bestLap ? kart.bestLap.time : null
+        }));
+    }
+}
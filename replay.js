@@ -0,0 +1,360 @@
+/**
+ * Replays, a recording of a whole session (every kart's position on every simulation step, the
+ * input each kart was given and the items) that can be watched back with play / pause, scrubbing and
+ * different speeds.
+ *
+ * A saved replay is plain JSON:
+ * {
+ *      "version": <Number>,
+ *      "date": <Number>,                   When it was recorded (milliseconds since 1970)
+ *      "track": <String>,                  The bundled track or URL it was raced on
+ *      "trackName": <String>,
+ *      "trackHash": <String>,              (check track.js hashTrack)
+ *      "laps": <Number>,                   The laps of the race, 0 for a Free Run
+ *      "duration": <Number>,               Seconds
+ *      "karts": [{
+ *          "kartType": <String>, "name": <String>,
+ *          "samples": <String>,            Every step's [time, x, y, z, angle], encoded like a ghost (check ghost.js)
+ *          "inputs": [[step, bits, throttle, braking, steer], ...],
+ *                                          The input whenever it changed (check inputToBits and analogOf),
+ *                                          replays of version 1 only have the bits
+ *          "finishTime": <Number|null>, "bestLap": <Number|null>
+ *      }],
+ *      "items": {                          The item boxes and items (check items.js), missing from replays recorded before them
+ *          "broken": [[step, [box, ...]], ...],            The boxes not back yet whenever that changed
+ *          "objects": [[[id, type, x, y, z], ...], ...]    Everything out on the track on every step
+ *      }
+ * }
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+import { decodeGhost, encodeGhost, sampleGhost } from "./ghost.js";
+import { ANALOG_STEPS } from "./input.js";
+
+/**
+ * The version of the saved format written by ReplayRecorder, it reads every version up to it.
+ */
+export const REPLAY_VERSION = 2;
+
+// The key replays are saved under in localStorage, and how many of the latest are kept
+const STORAGE_KEY = "replays";
+const MAX_REPLAYS = 5;
+
+// How many decimals the positions of the items are saved with
+const ITEM_DECIMALS = 2;
+
+// The input flags (check Kart.readInput), in the order of their bits (new flags go last, older replays never have them set)
+const INPUT_FLAGS = ["accelerate", "brake", "left", "right", "drift", "useItem", "reset"];
+
+/**
+ * Pack the given input into a number, one bit per flag.
+ * @param {JSON} input {accelerate, brake, left, right, drift, useItem, reset}
+ * @returns {Number}
+ */
+export function inputToBits(input) {
+    return INPUT_FLAGS.reduce((bits, flag, i) => input && input[flag] ? bits | (1 << i) : bits, 0);
+}
+
+/**
+ * How far the given input drives (check stepKart), in whole steps of 1 / ANALOG_STEPS (check
+ * input.js readAnalog) so they are saved exactly. Without a gamepad or touch they follow the flags.
+ * @param {JSON} input {accelerate, brake, left, right, drift, useItem, reset}, with a gamepad also {throttle, braking, steer}
+ * @returns {Number[]} [throttle, braking, steer], the pedals from 0 to ANALOG_STEPS and steer
+ *                     from -ANALOG_STEPS to ANALOG_STEPS
+ */
+export function analogOf(input) {
+    input = input || {};
+    const throttle = "throttle" in input ? input.throttle : input.accelerate ? 1 : 0;
+    const braking = "braking" in input ? input.braking : input.brake ? 1 : 0;
+    const steer = "steer" in input ? input.steer : input.left ? 1 : input.right ? -1 : 0;
+
+    return [throttle, braking, steer].map(value => Math.round(value * ANALOG_STEPS));
+}
+
+/**
+ * Unpack an input packed by inputToBits (and analogOf).
+ * @param {Number} bits
+ * @param {Number[]} analog [throttle, braking, steer], none for the flags alone
+ * @returns {JSON} {accelerate, brake, left, right, drift, useItem, reset}, with analog also {throttle, braking, steer}
+ */
+export function bitsToInput(bits, analog = null) {
+    let input = {};
+    INPUT_FLAGS.forEach((flag, i) => input[flag] = (bits & (1 << i)) != 0);
+
+    if (analog) {
+        [input.throttle, input.braking, input.steer] = analog.map(value => value / ANALOG_STEPS);
+    }
+    return input;
+}
+
+/**
+ * Load every saved replay, newest first.
+ * @returns {JSON[]}
+ */
+export function loadReplays() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Save the given replay in front of the others, dropping the oldest ones past MAX_REPLAYS
+ * (or for as long as localStorage is full).
+ * @param {JSON} replay
+ */
+export function saveReplay(replay) {
+    let replays = [replay, ...loadReplays()].slice(0, MAX_REPLAYS);
+
+    while (replays.length > 0) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(replays));
+            return;
+        } catch (error) {
+            // Out of space, let go of the oldest replay
+            replays.pop();
+        }
+    }
+    throw new Error("There is no room left to save the replay.");
+}
+
+export class ReplayRecorder {
+    /**
+     * Start recording a session.
+     *
+     * @param {String} track The bundled track or URL being raced
+     * @param {World} world The world built from it
+     * @param {Kart[]} karts Every kart racing, the player's first
+     * @param {Number} laps The laps of the race, 0 for a Free Run
+     */
+    constructor(track, world, karts, laps) {
+        this.track = track;
+        this.trackName = world.name;
+        this.trackHash = world.hash;
+        this.laps = laps;
+        this.date = Date.now();
+
+        this.karts = karts.map((kart, i) => ({
+            kartType: kart.kartType,
+            name: i == 0 ? "You" : kart.kartType,
+            samples: [],
+            inputs: [],
+            lastInput: []
+        }));
+
+        // The number of simulation steps recorded, and the length of one
+        this.steps = 0;
+        this.dt = 0;
+
+        // The items (check the format at the top of this file), with the id given to each thing
+        // out on the track (so it can be followed from step to step) and the broken boxes last saved
+        this.items = {broken: [], objects: []};
+        this.itemIds = new Map();
+        this.lastBroken = null;
+    }
+
+    /**
+     * Record one simulation step of the given karts (the same ones, in the same order, as given
+     * to the constructor) and items.
+     * @param {Kart[]} karts
+     * @param {Number} dt
+     * @param {Items} items The race's items (check items.js), if it has any
+     */
+    record(karts, dt, items = null) {
+        this.steps++;
+        this.dt = dt;
+        let time = this.steps * dt;
+
+        karts.forEach((kart, i) => {
+            let recording = this.karts[i];
+            recording.samples.push([time, ...kart.getLoc()]);
+
+            // Inputs are only saved when they change
+            let input = [inputToBits(kart.lastInput), ...analogOf(kart.lastInput)];
+            if (input.some((value, j) => value !== recording.lastInput[j])) {
+                recording.inputs.push([this.steps, ...input]);
+                recording.lastInput = input;
+            }
+        });
+
+        if (items) {
+            this.recordItems(items);
+        }
+    }
+
+    /**
+     * Record where the given items are on this step.
+     * @param {Items} items
+     */
+    recordItems(items) {
+        // The broken boxes are only saved when they change
+        let broken = items.boxes.map((box, i) => box.respawn > 0 ? i : -1).filter(i => i >= 0);
+        if (broken.join() !== this.lastBroken) {
+            this.items.broken.push([this.steps, broken]);
+            this.lastBroken = broken.join();
+        }
+
+        const round = (value) => Number(value.toFixed(ITEM_DECIMALS));
+        this.items.objects.push(items.objects.map(object => {
+            if (!this.itemIds.has(object)) {
+                this.itemIds.set(object, this.itemIds.size);
+            }
+            return [this.itemIds.get(object), object.type, ...object.position.map(round)];
+        }));
+    }
+
+    /**
+     * Finish the recording.
+     *
+     * @param {Kart[]} karts The karts recorded (for their final times)
+     * @returns {JSON} The replay (check the format at the top of this file)
+     */
+    finish(karts) {
+        return {
+            version: REPLAY_VERSION,
+            date: this.date,
+            track: this.track,
+            trackName: this.trackName,
+            trackHash: this.trackHash,
+            laps: this.laps,
+            duration: this.steps * this.dt,
+            karts: this.karts.map((recording, i) => ({
+                kartType: recording.kartType,
+                name: recording.name,
+                samples: encodeGhost(recording.samples, {
+                    kart: recording.kartType,
+                    track: this.track,
+                    trackHash: this.trackHash,
+                    owner: recording.name,
+                    lapTime: karts[i].finishTime || 0,
+                    date: this.date
+                }),
+                inputs: recording.inputs,
+                finishTime: karts[i].finishTime,
+                bestLap: karts[i].bestLap ? karts[i].bestLap.time : null
+            })),
+            items: {broken: this.items.broken, objects: this.items.objects}
+        };
+    }
+}
+
+export class ReplayPlayer {
+    /**
+     * Prepare the given replay for watching, from its start.
+     *
+     * Throws an Error if the replay cannot be read.
+     * @param {JSON} replay (check the format at the top of this file)
+     */
+    constructor(replay) {
+        if (!replay || !(replay.version >= 1 && replay.version <= REPLAY_VERSION) || !Array.isArray(replay.karts) || replay.karts.length == 0) {
+            throw new Error("This replay cannot be read.");
+        }
+
+        this.replay = replay;
+        this.karts = replay.karts.map(kart => ({
+            kartType: kart.kartType,
+            name: kart.name,
+            samples: decodeGhost(kart.samples).ghost,
+            inputs: kart.inputs
+        }));
+        this.items = replay.items || null;
+
+        this.duration = replay.duration;
+        this.dt = replay.duration / Math.max(1, this.karts[0].samples.length);
+        this.time = 0;
+        this.playing = true;
+    }
+
+    /**
+     * Jump to the given time (kept within the replay).
+     * @param {Number} time
+     */
+    seek(time) {
+        this.time = Math.min(Math.max(time, 0), this.duration);
+    }
+
+    /**
+     * Play the replay forward by dt if it is playing, pausing at the end.
+     * @param {Number} dt
+     */
+    advance(dt) {
+        if (!this.playing) {
+            return;
+        }
+
+        this.seek(this.time + dt);
+        if (this.time >= this.duration) {
+            this.playing = false;
+        }
+    }
+
+    /**
+     * Where the given kart was at the given time, [x, y, z, angle].
+     * @param {Number} index The index of the kart
+     * @param {Number} time
+     */
+    locationAt(index, time) {
+        let samples = this.karts[index].samples;
+        return sampleGhost(samples, time) || samples[samples.length - 1].slice(1);
+    }
+
+    /**
+     * The item boxes and everything out on the track at the given time (check Items.show), in
+     * between the steps around it like the karts.
+     * @param {Number} time
+     * @returns {JSON} {broken, objects}, null if the replay has no items
+     */
+    itemsAt(time) {
+        if (!this.items) {
+            return null;
+        }
+
+        const objects = this.items.objects;
+        let at = Math.min(time / this.dt, objects.length);
+        let broken = [];
+
+        for (let [changedAt, changedTo] of this.items.broken) {
+            if (changedAt > Math.round(at)) {
+                break;
+            }
+            broken = changedTo;
+        }
+
+        // Step n is saved at n - 1, what is gone by the next step is not shown
+        let before = Math.floor(at);
+        let alpha = at - before;
+        let from = objects[before - 1] || [];
+        let to = objects[before] || from;
+
+        return {
+            broken: broken,
+            objects: to.map(([id, type, ...position]) => {
+                let previous = from.find(object => object[0] == id);
+                return previous ? [type, ...position.map((value, i) => previous[i + 2] + (value - previous[i + 2]) * alpha)] : [type, ...position];
+            })
+        };
+    }
+
+    /**
+     * The input the given kart was given at the given time.
+     * @param {Number} index The index of the kart
+     * @param {Number} time
+     * @returns {JSON} {accelerate, brake, left, right, drift, useItem, reset}, also {throttle, braking, steer} unless the
+     *                  replay is of version 1 (check bitsToInput)
+     */
+    inputAt(index, time) {
+        let step = Math.round(time / this.dt);
+        let input = [0];
+
+        for (let [changedAt, ...changedTo] of this.karts[index].inputs) {
+            if (changedAt > step) {
+                break;
+            }
+            input = changedTo;
+        }
+        return bitsToInput(input[0], input.length > 1 ? input.slice(1) : null);
+    }
+}
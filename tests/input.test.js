@@ -0,0 +1,111 @@
+/**
+ * Tests of the input actions and their bindings (check input.js).
+ *
+ * Run from the repository's root with:
+ *      node --experimental-default-type=module --test
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { ACTIONS, MENU_KEYS, applyPreset, bind, conflictsFor, keyFor, keyName, resetBindings, shapeAxis } from "../input.js";
+
+describe("input bindings", () => {
+    beforeEach(() => resetBindings());
+
+    it("starts every action on its default key", () => {
+        for (let action of Object.keys(ACTIONS)) {
+            assert.equal(keyFor(action), ACTIONS[action].key);
+        }
+    });
+
+    it("has no clashing defaults", () => {
+        for (let action of Object.keys(ACTIONS)) {
+            assert.deepEqual(conflictsFor(action, keyFor(action)), [], `${action} clashes`);
+        }
+    });
+
+    it("lets actions that are never used together share a key", () => {
+        // K brakes while driving and switches the kart on the menu
+        assert.equal(bind("brake", 75), null);
+        assert.equal(keyFor("nextKart"), 75);
+    });
+
+    it("swaps the keys of clashing actions", () => {
+        assert.equal(bind("accelerate", 75), "brake");
+        assert.equal(keyFor("accelerate"), 75);
+        assert.equal(keyFor("brake"), 73);
+    });
+
+    it("refuses a key that clashes with more than one action", () => {
+        // C is global, K brakes and switches the kart
+        assert.throws(() => bind("cameraNext", 75), /Brake\/Reverse and Switch Kart/);
+        assert.equal(keyFor("cameraNext"), 67);
+    });
+
+    it("refuses reserved keys", () => {
+        assert.throws(() => bind("accelerate", 82), /reserved/);
+        assert.equal(keyFor("accelerate"), 73);
+    });
+
+    it("keeps the menu keys for driving", () => {
+        assert.throws(() => bind("play", MENU_KEYS.up), /navigates the menus/);
+        assert.equal(bind("accelerate", MENU_KEYS.up), null);
+
+        // Nor can they be swapped onto another action
+        assert.throws(() => bind("accelerate", keyFor("cameraNext")), /navigates the menus/);
+        assert.equal(keyFor("cameraNext"), 67);
+    });
+
+    it("lets the editor use the menu keys", () => {
+        assert.equal(bind("cursorUp", MENU_KEYS.up), null);
+        assert.throws(() => bind("replayPlay", MENU_KEYS.select), /navigates the menus/);
+    });
+
+    it("binds driving to a preset", () => {
+        applyPreset("WASD");
+        assert.deepEqual(["accelerate", "brake", "steerLeft", "steerRight"].map(keyFor), [87, 83, 65, 68]);
+
+        applyPreset("Arrows");
+        assert.equal(keyName(keyFor("steerLeft")), "Left");
+    });
+
+    it("refuses a preset that clashes with a global action", () => {
+        bind("pause", 65); // A
+        assert.throws(() => applyPreset("WASD"), /Pause\/Back/);
+        assert.equal(keyFor("accelerate"), 73);
+    });
+
+    it("keeps the ghosts menu, replays and the editor apart from the global actions", () => {
+        // Pause on X would also export the ghost (or the track)
+        assert.throws(() => bind("pause", 88), /Export Ghost and Export Track/);
+
+        // Pause on D would also clear the imported ghost, so the two swap
+        assert.equal(bind("pause", 68), "clearGhost");
+        assert.equal(keyFor("clearGhost"), 27);
+        assert.deepEqual(conflictsFor("replayNextKart", keyFor("cameraNext")), ["cameraNext"]);
+    });
+});
+
+describe("gamepad sticks and triggers", () => {
+    const settings = {deadzone: .2, sensitivity: 1};
+    const assertClose = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+    it("ignores movement within the deadzone", () => {
+        assert.equal(shapeAxis(.1, settings), 0);
+        assert.equal(shapeAxis(-.2, settings), 0);
+    });
+
+    it("grows from the edge of the deadzone to all the way", () => {
+        assertClose(shapeAxis(.6, settings), .5);
+        assert.equal(shapeAxis(-1, settings), -1);
+    });
+
+    it("reaches all the way sooner with more sensitivity", () => {
+        assertClose(shapeAxis(.6, {deadzone: .2, sensitivity: 2}), 1);
+        assertClose(shapeAxis(.6, {deadzone: .2, sensitivity: .5}), .25);
+    });
+});
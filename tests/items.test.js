@@ -0,0 +1,192 @@
+/**
+ * Tests of the item boxes and items (check items.js), run headless (check headless.js).
+ *
+ * Run from the repository's root with:
+ *      node --experimental-default-type=module --test
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { HeadlessGame, HEADLESS_DT } from "../headless.js";
+import { ITEMS, rollItem, seededRandom } from "../items.js";
+import { stepKart } from "../kart.js";
+import { ReplayPlayer, ReplayRecorder } from "../replay.js";
+
+/**
+ * Read a bundled track.
+ * @param {String} name
+ */
+function loadTrack(name) {
+    return JSON.parse(readFileSync(new URL(`../tracks/${name}.json`, import.meta.url)));
+}
+
+/**
+ * A race on the default track between two karts, both still on the grid.
+ */
+function newRace() {
+    return new HeadlessGame(loadTrack("default"), {karts: ["BruinKart", "Toad"], laps: 1});
+}
+
+describe("item rolls", () => {
+    /**
+     * How many of each item the given number of rolls at the given place gives.
+     */
+    function countRolls(place, rolls) {
+        let random = seededRandom(7);
+        let counts = Object.fromEntries(Object.keys(ITEMS).map(name => [name, 0]));
+        for (let i = 0; i < rolls; i++) {
+            counts[rollItem(place, random)]++;
+        }
+        return counts;
+    }
+
+    it("gives the same numbers for the same seed", () => {
+        let [a, b] = [seededRandom(3), seededRandom(3)];
+        for (let i = 0; i < 10; i++) {
+            assert.equal(a(), b());
+        }
+    });
+
+    it("gives the leader mostly Bananas and the last kart mostly Mushrooms", () => {
+        let first = countRolls(0, 1000);
+        let last = countRolls(1, 1000);
+
+        assert.ok(first.banana > first.mushroom);
+        assert.ok(last.mushroom > last.banana);
+        assert.ok(last.shell > first.shell);
+    });
+});
+
+describe("items", () => {
+    it("gives a kart driving through an item box an item", () => {
+        let game = newRace();
+        game.teleport(0, 113, 180);
+        game.step();
+
+        assert.ok(ITEMS[game.karts[0].item]);
+        assert.equal(game.eventsOf("pickup", 0).length, 1);
+
+        // The box is gone for a moment
+        game.teleport(1, 113, 180);
+        game.step();
+        assert.equal(game.karts[1].item, null);
+    });
+
+    it("boosts a kart using a Mushroom, once per press", () => {
+        let game = newRace();
+        let kart = game.karts[0];
+        kart.item = "mushroom";
+
+        game.step([{accelerate: true, useItem: true}]);
+        assert.equal(kart.item, null);
+        assert.ok(kart.boost > 0);
+
+        // Holding the button down does not use the next item
+        kart.item = "mushroom";
+        game.step([{accelerate: true, useItem: true}]);
+        assert.equal(kart.item, "mushroom");
+    });
+
+    it("spins out a kart driving into a Banana", () => {
+        let game = newRace();
+        let [kart, other] = game.karts;
+        kart.item = "banana";
+        game.step([{useItem: true}]);
+
+        let banana = game.items.objects[0];
+        assert.equal(banana.type, "banana");
+
+        game.teleport(1, banana.position[0], banana.position[2]);
+        game.step();
+
+        assert.ok(other.spin > 0);
+        assert.deepEqual(game.eventsOf("hit").map(event => [event.kart, event.by, event.blocked]), [[1, 0, false]]);
+        assert.equal(game.items.objects.length, 0);
+        assert.equal(kart.spin, 0);
+    });
+
+    it("lets a Shield take a hit instead of the kart", () => {
+        let game = newRace();
+        let [kart, other] = game.karts;
+        kart.item = "banana";
+        other.item = "shield";
+        game.step([{useItem: true}, {useItem: true}]);
+        assert.ok(other.shield > 0);
+
+        let banana = game.items.objects[0];
+        game.teleport(1, banana.position[0], banana.position[2]);
+        game.step();
+
+        assert.equal(other.spin, 0);
+        assert.equal(other.shield, 0);
+        assert.equal(game.eventsOf("hit", 1)[0].blocked, true);
+    });
+
+    it("bounces a Shell off the walls", () => {
+        let game = newRace();
+        game.karts[0].item = "shell";
+        game.step([{useItem: true}]);
+
+        let shell = game.items.objects[0];
+        let velocity = [...shell.velocity];
+        while (shell.bounces == 0 && game.items.objects.includes(shell)) {
+            game.step();
+        }
+
+        assert.equal(shell.bounces, 1);
+        assert.ok(shell.velocity.some((value, i) => Math.sign(value) == -Math.sign(velocity[i]) && value != 0));
+        assert.equal(game.items.blockedAt(shell, shell.position), false);
+    });
+
+    it("ignores a spinning kart's input until it recovers", () => {
+        let game = newRace();
+        let kart = game.karts[0];
+        kart.spinOut();
+
+        game.run(10, () => ({accelerate: true}));
+        assert.ok(kart.spin > 0);
+        assert.ok(Math.abs(kart.velocity) < kart.acceleration);
+
+        let state = stepKart({position: [0, 0, 0], angle: 0, deltaAngle: 0, velocity: 10, spin: HEADLESS_DT}, {accelerate: true}, HEADLESS_DT, kart);
+        assert.equal(state.spin, 0);
+        assert.ok(state.velocity < 10);
+    });
+
+    it("shows the item boxes and items of a replay where they were", () => {
+        let game = newRace();
+        let recorder = new ReplayRecorder("default", game.world, game.karts, 1);
+        game.karts[0].item = "shell";
+        game.teleport(1, 113, 180);
+
+        // What each step left on the track
+        let steps = [];
+        for (let step = 0; step < 10; step++) {
+            game.step([{useItem: true}]);
+            recorder.record(game.karts, HEADLESS_DT, game.items);
+            steps.push({
+                broken: game.items.boxes.map((box, i) => box.respawn > 0 ? i : -1).filter(i => i >= 0),
+                objects: game.items.objects.map(object => [object.type, ...object.position])
+            });
+        }
+
+        let player = new ReplayPlayer(JSON.parse(JSON.stringify(recorder.finish(game.karts))));
+        const near = (a, b) => a.every((value, i) => typeof value == "string" ? value == b[i] : Math.abs(value - b[i]) < .01);
+
+        steps.forEach((step, i) => {
+            let shown = player.itemsAt((i + 1) * player.dt);
+            assert.equal(shown.broken.length, 1);
+            assert.deepEqual(shown.broken, step.broken);
+            assert.equal(shown.objects.length, 1);
+            assert.ok(near(shown.objects[0], step.objects[0]), `${shown.objects[0]} is not ${step.objects[0]}`);
+        });
+
+        // In between steps the Shell is in between too
+        let [, x] = player.itemsAt(4.5 * player.dt).objects[0];
+        assert.ok(near([x], [(steps[3].objects[0][1] + steps[4].objects[0][1]) / 2]));
+    });
+});
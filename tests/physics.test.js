@@ -0,0 +1,858 @@
+/**
+ * Tests of the kart physics on both bundled tracks, run headless (check headless.js).
+ *
+ * Run from the repository's root with:
+ *      node --experimental-default-type=module --test
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { HeadlessGame, HEADLESS_DT } from "../headless.js";
+import { miniTurboTier, stepKart } from "../kart.js";
+import { AIDriver } from "../ai.js";
+import { BUNDLED_TRACKS, SURFACE_TYPES } from "../track.js";
+import { groundBounds } from "../broadphase.js";
+import { sampleGhost } from "../ghost.js";
+import { ANALOG_STEPS } from "../input.js";
+import { ReplayPlayer, ReplayRecorder } from "../replay.js";
+import { Body } from "../physics.js";
+import { tiny } from "../examples/common.js";
+
+const { vec3, Mat4, Quaternion } = tiny;
+
+/**
+ * Read a bundled track.
+ * @param {String} name
+ */
+function loadTrack(name) {
+    return JSON.parse(readFileSync(new URL(`../tracks/${name}.json`, import.meta.url)));
+}
+
+/**
+ * If the given kart of the game is inside any wall right now.
+ * @param {HeadlessGame} game
+ * @param {Number} index
+ */
+function insideWall(game, index) {
+    let kart = game.karts[index];
+    kart.settle();
+    return game.staticBodies.some(wall => kart.body.collide(wall));
+}
+
+/**
+ * Drive the given kart of the game through every checkpoint in order by teleporting onto each.
+ * @param {HeadlessGame} game
+ * @param {Number} index
+ */
+function teleportThroughCheckpoints(game, index = 0) {
+    for (let checkpoint of game.checkpoints) {
+        game.teleport(index, checkpoint.body.center[0], checkpoint.body.center[2]);
+        game.step();
+    }
+}
+
+for (const name of BUNDLED_TRACKS) {
+    describe(`${name} track`, () => {
+        const track = loadTrack(name);
+
+        describe("wall collisions", () => {
+            it("bounces a kart driving straight into a wall back off it", () => {
+                let game = new HeadlessGame(track);
+                let hit = null;
+
+                while (!hit && game.steps < 1000) {
+                    game.step([{accelerate: true}]);
+                    hit = game.eventsOf("wall")[0];
+                }
+
+                assert.ok(hit, "the kart never reached a wall");
+                assert.ok(game.karts[0].velocity < 0, "the kart did not bounce back");
+                assert.ok(!insideWall(game, 0), "the kart was left inside the wall");
+            });
+
+            it("never leaves a kart inside a wall", () => {
+                let game = new HeadlessGame(track);
+
+                for (let step = 0; step < 600; step++) {
+                    // Full throttle, turning one way then the other so the kart scrapes along walls
+                    game.step([{accelerate: true, left: step % 200 < 60, right: step % 200 >= 140}]);
+                    assert.ok(!insideWall(game, 0), `the kart is inside a wall at step ${step}`);
+                }
+            });
+
+            it("pushes karts that drive into each other apart", () => {
+                let game = new HeadlessGame(track, {karts: ["BruinKart", "Toad"]});
+
+                // Put the second kart right in front of the first
+                let [x, , z] = game.karts[0].position;
+                let angle = game.karts[0].angle;
+                game.teleport(1, x + 3 * Math.sin(angle), z + 3 * Math.cos(angle));
+
+                game.run(100, (step, index) => ({accelerate: index == 0}));
+
+                assert.ok(game.eventsOf("kart", 0).some(event => event.other == 1), "the karts never touched");
+                assert.ok(game.eventsOf("kart", 1).some(event => event.other == 0), "the kart in front never felt it");
+                assert.ok(game.karts[1].velocity > 0, "the kart in front was not shoved forward");
+            });
+
+            it("slows down both karts driving head-on into each other", () => {
+                let game = new HeadlessGame(track, {karts: ["BruinKart", "BruinKart"]});
+                let [a, b] = game.karts;
+
+                // Face each other, driving at the same speed
+                let [x, , z] = a.position;
+                game.teleport(1, x + 3 * Math.sin(a.angle), z + 3 * Math.cos(a.angle));
+                b.angle = a.angle + Math.PI;
+                a.velocity = b.velocity = a.maxVelocityF;
+                b.settle();
+
+                while (game.eventsOf("kart").length == 0 && game.steps < 20) {
+                    game.step([{accelerate: true}, {accelerate: true}]);
+                }
+
+                assert.ok(game.eventsOf("kart").length > 0, "the karts never touched");
+                assert.ok(a.velocity < a.maxVelocityF / 2 && b.velocity < b.maxVelocityF / 2, `they kept going at ${a.velocity} and ${b.velocity}`);
+            });
+        });
+
+        describe("checkpoint ordering", () => {
+            it("only counts the next checkpoint", () => {
+                let game = new HeadlessGame(track);
+                let last = game.checkpoints[game.checkpoints.length - 1].body.center;
+
+                // Crossing the finish line first does nothing
+                game.teleport(0, last[0], last[2]);
+                game.step();
+                assert.equal(game.eventsOf("checkpoint").length, 0);
+
+                let first = game.checkpoints[0].body.center;
+                game.teleport(0, first[0], first[2]);
+                game.step();
+                assert.deepEqual(game.eventsOf("checkpoint").map(event => event.checkpoint), [0]);
+                assert.equal(game.karts[0].checkpointIndex, 1);
+            });
+
+            it("counts each checkpoint once while the kart sits on it", () => {
+                let game = new HeadlessGame(track);
+                let first = game.checkpoints[0].body.center;
+
+                game.teleport(0, first[0], first[2]);
+                game.run(20, () => ({}));
+                assert.equal(game.eventsOf("checkpoint").length, 1);
+            });
+
+            it("records the split at each checkpoint in order", () => {
+                let game = new HeadlessGame(track);
+                teleportThroughCheckpoints(game);
+
+                let crossed = game.eventsOf("checkpoint");
+                assert.deepEqual(crossed.map(event => event.checkpoint), game.checkpoints.map((checkpoint, i) => i));
+                for (let i = 1; i < crossed.length; i++) {
+                    assert.ok(crossed[i].split > crossed[i - 1].split);
+                }
+            });
+        });
+
+        describe("lap completion", () => {
+            it("completes a lap after the last checkpoint", () => {
+                let game = new HeadlessGame(track);
+                teleportThroughCheckpoints(game);
+
+                let kart = game.karts[0];
+                assert.equal(kart.laps, 1);
+                assert.equal(kart.checkpointIndex, 0);
+                assert.equal(kart.lapTime, 0);
+                assert.equal(game.eventsOf("lap").length, 1);
+                assert.equal(kart.bestLap.splits.length, game.checkpoints.length);
+            });
+
+            it("finishes a race after its last lap", () => {
+                let game = new HeadlessGame(track, {laps: 2});
+
+                teleportThroughCheckpoints(game);
+                assert.equal(game.eventsOf("finish").length, 0);
+
+                teleportThroughCheckpoints(game);
+                assert.equal(game.eventsOf("finish").length, 1);
+                assert.equal(game.karts[0].finishTime, game.karts[0].raceTime);
+            });
+
+            it("lets an AI driver complete a lap through every checkpoint", () => {
+                let game = new HeadlessGame(track, {laps: 1});
+                game.karts[0].driver = new AIDriver(game.karts[0], game.world, "normal");
+
+                while (game.eventsOf("finish").length == 0 && game.steps < 20 * 300) {
+                    game.step();
+                }
+
+                assert.equal(game.eventsOf("lap").length, 1, "the AI did not finish its lap in 5 minutes");
+                assert.deepEqual(game.eventsOf("checkpoint").map(event => event.checkpoint), game.checkpoints.map((checkpoint, i) => i));
+            });
+        });
+
+        describe("determinism", () => {
+            it("gives exactly the same result for the same inputs", () => {
+                const script = (step) => ({accelerate: step % 50 < 40, brake: step % 50 >= 45, left: step % 120 < 30, right: step % 120 >= 90});
+
+                let results = [new HeadlessGame(track), new HeadlessGame(track)].map(game => {
+                    game.run(400, script);
+                    return game.karts[0].getState();
+                });
+
+                assert.deepEqual(results[0], results[1]);
+            });
+        });
+    });
+}
+
+describe("ghosts", () => {
+    it("plays a ghost of the same lap right where the kart is drawn", () => {
+        let game = new HeadlessGame(loadTrack("default"));
+        let kart = game.karts[0];
+        game.run(60, (step) => ({accelerate: true, left: step > 30}));
+
+        // The kart is drawn in between its last two steps (check Simulation.simulate), the ghost
+        // is played a step behind its lapTime (check GUIController.handlePlayState), so they line
+        // up (as closely as the body's matrices hold its center)
+        for (let alpha of [0, .25, .5, .75]) {
+            let drawn = kart.body.previous.center.mix(kart.body.center, alpha);
+            let sample = sampleGhost(kart.currentGhost, kart.lapTime - HEADLESS_DT + alpha * HEADLESS_DT);
+
+            for (let i = 0; i < 3; i++) {
+                assert.ok(Math.abs(sample[i] - drawn[i]) < 1e-4, `the ghost is at ${sample} but the kart at ${drawn} (${alpha})`);
+            }
+        }
+    });
+});
+
+describe("analog input", () => {
+    const kart = new HeadlessGame(loadTrack("default")).karts[0];
+    const start = {position: [0, 0, 0], angle: 0, deltaAngle: 0, velocity: 0};
+
+    /**
+     * The state after the given input is held for the given number of steps.
+     */
+    function hold(input, steps) {
+        let state = start;
+        for (let i = 0; i < steps; i++) {
+            state = stepKart(state, input, HEADLESS_DT, kart);
+        }
+        return state;
+    }
+
+    it("drives all the way exactly like the keys", () => {
+        assert.deepEqual(hold({throttle: 1, steer: 1}, 100), hold({accelerate: true, left: true}, 100));
+        assert.deepEqual(hold({braking: 1, steer: -1}, 100), hold({brake: true, right: true}, 100));
+    });
+
+    it("turns and speeds up in proportion", () => {
+        let half = hold({throttle: .5, steer: .5}, 500);
+        assert.ok(Math.abs(half.deltaAngle - kart.maxDeltaAngle / 2) < 1e-9);
+        assert.ok(Math.abs(half.velocity - kart.maxVelocityF / 2) < 1e-9);
+    });
+
+    it("drives a replay's recorded input exactly the same", () => {
+        let game = new HeadlessGame(loadTrack("default"));
+        let recorder = new ReplayRecorder("default", game.world, game.karts, 0);
+
+        // A gamepad pushed partway and a key (check input.js readAnalog)
+        let script = (step) => step % 40 < 20 ?
+            {throttle: (step % 17 + 100) / ANALOG_STEPS, braking: 0, steer: (step % 23 - 11) / ANALOG_STEPS} :
+            {accelerate: true, right: step % 40 > 30};
+        let driven = [start];
+        for (let step = 0; step < 80; step++) {
+            game.step([script(step)]);
+            recorder.record(game.karts, HEADLESS_DT);
+            driven.push(stepKart(driven[step], script(step), HEADLESS_DT, kart));
+        }
+
+        // Saved and read back like any replay
+        let player = new ReplayPlayer(JSON.parse(JSON.stringify(recorder.finish(game.karts))));
+        let replayed = [start];
+        for (let step = 0; step < 80; step++) {
+            replayed.push(stepKart(replayed[step], player.inputAt(0, (step + 1) * player.dt), HEADLESS_DT, kart));
+        }
+
+        assert.deepEqual(replayed, driven);
+    });
+});
+
+describe("drifting", () => {
+    const kart = new HeadlessGame(loadTrack("default")).karts[0];
+    const handling = kart.driftHandling;
+    const steps = (seconds) => Math.ceil(seconds / HEADLESS_DT);
+
+    /**
+     * The state after the given input is held for the given number of steps from the given state.
+     */
+    function hold(state, input, count) {
+        for (let i = 0; i < count; i++) {
+            state = stepKart(state, input, HEADLESS_DT, kart);
+        }
+        return state;
+    }
+
+    // At top speed, then hopping into a drift to the left (for a step longer than asked, the steps
+    // do not add up to exact seconds)
+    const fast = hold({position: [0, 0, 0], angle: 0, deltaAngle: 0, velocity: 0}, {accelerate: true}, 500);
+    const drifting = (seconds) => hold(fast, {accelerate: true, left: true, drift: true}, steps(handling.hopTime) + steps(seconds) + 1);
+
+    it("only hops when driving fast enough", () => {
+        let stopped = hold({position: [0, 0, 0], angle: 0, deltaAngle: 0, velocity: 0}, {left: true, drift: true}, 10);
+        assert.equal(stopped.hop, 0);
+        assert.equal(stopped.drift, 0);
+
+        assert.ok(hold(fast, {accelerate: true, drift: true}, 1).hop > 0);
+    });
+
+    it("slides, pointing further into the turn than it travels", () => {
+        let state = drifting(1);
+        assert.equal(state.drift, 1);
+        assert.ok(Math.abs(state.slip - handling.slip) < 1e-9);
+
+        // It moves along its heading less the slide
+        let next = hold(state, {accelerate: true, left: true, drift: true}, 1);
+        let travel = Math.atan2(next.position[0] - state.position[0], next.position[2] - state.position[2]);
+        let heading = next.angle - next.slip;
+        assert.ok(Math.abs(Math.atan2(Math.sin(travel - heading), Math.cos(travel - heading))) < 1e-9);
+    });
+
+    it("charges a higher tier of mini-turbo the longer it drifts", () => {
+        let tiers = handling.tiers.map(time => miniTurboTier(drifting(time).driftCharge, handling));
+        assert.deepEqual(tiers, [1, 2, 3]);
+    });
+
+    it("boosts past the top speed once drift is let go", () => {
+        let released = hold(drifting(handling.tiers[2]), {accelerate: true}, 1);
+        assert.equal(released.drift, 0);
+        assert.ok(Math.abs(released.boost - (handling.boostTimes[2] - HEADLESS_DT)) < 1e-9);
+
+        let boosted = hold(released, {accelerate: true}, steps(1));
+        assert.ok(boosted.velocity > kart.maxVelocityF);
+
+        // Then eases back down to the top speed
+        let after = hold(boosted, {accelerate: true}, 500);
+        assert.equal(after.boost, 0);
+        assert.equal(after.velocity, kart.maxVelocityF);
+    });
+
+    it("lets go of a short drift without a boost", () => {
+        let released = hold(drifting(handling.tiers[0] / 2), {accelerate: true}, 1);
+        assert.equal(released.drift, 0);
+        assert.equal(released.boost, 0);
+    });
+});
+
+describe("surfaces", () => {
+    const game = new HeadlessGame(loadTrack("default"));
+    const kart = game.karts[0];
+    const fast = {position: [0, 0, 0], angle: 0, deltaAngle: 0, velocity: kart.maxVelocityF};
+
+    /**
+     * The state after the given input is held for the given number of steps on the given surface.
+     */
+    function hold(state, input, count, surface) {
+        for (let i = 0; i < count; i++) {
+            state = stepKart(state, input, HEADLESS_DT, kart, surface);
+        }
+        return state;
+    }
+
+    it("finds the surface under a point, the road has none", () => {
+        assert.equal(game.world.surfaceAt(30, 40).type, "sand");
+        assert.equal(game.world.surfaceAt(112, 72).type, "boost");
+        assert.equal(game.world.surfaceAt(112, 128), null);
+    });
+
+    it("drives on the surface under the kart", () => {
+        game.teleport(0, 112, 72);
+        game.step([{accelerate: true}]);
+        assert.equal(kart.surface.type, "boost");
+        assert.ok(kart.boost > 0);
+    });
+
+    it("slows a kart down off-road", () => {
+        const sand = game.world.surfaceAt(30, 40);
+        let state = hold(fast, {accelerate: true}, 200, sand);
+        assert.equal(state.velocity, kart.maxVelocityF * sand.speed);
+
+        // Coasting, it stops sooner than on the road
+        assert.ok(hold(fast, {}, 100, sand).velocity < hold(fast, {}, 100, null).velocity);
+    });
+
+    it("boosts a kart past its top speed on a boost pad", () => {
+        let state = hold(fast, {accelerate: true}, 20, game.world.surfaceAt(112, 72));
+        assert.ok(state.velocity > kart.maxVelocityF);
+    });
+
+    it("turns a kart more slowly on ice", () => {
+        const ice = SURFACE_TYPES.ice;
+        assert.ok(hold(fast, {left: true}, 5, ice).deltaAngle < hold(fast, {left: true}, 5, null).deltaAngle);
+    });
+});
+
+describe("ramps and bridges", () => {
+    // An open ground with a ramp up onto a bridge and a jump, every piece runs along x
+    const track = {
+        id: "ramps", name: "Ramps",
+        ground: {center: [0, -.5, 0], scale: [50, .5, 50], color: "#666666"},
+        walls: [
+            {type: "rampEW16", location: [-20, 0, -4]},
+            {type: "bridgeEW16", location: [-4, 0, -4]},
+            {type: "jumpEW6", location: [0, 0, 20]}
+        ],
+        obstacles: [],
+        checkpoints: [
+            {location: [30, 1, 0], scale: [1, 100, 10], leeway: [2, 2, 2]},
+            {location: [-30, 1, 0], scale: [1, 100, 10], leeway: [2, 2, 2]}
+        ],
+        start: {angle: Math.PI / 2, grid: [[-30, 1, 0]]},
+        lights: [],
+        skybox: {texture: "assets/skybox.png", center: [0, 0, 0], scale: [1, 1, 1]}
+    };
+
+    /**
+     * A game on the track with its kart at the given point, driving the given way at top speed.
+     */
+    function placed(x, z, angle = Math.PI / 2) {
+        let game = new HeadlessGame(track);
+        let kart = game.karts[0];
+        kart.setState({...kart.getState(), position: [x, 1, z], angle: angle, velocity: kart.maxVelocityF});
+        kart.body.beginStep();
+        return game;
+    }
+
+    it("finds the ground on ramps and bridges, and under bridges", () => {
+        const world = new HeadlessGame(track).world;
+        assert.deepEqual(world.groundAt(-12, 0), {height: 2, slope: [.25, 0]});
+        assert.equal(world.groundAt(4, 0).height, 4);
+        assert.equal(world.groundAt(4, 0, 1).height, 0);
+        assert.equal(world.groundAt(60, 0), null);
+    });
+
+    it("drives up a ramp with its nose up and onto the bridge", () => {
+        let game = placed(-24, 0);
+        let kart = game.karts[0];
+
+        game.run(10, () => ({accelerate: true}));
+        assert.ok(kart.position[0] > -20 && kart.position[0] < -4);
+        assert.ok(kart.position[1] > 1);
+        assert.ok(Math.abs(kart.pitch - Math.atan(.25)) < 1e-9);
+
+        while (kart.position[0] < 0 && game.steps < 100) {
+            game.step([{accelerate: true}]);
+        }
+        assert.equal(kart.position[1], 5);
+        assert.equal(kart.pitch, 0);
+    });
+
+    it("drives under a bridge", () => {
+        let game = placed(4, -10, 0);
+        let kart = game.karts[0];
+
+        game.run(20, () => ({accelerate: true}));
+        assert.ok(kart.position[2] > 4);
+        assert.equal(kart.position[1], 1);
+        assert.ok(kart.velocity > 0);
+    });
+
+    it("flies off a jump and lands further on", () => {
+        let game = placed(-10, 24);
+        let kart = game.karts[0];
+        let flew = false;
+
+        for (let i = 0; i < 40 && (!flew || kart.airborne); i++) {
+            flew = flew || kart.airborne;
+            game.step([{accelerate: true}]);
+        }
+
+        assert.ok(flew);
+        assert.equal(kart.airborne, false);
+        assert.equal(kart.position[1], 1);
+        assert.ok(kart.position[0] > 6);
+    });
+
+    it("bounces off the side of a ramp too high to drive up", () => {
+        let game = placed(-6, -10, 0);
+        let kart = game.karts[0];
+
+        game.run(20, () => ({accelerate: true}));
+        assert.ok(kart.position[2] < -4);
+        assert.equal(kart.position[1], 1);
+    });
+
+    it("puts a kart that falls off the track back at its last checkpoint", () => {
+        let game = placed(60, 0);
+        let kart = game.karts[0];
+        const fall = () => {
+            for (let i = 0; i < 100 && !kart.respawned; i++) {
+                game.step();
+            }
+        };
+
+        // Before any checkpoint, back on the grid
+        fall();
+        assert.deepEqual(game.eventsOf("respawn").map(event => event.reason), ["fall"]);
+        assert.deepEqual(kart.getLoc(), [-30, 1, 0, Math.PI / 2]);
+        assert.equal(kart.velocity, 0);
+
+        // Once it is back down on the track
+        while (kart.respawning > 0) {
+            game.step();
+        }
+        game.teleport(0, 30, 0);
+        game.step();
+        game.teleport(0, 60, 0);
+        fall();
+        assert.equal(game.eventsOf("respawn").length, 2);
+        assert.deepEqual(kart.getLoc(), [30, 1, 0, -Math.PI / 2]);
+    });
+});
+
+describe("wall contacts", () => {
+    const track = loadTrack("default");
+
+    /**
+     * A game with its kart at the given point by the east wall, driving the given way at top speed.
+     */
+    function placed(x, z, angle) {
+        let game = new HeadlessGame(track, {karts: ["BruinKart"]});
+        let kart = game.karts[0];
+        kart.setState({...kart.getState(), position: [x, 1, z], angle: angle, velocity: kart.maxVelocityF});
+        kart.body.beginStep();
+        return game;
+    }
+
+    it("gives the way out of a wall and how far in the kart is", () => {
+        let kart = placed(125.5, 150, 0).karts[0];
+        let game = kart.game;
+        let wall = game.staticBodies.find(wall => kart.body.collide(wall));
+        let contact = kart.body.collide(wall);
+
+        assert.ok(Math.abs(contact.normal[0] + 1) < 1e-6 && Math.abs(contact.normal[2]) < 1e-6);
+        assert.ok(Math.abs(contact.depth - (kart.position[0] + 1 - (wall.center[0] - wall.size[0]))) < 1e-4);
+
+        game.teleport(0, 100, 150);
+        assert.equal(kart.body.collide(wall), null);
+    });
+
+    it("slides a kart glancing a wall along it, keeping most of its speed", () => {
+        let game = placed(120, 150, .3);
+        let kart = game.karts[0];
+
+        while (game.eventsOf("wall").length == 0 && game.steps < 40) {
+            game.step([{accelerate: true}]);
+        }
+
+        assert.ok(Math.abs(kart.velocity - kart.maxVelocityF * (1 - .3 / (Math.PI / 2))) < .1);
+        assert.ok(Math.abs(kart.angle) < 1e-6);
+
+        // It carries on along the wall without hitting it again
+        let z = kart.position[2];
+        game.run(10, () => ({accelerate: true}));
+        assert.equal(game.eventsOf("wall").length, 1);
+        assert.ok(kart.position[2] > z + 5);
+    });
+
+    it("bounces a kart hitting a wall nearly head on back off it", () => {
+        let game = placed(120, 150, 1.2);
+        let kart = game.karts[0];
+
+        while (game.eventsOf("wall").length == 0 && game.steps < 40) {
+            game.step([{accelerate: true}]);
+        }
+
+        assert.ok(kart.velocity < 0);
+        assert.equal(kart.angle, 1.2);
+        assert.ok(!insideWall(game, 0));
+    });
+});
+
+describe("fast karts", () => {
+    const track = loadTrack("default");
+
+    it("stops a kart at a wall it would have gone right through in a step", () => {
+        let game = new HeadlessGame(track, {karts: ["BruinKart"]});
+        let kart = game.karts[0];
+        kart.setState({...kart.getState(), position: [124, 1, 150], angle: Math.PI / 2, velocity: 100});
+        kart.body.beginStep();
+
+        game.step();
+        assert.ok(kart.position[0] < 126);
+        assert.equal(game.eventsOf("wall").length, 1);
+        assert.ok(!insideWall(game, 0));
+    });
+
+    it("crosses a checkpoint it went right through in a step", () => {
+        let game = new HeadlessGame(track, {karts: ["BruinKart"]});
+        let kart = game.karts[0];
+        let [x, , z] = game.checkpoints[0].body.center;
+        kart.setState({...kart.getState(), position: [x + 12, 1, z], angle: -Math.PI / 2, velocity: 400});
+        kart.body.beginStep();
+
+        game.step();
+        assert.ok(kart.position[0] < x - 6);
+        assert.deepEqual(game.eventsOf("checkpoint").map(event => event.checkpoint), [0]);
+    });
+});
+
+describe("broadphase", () => {
+    const track = loadTrack("default");
+
+    it("hands a kart only the walls near it, including every wall it touches", () => {
+        let game = new HeadlessGame(track, {karts: ["BruinKart"]});
+        let kart = game.karts[0];
+        const walls = game.staticBodies;
+
+        for (let x = 0; x <= 128; x += 4) {
+            for (let z = 0; z <= 256; z += 4) {
+                kart.setState({...kart.getState(), position: [x, 1, z], angle: x / 10});
+
+                let nearby = game.world.broadphase.query(...groundBounds(kart.body));
+                let touching = walls.map((wall, i) => i).filter(i => kart.body.collide(walls[i]));
+
+                assert.ok(touching.every(i => nearby.includes(i)), `a wall touching the kart at ${x}, ${z} was left out`);
+                assert.ok(nearby.length < walls.length / 4);
+            }
+        }
+    });
+
+    it("works out each wall's inverse and box once", () => {
+        let game = new HeadlessGame(track);
+
+        for (let wall of game.staticBodies) {
+            assert.ok(wall.fixed);
+            assert.equal(wall.get_box(), wall.fixed.box);
+        }
+    });
+});
+
+describe("orientation", () => {
+    /**
+     * How long each of the three axes of the given matrix is.
+     * @param {Mat4} m
+     */
+    function axisLengths(m) {
+        return [0, 1, 2].map(j => Math.hypot(m[0][j], m[1][j], m[2][j]));
+    }
+
+    it("turns a matrix into a quaternion and back", () => {
+        let rotation = Mat4.rotation(2.5, 1, -2, .5).times(Mat4.rotation(-1, 0, 1, 0));
+        let back = Quaternion.from_matrix(rotation.times(Mat4.scale(3, 1, 2))).to_matrix();
+
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                assert.ok(Math.abs(back[i][j] - rotation[i][j]) < 1e-6);
+            }
+        }
+    });
+
+    it("integrates a spinning body's turn exactly, however many steps it takes", () => {
+        let body = new Body(null, null, vec3(1, 1, 1)).emplace(Mat4.identity(), vec3(0, 0, 0), 2, vec3(1, 1, 0));
+        for (let i = 0; i < 200; i++) {
+            body.advance(HEADLESS_DT);
+        }
+
+        let expected = Mat4.rotation(200 * HEADLESS_DT * 2, 1, 1, 0);
+        let turned = body.orientation.to_matrix();
+        assert.ok(Math.abs(body.orientation.dot(body.orientation) - 1) < 1e-9);
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                assert.ok(Math.abs(turned[i][j] - expected[i][j]) < 1e-6);
+            }
+        }
+    });
+
+    it("draws a spinning kart between its steps without squashing it", () => {
+        let game = new HeadlessGame(loadTrack("default"), {karts: ["BruinKart"]});
+        let kart = game.karts[0];
+        let angle = kart.angle;
+        kart.spinOut();
+        game.step();
+
+        kart.body.blend_state(.5);
+        let drawn = kart.body.drawn_location;
+        axisLengths(drawn).forEach(length => assert.ok(Math.abs(length - 1) < 1e-6));
+
+        // Facing halfway between where it faced before and after the step
+        let halfway = Quaternion.from_axis_angle((angle + kart.angle) / 2, 0, 1, 0).to_matrix();
+        assert.ok(Math.abs(drawn[0][2] - halfway[0][2]) < 1e-6);
+    });
+});
+
+describe("respawning", () => {
+    const track = loadTrack("default");
+
+    it("puts a kart stuck against a wall back on the track", () => {
+        let game = new HeadlessGame(track, {karts: ["BruinKart"]});
+        let kart = game.karts[0];
+        game.teleport(0, 120, 150);
+        kart.setState({...kart.getState(), angle: Math.PI / 2});
+
+        while (!kart.respawned && game.steps < 300) {
+            game.step([{accelerate: true}]);
+        }
+
+        assert.deepEqual(game.eventsOf("respawn").map(event => event.reason), ["stuck"]);
+        assert.deepEqual(kart.getLoc(), [...track.start.grid[0], track.start.angle]);
+    });
+
+    it("puts the kart back at its last checkpoint facing along the racing line when reset is pressed", () => {
+        let game = new HeadlessGame(track, {karts: ["BruinKart"]});
+        let kart = game.karts[0];
+        let [x, , z] = game.checkpoints[0].body.center;
+        game.teleport(0, x, z);
+        game.step();
+        game.teleport(0, 100, 240);
+
+        game.step([{reset: true}]);
+        assert.deepEqual(game.eventsOf("respawn").map(event => event.reason), ["reset"]);
+        assert.deepEqual(kart.getLoc(), [x, 1, z, game.world.racingLineAt(x, z).heading]);
+
+        // Holding reset down does not reset it again
+        game.run(80, () => ({reset: true}));
+        assert.equal(game.eventsOf("respawn").length, 1);
+    });
+
+    it("holds a respawned kart while it is lowered onto the track, then nothing can hit it for a while", () => {
+        let game = new HeadlessGame(track, {karts: ["BruinKart", "Toad"]});
+        let [kart, other] = game.karts;
+        game.step([{reset: true}]);
+        assert.ok(kart.body.center[1] > kart.position[1]);
+
+        game.run(29, () => ({accelerate: true}));
+        assert.ok(kart.respawning > 0);
+        assert.deepEqual(kart.getLoc(), [...track.start.grid[0], track.start.angle]);
+
+        game.run(2, () => ({accelerate: true}));
+        assert.equal(kart.respawning, 0);
+        assert.ok(kart.velocity > 0);
+        assert.ok(kart.invulnerable > 0);
+
+        // Other karts and items pass right through it
+        game.teleport(1, kart.position[0], kart.position[2]);
+        other.item = "banana";
+        game.step([{}, {useItem: true}]);
+        game.run(5);
+        assert.equal(game.eventsOf("kart").length, 0);
+        assert.equal(game.eventsOf("hit").length, 0);
+        assert.equal(kart.spin, 0);
+    });
+
+    it("lets an AI kart pick the racing line up again once it is put back", () => {
+        let game = new HeadlessGame(track, {karts: ["BruinKart"]});
+        let kart = game.karts[0];
+        let driver = new AIDriver(kart, game.world);
+        let [x, , z] = game.checkpoints[0].body.center;
+        game.teleport(0, x, z);
+        game.step();
+        game.teleport(0, 100, 240);
+
+        game.step([{reset: true}]);
+        driver.getInput(HEADLESS_DT);
+        assert.equal(driver.waypointIndex, game.world.racingLineAt(x, z).next);
+    });
+});
+
+describe("simulation physics", () => {
+    const track = loadTrack("default");
+
+    /**
+     * The given kart type driving with the simulation's physics.
+     * @param {String} kartType
+     */
+    function simulated(kartType) {
+        return new HeadlessGame(track, {karts: [kartType], physics: "simulation"}).karts[0];
+    }
+
+    /**
+     * The state after the given input is held for the given number of steps from the given state.
+     */
+    function hold(kart, state, input, count) {
+        for (let i = 0; i < count; i++) {
+            state = stepKart(state, input, HEADLESS_DT, kart);
+        }
+        return state;
+    }
+
+    /**
+     * How much faster the given kart turns at its top speed with a little steering than its
+     * wheels point (below 1 it understeers, above 1 it oversteers).
+     */
+    function turning(kart) {
+        let start = {position: [0, 0, 0], angle: 0, deltaAngle: 0, velocity: kart.maxVelocityF};
+        let state = hold(kart, start, {throttle: 1, steer: .3}, 80);
+        return state.deltaAngle / (state.velocity * state.steering / kart.chassis.wheelBase);
+    }
+
+    it("keeps the arcade's physics by default", () => {
+        let kart = new HeadlessGame(track).karts[0];
+        assert.equal(kart.physics, "arcade");
+
+        let start = {position: [0, 0, 0], angle: 0, deltaAngle: 0, velocity: 0};
+        assert.equal(hold(kart, start, {accelerate: true}, 500).velocity, kart.maxVelocityF);
+        assert.equal(hold(kart, start, {accelerate: true, left: true}, 100).lateralVelocity, 0);
+    });
+
+    it("reaches the top speed worked out from the engine and drag", () => {
+        for (let kartType of ["BruinKart", "Clown", "Toad"]) {
+            let kart = simulated(kartType);
+            let state = hold(kart, {position: [0, 0, 0], angle: 0, deltaAngle: 0, velocity: 0}, {accelerate: true}, 1200);
+            assert.ok(Math.abs(state.velocity - kart.maxVelocityF) < kart.maxVelocityF / 100, `${kartType} reached ${state.velocity}`);
+        }
+    });
+
+    it("makes the Clown understeer and the Toad oversteer", () => {
+        assert.ok(turning(simulated("Clown")) < 1);
+        assert.ok(turning(simulated("Toad")) > 1);
+    });
+
+    it("slides sideways when cornering hard", () => {
+        let kart = simulated("BruinKart");
+        let state = hold(kart, {position: [0, 0, 0], angle: 0, deltaAngle: 0, velocity: kart.maxVelocityF}, {accelerate: true, left: true}, 40);
+        assert.notEqual(state.lateralVelocity, 0);
+        assert.ok(Math.abs(state.lateralVelocity) < state.velocity);
+    });
+
+    it("works out what a kart can do per step of the game's own length", () => {
+        let kart = simulated("BruinKart");
+        let halfSteps = simulated("BruinKart");
+        halfSteps.setChassisParams(HEADLESS_DT / 2);
+
+        assert.ok(Math.abs(halfSteps.acceleration - kart.acceleration / 2) < 1e-12);
+        assert.ok(Math.abs(halfSteps.shortDeltaAngle - kart.shortDeltaAngle / 2) < 1e-12);
+    });
+
+    it("slows down off-road the same however long the steps are", () => {
+        let kart = simulated("BruinKart");
+
+        // The speed left after coasting for a second
+        const coast = (dt, surface = SURFACE_TYPES.grass) => {
+            let state = {position: [0, 0, 0], angle: 0, deltaAngle: 0, velocity: 10};
+            for (let i = 0; i < Math.round(1 / dt); i++) {
+                state = stepKart(state, {}, dt, kart, surface);
+            }
+            return state.velocity;
+        };
+        let [coarse, fine] = [coast(HEADLESS_DT), coast(HEADLESS_DT / 2)];
+
+        assert.ok(coarse < coast(HEADLESS_DT, null) - .5, `it only slowed to ${coarse}`);
+        assert.ok(Math.abs(coarse - fine) < .1, `${coarse} and ${fine}`);
+    });
+
+    it("lets an AI driver complete a lap", () => {
+        let game = new HeadlessGame(track, {laps: 1, physics: "simulation"});
+        game.karts[0].driver = new AIDriver(game.karts[0], game.world, "normal");
+
+        while (game.eventsOf("finish").length == 0 && game.steps < 20 * 300) {
+            game.step();
+        }
+
+        assert.equal(game.eventsOf("lap").length, 1, "the AI did not finish its lap in 5 minutes");
+    });
+});
@@ -660,6 +660,106 @@ const Mat4 = tiny.Mat4 =
     }
 
 
+const Quaternion = tiny.Quaternion =
+    class Quaternion {
+        // **Quaternion** stores a rotation as the four numbers w, x, y, z (a unit quaternion).
+        // Unlike a rotation matrix, two of them blend (slerp) into a proper rotation, and
+        // composing many of them only drifts in length, which normalized() takes back out.
+        constructor(w, x, y, z) {
+            Object.assign(this, {w, x, y, z});
+        }
+
+        static identity() {
+            return new Quaternion(1, 0, 0, 0);
+        }
+
+        static from_axis_angle(angle, x, y, z) {
+            // from_axis_angle(): Same arguments as Mat4.rotation().  A zero axis gives no rotation.
+            const n = Math.sqrt(x * x + y * y + z * z);
+            if (n == 0 || angle == 0)
+                return Quaternion.identity();
+            const s = Math.sin(angle / 2) / n;
+            return new Quaternion(Math.cos(angle / 2), x * s, y * s, z * s);
+        }
+
+        static from_matrix(m) {
+            // from_matrix(): The rotation held in the upper 3x3 of a Mat4.  Any scale along its
+            // columns is divided back out first, and translation is ignored.
+            const column = j => {
+                const n = Math.sqrt(m[0][j] * m[0][j] + m[1][j] * m[1][j] + m[2][j] * m[2][j]) || 1;
+                return [m[0][j] / n, m[1][j] / n, m[2][j] / n];
+            }
+            const [c0, c1, c2] = [column(0), column(1), column(2)],
+                [m00, m11, m22] = [c0[0], c1[1], c2[2]],
+                trace = m00 + m11 + m22;
+            // Shepperd's method: work from whichever of w, x, y, z is largest, to stay accurate.
+            let q;
+            if (trace > 0) {
+                const s = 2 * Math.sqrt(1 + trace);
+                q = new Quaternion(s / 4, (c1[2] - c2[1]) / s, (c2[0] - c0[2]) / s, (c0[1] - c1[0]) / s);
+            } else if (m00 > m11 && m00 > m22) {
+                const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+                q = new Quaternion((c1[2] - c2[1]) / s, s / 4, (c1[0] + c0[1]) / s, (c2[0] + c0[2]) / s);
+            } else if (m11 > m22) {
+                const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+                q = new Quaternion((c2[0] - c0[2]) / s, (c1[0] + c0[1]) / s, s / 4, (c2[1] + c1[2]) / s);
+            } else {
+                const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+                q = new Quaternion((c0[1] - c1[0]) / s, (c2[0] + c0[2]) / s, (c2[1] + c1[2]) / s, s / 4);
+            }
+            return q.normalized();
+        }
+
+        copy() {
+            return new Quaternion(this.w, this.x, this.y, this.z);
+        }
+
+        dot(b) {
+            return this.w * b.w + this.x * b.x + this.y * b.y + this.z * b.z;
+        }
+
+        normalized() {
+            const n = Math.sqrt(this.dot(this));
+            return new Quaternion(this.w / n, this.x / n, this.y / n, this.z / n);
+        }
+
+        times(b) {
+            // times(): The rotation b followed by this one, like multiplying their matrices.
+            const {w, x, y, z} = this;
+            return new Quaternion(w * b.w - x * b.x - y * b.y - z * b.z,
+                w * b.x + x * b.w + y * b.z - z * b.y,
+                w * b.y - x * b.z + y * b.w + z * b.x,
+                w * b.z + x * b.y - y * b.x + z * b.w);
+        }
+
+        slerp(b, alpha) {
+            // slerp(): Turn from this rotation towards b at a steady rate, the shorter way round;
+            // alpha 0 gives this one and 1 gives b.
+            let cos = this.dot(b), sign = 1;
+            if (cos < 0)
+                [cos, sign] = [-cos, -1];
+            let [from, to] = [1 - alpha, alpha];
+            // Nearly the same rotation: a linear blend is just as good and avoids dividing by ~0.
+            if (cos < 0.9995) {
+                const angle = Math.acos(cos), sin = Math.sin(angle);
+                [from, to] = [Math.sin((1 - alpha) * angle) / sin, Math.sin(alpha * angle) / sin];
+            }
+            to *= sign;
+            return new Quaternion(from * this.w + to * b.w, from * this.x + to * b.x,
+                from * this.y + to * b.y, from * this.z + to * b.z).normalized();
+        }
+
+        to_matrix() {
+            // to_matrix(): The Mat4 of this rotation.
+            const {w, x, y, z} = this;
+            return Matrix.of([1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y), 0],
+                [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x), 0],
+                [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y), 0],
+                [0, 0, 0, 1]);
+        }
+    }
+
+
 const Keyboard_Manager = tiny.Keyboard_Manager =
     class Keyboard_Manager {
         // **Keyboard_Manager** maintains a running list of which keys are depressed.  You can map combinations of
@@ -0,0 +1,251 @@
+/**
+ * Touch Controls, an overlay of on screen controls for phones and tablets, turned on
+ * automatically on touch devices (check BruinKart.setupDefaults).
+ *
+ * While driving, a virtual joystick (or tilting the device) steers, the Gas and Brake buttons
+ * accelerate and brake, the Drift button hops and drifts, the Item button uses the held item and
+ * the Reset button puts the kart back on the track, all driving the kart like a gamepad does
+ * (check input.js setTouchInput).
+ * The Pause / Back and Camera buttons press the keys of their actions, and tapping an option of
+ * a menu chooses it (check GUIController.tap).
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+import { keyFor, pressKey, setTouchInput } from "./input.js";
+
+// The camera's field of view and how far in front of it the GUI is drawn (check BruinKart.setupDefaults)
+const FIELD_OF_VIEW = Math.PI / 4;
+const GUI_DEPTH = 3.99;
+
+// How far (in degrees) the device is tilted to steer all the way
+const TILT_RANGE = 30;
+
+// The look shared by every control
+const CONTROL_STYLE = "position: absolute; display: flex; align-items: center; justify-content: center; box-sizing: border-box;" +
+                      "border: 2px solid rgba(255, 255, 255, .8); color: white; font: bold 3vmin sans-serif;" +
+                      "background: rgba(0, 0, 0, .35); user-select: none; -webkit-user-select: none; touch-action: none;";
+
+/**
+ * If the page is running on a device with a touch screen.
+ */
+export function isTouchDevice() {
+    return typeof window != "undefined" && ("ontouchstart" in window || navigator.maxTouchPoints > 0);
+}
+
+export class TouchControls {
+    /**
+     * Put the touch controls over the given canvas.
+     *
+     * @param {HTMLCanvasElement} canvas The canvas the game is drawn on
+     * @param {GUIController} controller
+     */
+    constructor(canvas, controller) {
+        this.canvas = canvas;
+        this.controller = controller;
+
+        // How the overlay is driving, steer from -1 (right) to 1 (left) and the pedals from 0 to 1
+        this.steer = 0;
+        this.throttle = 0;
+        this.braking = 0;
+        this.drifting = false;
+        this.usingItem = false;
+        this.resetting = false;
+
+        // If tilting the device steers (instead of the joystick)
+        this.tilt = false;
+
+        this.buildOverlay();
+
+        canvas.addEventListener("click", (evt) => this.tapCanvas(evt));
+        window.addEventListener("deviceorientation", (evt) => this.handleTilt(evt));
+    }
+
+    /**
+     * Fit the canvas to the screen and lay the controls over it.
+     */
+    buildOverlay() {
+        const canvas = this.canvas;
+
+        // The canvas is drawn at its full size, only its size on the page shrinks to fit small screens
+        canvas.parentNode.style.width = "100%";
+        canvas.parentNode.style.maxWidth = "1080px";
+        canvas.style.width = "100%";
+        canvas.style.height = "auto";
+        canvas.style.touchAction = "manipulation";
+
+        // Wrap the canvas so the overlay sits right on top of it
+        this.overlay = document.createElement("div");
+        this.overlay.style.cssText = "position: relative;";
+        canvas.parentNode.insertBefore(this.overlay, canvas);
+        this.overlay.appendChild(canvas);
+
+        // The joystick, a knob moving along its base
+        this.joystick = this.createControl("", "left: 4%; bottom: 6%; width: 30vmin; height: 30vmin; border-radius: 50%;");
+        this.knob = document.createElement("div");
+        this.knob.style.cssText = "width: 40%; height: 40%; border-radius: 50%; background: rgba(255, 255, 255, .8); pointer-events: none;";
+        this.joystick.appendChild(this.knob);
+        this.holdControl(this.joystick, (evt) => this.moveJoystick(evt), () => this.moveJoystick(null));
+
+        this.tiltButton = this.createControl("Tilt: Off", "left: 4%; top: 4%; padding: 1vmin 2vmin; border-radius: 2vmin;");
+        this.tiltButton.addEventListener("click", () => this.toggleTilt());
+
+        this.gasButton = this.createControl("GAS", "right: 4%; bottom: 14%; width: 18vmin; height: 18vmin; border-radius: 50%;");
+        this.holdControl(this.gasButton, () => this.throttle = 1, () => this.throttle = 0);
+
+        this.brakeButton = this.createControl("BRAKE", "right: calc(8% + 18vmin); bottom: 6%; width: 15vmin; height: 15vmin; border-radius: 50%;");
+        this.holdControl(this.brakeButton, () => this.braking = 1, () => this.braking = 0);
+
+        this.driftButton = this.createControl("DRIFT", "right: calc(8% + 18vmin); bottom: calc(10% + 15vmin); width: 13vmin; height: 13vmin; border-radius: 50%;");
+        this.holdControl(this.driftButton, () => this.drifting = true, () => this.drifting = false);
+
+        this.itemButton = this.createControl("ITEM", "right: 4%; bottom: calc(18% + 18vmin); width: 13vmin; height: 13vmin; border-radius: 50%;");
+        this.holdControl(this.itemButton, () => this.usingItem = true, () => this.usingItem = false);
+
+        this.resetButton = this.createControl("Reset", "left: calc(8% + 16vmin); top: 4%; padding: 1vmin 2vmin; border-radius: 2vmin;");
+        this.holdControl(this.resetButton, () => this.resetting = true, () => this.resetting = false);
+
+        this.pauseButton = this.createControl("Pause", "right: 4%; top: 4%; padding: 1vmin 2vmin; border-radius: 2vmin;");
+        this.pauseButton.addEventListener("click", () => this.tapKey(keyFor("pause")));
+
+        this.cameraButton = this.createControl("Camera", "right: calc(8% + 12vmin); top: 4%; padding: 1vmin 2vmin; border-radius: 2vmin;");
+        this.cameraButton.addEventListener("click", () => this.tapKey(keyFor("cameraNext")));
+
+        // The controls only shown while driving
+        this.drivingControls = [this.joystick, this.tiltButton, this.gasButton, this.brakeButton, this.driftButton, this.itemButton, this.resetButton];
+    }
+
+    /**
+     * Create a control on the overlay.
+     * @param {String} label
+     * @param {String} style Where it is and its shape
+     * @returns {HTMLDivElement}
+     */
+    createControl(label, style) {
+        let control = document.createElement("div");
+        control.style.cssText = CONTROL_STYLE + style;
+        control.textContent = label;
+        this.overlay.appendChild(control);
+        return control;
+    }
+
+    /**
+     * Call the given functions while the given control is held down (and moved) and once it is let go.
+     * @param {HTMLElement} control
+     * @param {Function} onHold (evt) => {}, called when it is pressed and moved
+     * @param {Function} onRelease () => {}
+     */
+    holdControl(control, onHold, onRelease) {
+        control.addEventListener("pointerdown", (evt) => {
+            evt.preventDefault();
+            // Keep following the finger even once it slides off the control
+            control.setPointerCapture(evt.pointerId);
+            onHold(evt);
+        });
+        control.addEventListener("pointermove", (evt) => {
+            if (control.hasPointerCapture(evt.pointerId)) {
+                onHold(evt);
+            }
+        });
+        control.addEventListener("pointerup", onRelease);
+        control.addEventListener("pointercancel", onRelease);
+    }
+
+    /**
+     * Steer by how far the finger is from the middle of the joystick.
+     * @param {PointerEvent} evt null once the joystick is let go
+     */
+    moveJoystick(evt) {
+        let offset = 0;
+
+        if (evt) {
+            let rect = this.joystick.getBoundingClientRect();
+            offset = Math.max(-1, Math.min(1, (evt.clientX - (rect.left + rect.width / 2)) / (rect.width / 2)));
+        }
+
+        this.knob.style.transform = `translateX(${offset * 75}%)`;
+        if (!this.tilt) {
+            this.steer = -offset;
+        }
+    }
+
+    /**
+     * Switch between steering with the joystick and by tilting the device (which some browsers
+     * ask permission for first).
+     */
+    async toggleTilt() {
+        if (!this.tilt && typeof DeviceOrientationEvent != "undefined" && DeviceOrientationEvent.requestPermission) {
+            let permission = await DeviceOrientationEvent.requestPermission().catch(() => "denied");
+            if (permission != "granted") {
+                alert("Tilting needs permission to read the device's orientation.");
+                return;
+            }
+        }
+
+        this.tilt = !this.tilt;
+        this.steer = 0;
+        this.tiltButton.textContent = this.tilt ? "Tilt: On" : "Tilt: Off";
+        this.joystick.style.visibility = this.tilt ? "hidden" : "";
+    }
+
+    /**
+     * Steer by how far the device is tilted, like a steering wheel held in front of the player.
+     * @param {DeviceOrientationEvent} evt
+     */
+    handleTilt(evt) {
+        if (!this.tilt || evt.beta == null) {
+            return;
+        }
+
+        // Held sideways, tilting tips the device's long side (beta), held upright its short side (gamma)
+        const radians = Math.PI / 180;
+        let angle = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+        let amount = angle == 90 ? -Math.sin(evt.beta * radians) :
+                     angle == 270 || angle == -90 ? Math.sin(evt.beta * radians) :
+                                                    -Math.sin(evt.gamma * radians);
+
+        this.steer = Math.max(-1, Math.min(1, amount / Math.sin(TILT_RANGE * radians)));
+    }
+
+    /**
+     * Press and let go of the given key.
+     * @param {Number} key keyCode
+     */
+    tapKey(key) {
+        pressKey(key, true);
+        pressKey(key, false);
+    }
+
+    /**
+     * Hand a tap on the canvas to the GUI, as a point on the plane the GUI is drawn on.
+     * @param {MouseEvent} evt
+     */
+    tapCanvas(evt) {
+        let rect = this.canvas.getBoundingClientRect();
+        let halfHeight = GUI_DEPTH * Math.tan(FIELD_OF_VIEW / 2);
+        let halfWidth = halfHeight * this.canvas.width / this.canvas.height;
+
+        let x = ((evt.clientX - rect.left) / rect.width * 2 - 1) * halfWidth;
+        let y = (1 - (evt.clientY - rect.top) / rect.height * 2) * halfHeight;
+        this.controller.tap(x, y);
+    }
+
+    /**
+     * Show the controls that can be used in the given state of the GUI and drive with them,
+     * call once a frame.
+     * @param {String} state (check GUIController.state)
+     */
+    update(state) {
+        const driving = state == "playing";
+
+        for (let control of this.drivingControls) {
+            control.style.display = driving ? "" : "none";
+        }
+        this.cameraButton.style.display = driving || state == "replay" ? "" : "none";
+        this.pauseButton.style.display = state == "initial" || state == "results" ? "none" : "";
+        this.pauseButton.textContent = driving ? "Pause" : state == "paused" ? "Resume" : "Back";
+
+        setTouchInput(driving ? {steer: this.steer, throttle: this.throttle, braking: this.braking, drift: this.drifting, useItem: this.usingItem, reset: this.resetting} : null);
+    }
+}
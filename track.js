@@ -0,0 +1,413 @@
+/**
+ * The Track format, describing everything a World needs to build a course as plain JSON
+ * so that new layouts no longer require editing world.js.
+ *
+ * A track looks like this (all coordinates are world units, see world.js):
+ * {
+ *      "id": <String>,                     Unique name, also used as the key for saved times
+ *      "name": <String>,                   Display name
+ *      "ground": {
+ *          "center": [x, y, z],
+ *          "scale": [x, y, z],
+ *          "texture": <String>             Either a texture file...
+ *          "color": <String>               ...or a color ("#RRGGBB" or red / green / blue / yellow)
+ *          "smoothness": <Number>          (Optional)
+ *      },
+ *      "walls": [<Wall>],
+ *      "obstacles": [<Wall>],
+ *      "surfaces": [<Surface>]             (Optional) Patches of the ground that drive differently
+ *      "itemBoxes": [[x, y, z], ...]       (Optional) Where the item boxes float (check items.js)
+ *      "checkpoints": [{"location": [x, y, z], "scale": [x, y, z], "leeway": [x, y, z]}],
+ *      "waypoints": [[x, z], ...]          (Optional) The racing line AI karts follow, in driving order
+ *                                          from the start (the checkpoints are followed otherwise)
+ *      "start": {"angle": <Number>, "grid": [[x, y, z], ...]},
+ *      "lights": [{
+ *          "name": <String>, "pos": [x, y, z, w], "size": <Number>, "col": [r, g, b, a],
+ *          "orbit": {"center": [x, y, z], "radius": <Number>, "zStretch": <Number>, "speed": <Number>} (Optional)
+ *          "sun": {"radius": <Number>, "color": <String>} (Optional, draws a sphere at the light)
+ *      }],
+ *      "skybox": {"texture": <String>, "center": [x, y, z], "scale": [x, y, z]}
+ * }
+ *
+ * A Wall is either one of the pieces in WALL_CATALOG (ramps and bridges included):
+ *      {"type": "multEW32", "location": [x, y, z]}
+ * or a solid colored box:
+ *      {"dims": [x, y, z], "location": [x, y, z], "color": "blue"}
+ *
+ * Either kind can be given "repeat": {"count": <Number>, "step": [x, y, z]} to place
+ * a row of the same wall, each one offset by step from the last.
+ *
+ * A Surface is a rectangle of the ground of one of the SURFACE_TYPES, where location is its
+ * corner with the least x and z (on the ground's top) and dims its x and z size:
+ *      {"type": "sand", "location": [x, y, z], "dims": [x, z]}
+ * Where surfaces overlap, the one listed last is driven on.
+ *
+ *
+ * @author Pirjot Atwal
+ */
+
+/**
+ * The tracks that ship with the game, loaded from tracks/<name>.json.
+ */
+export const BUNDLED_TRACKS = ["default", "classic"];
+
+/**
+ * Named colors that can be used in place of a hex string.
+ */
+export const TRACK_COLORS = {
+    red: "#FF0000",
+    green: "#00FF00",
+    blue: "#0000FF",
+    yellow: "#FFFF00"
+};
+
+/**
+ * Every prebuilt wall piece that World.addWall can place.
+ *
+ * shape and material name entries in World's shapes and materials, dims are the
+ * x, y, z size of the piece.
+ *
+ * Ramps and bridges are driven on rather than into (check World.groundAt). A ramp climbs
+ * from the bottom of the piece to its top toward climb (an [x, z] direction), a bridge is a
+ * deck that thick at the top of the piece, high enough to drive under. Like the walls, EW
+ * pieces run along x (climbing toward +x) and each quarter turn (EW, NS, WE, SN) turns them
+ * by 90 degrees.
+ */
+export const WALL_CATALOG = {
+    multEW32: {shape: "multEW32", material: "mult32x2", dims: [32, 2, 2]},
+    multNS32: {shape: "multNS32", material: "mult32x2", dims: [2, 2, 32]},
+    multWE32: {shape: "multWE32", material: "mult32x2", dims: [32, 2, 2]},
+    multSN32: {shape: "multSN32", material: "mult32x2", dims: [2, 2, 32]},
+    red2: {shape: "cube", material: "red2x2", dims: [2, 2, 2]},
+    yellow2: {shape: "cube", material: "yellow2x2", dims: [2, 2, 2]},
+    green2: {shape: "cube", material: "green2x2", dims: [2, 2, 2]},
+    blue2: {shape: "cube", material: "blue2x2", dims: [2, 2, 2]},
+    redEW4: {shape: "solidEW6", material: "red4x2", dims: [4, 2, 2]},
+    redWE4: {shape: "solidEW6", material: "red4x2", dims: [4, 2, 2]},
+    redNS4: {shape: "solidNS6", material: "red4x2", dims: [2, 2, 4]},
+    redSN4: {shape: "solidNS6", material: "red4x2", dims: [2, 2, 4]},
+    yellowEW4: {shape: "solidEW6", material: "yellow4x2", dims: [4, 2, 2]},
+    yellowWE4: {shape: "solidEW6", material: "yellow4x2", dims: [4, 2, 2]},
+    yellowNS4: {shape: "solidNS6", material: "yellow4x2", dims: [2, 2, 4]},
+    yellowSN4: {shape: "solidNS6", material: "yellow4x2", dims: [2, 2, 4]},
+    greenEW4: {shape: "solidEW6", material: "green4x2", dims: [4, 2, 2]},
+    greenWE4: {shape: "solidEW6", material: "green4x2", dims: [4, 2, 2]},
+    greenNS4: {shape: "solidNS6", material: "green4x2", dims: [2, 2, 4]},
+    greenSN4: {shape: "solidNS6", material: "green4x2", dims: [2, 2, 4]},
+    blueEW4: {shape: "solidEW6", material: "blue4x2", dims: [4, 2, 2]},
+    blueWE4: {shape: "solidEW6", material: "blue4x2", dims: [4, 2, 2]},
+    blueNS4: {shape: "solidNS6", material: "blue4x2", dims: [2, 2, 4]},
+    blueSN4: {shape: "solidNS6", material: "blue4x2", dims: [2, 2, 4]},
+    rampEW8: {shape: "wedge", material: "ramp", dims: [8, 2, 8], climb: [1, 0]},
+    rampNS8: {shape: "wedge", material: "ramp", dims: [8, 2, 8], climb: [0, 1]},
+    rampWE8: {shape: "wedge", material: "ramp", dims: [8, 2, 8], climb: [-1, 0]},
+    rampSN8: {shape: "wedge", material: "ramp", dims: [8, 2, 8], climb: [0, -1]},
+    rampEW16: {shape: "wedge", material: "ramp", dims: [16, 4, 8], climb: [1, 0]},
+    rampNS16: {shape: "wedge", material: "ramp", dims: [8, 4, 16], climb: [0, 1]},
+    rampWE16: {shape: "wedge", material: "ramp", dims: [16, 4, 8], climb: [-1, 0]},
+    rampSN16: {shape: "wedge", material: "ramp", dims: [8, 4, 16], climb: [0, -1]},
+    jumpEW6: {shape: "wedge", material: "jump", dims: [6, 2, 8], climb: [1, 0]},
+    jumpNS6: {shape: "wedge", material: "jump", dims: [8, 2, 6], climb: [0, 1]},
+    jumpWE6: {shape: "wedge", material: "jump", dims: [6, 2, 8], climb: [-1, 0]},
+    jumpSN6: {shape: "wedge", material: "jump", dims: [8, 2, 6], climb: [0, -1]},
+    bridgeEW16: {shape: "cube", material: "ramp", dims: [16, 4, 8], deck: .5},
+    bridgeNS16: {shape: "cube", material: "ramp", dims: [8, 4, 16], deck: .5},
+    bridgeWE16: {shape: "cube", material: "ramp", dims: [16, 4, 8], deck: .5},
+    bridgeSN16: {shape: "cube", material: "ramp", dims: [8, 4, 16], deck: .5}
+};
+
+/**
+ * Every kind of surface a track can lay on its ground (check World.surfaceAt), and how it
+ * changes the driving of a kart on it (check stepKart). Anything left out drives like the road.
+ *
+ * color: How it is drawn (shine makes it glossy)
+ * speed: The fraction of the kart's top speed it can reach
+ * drag: How much more speed it loses every step when faster than that, or coasting
+ * rollingResistance: With the simulation physics (check kart.js KART_PHYSICS), the force holding the
+ *                    kart back per unit of its speed and of its mass on top of its own rolling resistance
+ * grip: The fraction of the kart's usual grip, how quickly it turns and slows down by itself
+ * boost: The seconds of boost (like a mini-turbo's) it gives while the kart is on it
+ */
+export const SURFACE_TYPES = {
+    boost: {color: "#FF8C1A", boost: .6},
+    grass: {color: "#00A651", speed: .4, drag: .08, rollingResistance: .1},
+    sand: {color: "#ADA200", speed: .55, drag: .05, rollingResistance: .06},
+    ice: {color: "#CFF4FF", shine: true, grip: .3}
+};
+
+/**
+ * Thrown when a track does not follow the format above.
+ *
+ * field is the path to the offending value, i.e. "checkpoints[2].leeway".
+ */
+export class TrackFormatError extends Error {
+    constructor(field, problem) {
+        super(`Invalid track: "${field}" ${problem}`);
+        this.name = "TrackFormatError";
+        this.field = field;
+    }
+}
+
+/**
+ * All helpers to check a single value of the track, each throws a TrackFormatError
+ * naming the field if the value is not of the expected type.
+ */
+
+function expectObject(value, field) {
+    if (typeof value != "object" || value == null || Array.isArray(value)) {
+        throw new TrackFormatError(field, "must be an object");
+    }
+}
+
+function expectArray(value, field, minLength = 0) {
+    if (!Array.isArray(value)) {
+        throw new TrackFormatError(field, "must be an array");
+    }
+    if (value.length < minLength) {
+        throw new TrackFormatError(field, `must have at least ${minLength} entries`);
+    }
+}
+
+function expectNumber(value, field) {
+    if (typeof value != "number" || !Number.isFinite(value)) {
+        throw new TrackFormatError(field, "must be a number");
+    }
+}
+
+function expectPositive(value, field) {
+    expectNumber(value, field);
+    if (value <= 0) {
+        throw new TrackFormatError(field, "must be greater than 0");
+    }
+}
+
+function expectString(value, field) {
+    if (typeof value != "string" || value.length == 0) {
+        throw new TrackFormatError(field, "must be a non-empty string");
+    }
+}
+
+function expectNumbers(value, field, length) {
+    if (!Array.isArray(value) || value.length != length) {
+        throw new TrackFormatError(field, `must be an array of ${length} numbers`);
+    }
+    value.forEach((entry, i) => expectNumber(entry, `${field}[${i}]`));
+}
+
+function expectColor(value, field) {
+    if (typeof value != "string" || !(value in TRACK_COLORS || /^#[0-9a-fA-F]{6}$/.test(value))) {
+        throw new TrackFormatError(field, `must be "#RRGGBB" or one of ${Object.keys(TRACK_COLORS).join(", ")}`);
+    }
+}
+
+/**
+ * Check a single wall entry (used for both walls and obstacles).
+ * @param {*} wall
+ * @param {String} field
+ */
+function validateWall(wall, field) {
+    expectObject(wall, field);
+    expectNumbers(wall.location, `${field}.location`, 3);
+
+    if (wall.type != undefined) {
+        if (!(wall.type in WALL_CATALOG)) {
+            throw new TrackFormatError(`${field}.type`, `must be one of ${Object.keys(WALL_CATALOG).join(", ")}`);
+        }
+    } else {
+        expectNumbers(wall.dims, `${field}.dims`, 3);
+        wall.dims.forEach((dim, i) => expectPositive(dim, `${field}.dims[${i}]`));
+        if (wall.color != undefined) {
+            expectColor(wall.color, `${field}.color`);
+        }
+    }
+
+    if (wall.repeat != undefined) {
+        expectObject(wall.repeat, `${field}.repeat`);
+        expectPositive(wall.repeat.count, `${field}.repeat.count`);
+        if (!Number.isInteger(wall.repeat.count)) {
+            throw new TrackFormatError(`${field}.repeat.count`, "must be a whole number");
+        }
+        expectNumbers(wall.repeat.step, `${field}.repeat.step`, 3);
+    }
+}
+
+/**
+ * Check a single surface entry.
+ * @param {*} surface
+ * @param {String} field
+ */
+function validateSurface(surface, field) {
+    expectObject(surface, field);
+    if (!(surface.type in SURFACE_TYPES)) {
+        throw new TrackFormatError(`${field}.type`, `must be one of ${Object.keys(SURFACE_TYPES).join(", ")}`);
+    }
+    expectNumbers(surface.location, `${field}.location`, 3);
+    expectNumbers(surface.dims, `${field}.dims`, 2);
+    surface.dims.forEach((dim, i) => expectPositive(dim, `${field}.dims[${i}]`));
+}
+
+/**
+ * Check a single light entry.
+ * @param {*} light
+ * @param {String} field
+ */
+function validateLight(light, field) {
+    expectObject(light, field);
+    expectString(light.name, `${field}.name`);
+    expectNumbers(light.pos, `${field}.pos`, 4);
+    expectPositive(light.size, `${field}.size`);
+    expectNumbers(light.col, `${field}.col`, 4);
+
+    if (light.orbit != undefined) {
+        expectObject(light.orbit, `${field}.orbit`);
+        expectNumbers(light.orbit.center, `${field}.orbit.center`, 3);
+        expectPositive(light.orbit.radius, `${field}.orbit.radius`);
+        expectPositive(light.orbit.zStretch, `${field}.orbit.zStretch`);
+        expectPositive(light.orbit.speed, `${field}.orbit.speed`);
+    }
+
+    if (light.sun != undefined) {
+        expectObject(light.sun, `${field}.sun`);
+        expectPositive(light.sun.radius, `${field}.sun.radius`);
+        expectColor(light.sun.color, `${field}.sun.color`);
+    }
+}
+
+/**
+ * Check that the given track follows the format described at the top of this file.
+ *
+ * Throws a TrackFormatError naming the first bad field found, otherwise returns the track.
+ * @param {JSON} track
+ * @param {Boolean} draft If true, a track still being built (fewer than 2 checkpoints) is allowed
+ * @returns {JSON}
+ */
+export function validateTrack(track, draft = false) {
+    expectObject(track, "track");
+    expectString(track.id, "id");
+    expectString(track.name, "name");
+
+    // Ground
+    expectObject(track.ground, "ground");
+    expectNumbers(track.ground.center, "ground.center", 3);
+    expectNumbers(track.ground.scale, "ground.scale", 3);
+    if (track.ground.texture != undefined) {
+        expectString(track.ground.texture, "ground.texture");
+    } else {
+        expectColor(track.ground.color, "ground.color");
+    }
+    if (track.ground.smoothness != undefined) {
+        expectNumber(track.ground.smoothness, "ground.smoothness");
+    }
+
+    // Walls and Obstacles
+    expectArray(track.walls, "walls");
+    track.walls.forEach((wall, i) => validateWall(wall, `walls[${i}]`));
+
+    expectArray(track.obstacles, "obstacles");
+    track.obstacles.forEach((wall, i) => validateWall(wall, `obstacles[${i}]`));
+
+    // Surfaces
+    if (track.surfaces != undefined) {
+        expectArray(track.surfaces, "surfaces");
+        track.surfaces.forEach((surface, i) => validateSurface(surface, `surfaces[${i}]`));
+    }
+
+    // Item Boxes
+    if (track.itemBoxes != undefined) {
+        expectArray(track.itemBoxes, "itemBoxes");
+        track.itemBoxes.forEach((box, i) => expectNumbers(box, `itemBoxes[${i}]`, 3));
+    }
+
+    // Checkpoints, the game assumes there are at least 2 (the last one is the finish line)
+    expectArray(track.checkpoints, "checkpoints", draft ? 0 : 2);
+    track.checkpoints.forEach((checkpoint, i) => {
+        const field = `checkpoints[${i}]`;
+        expectObject(checkpoint, field);
+        expectNumbers(checkpoint.location, `${field}.location`, 3);
+        expectNumbers(checkpoint.scale, `${field}.scale`, 3);
+        expectNumbers(checkpoint.leeway, `${field}.leeway`, 3);
+    });
+
+    // Waypoints
+    if (track.waypoints != undefined) {
+        expectArray(track.waypoints, "waypoints", 2);
+        track.waypoints.forEach((waypoint, i) => expectNumbers(waypoint, `waypoints[${i}]`, 2));
+    }
+
+    // Start Grid, the first slot is always the player's
+    expectObject(track.start, "start");
+    expectNumber(track.start.angle, "start.angle");
+    expectArray(track.start.grid, "start.grid", 1);
+    track.start.grid.forEach((slot, i) => expectNumbers(slot, `start.grid[${i}]`, 3));
+
+    // Lights
+    expectArray(track.lights, "lights");
+    track.lights.forEach((light, i) => validateLight(light, `lights[${i}]`));
+
+    // Skybox
+    expectObject(track.skybox, "skybox");
+    expectString(track.skybox.texture, "skybox.texture");
+    expectNumbers(track.skybox.center, "skybox.center", 3);
+    expectNumbers(track.skybox.scale, "skybox.scale", 3);
+
+    return track;
+}
+
+/**
+ * Return the given value as JSON with the keys of every object sorted, so the same track
+ * always gives the same string.
+ * @param {*} value
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return "[" + value.map(canonicalJSON).join(",") + "]";
+    }
+    if (typeof value == "object" && value != null) {
+        return "{" + Object.keys(value).sort().map(key => JSON.stringify(key) + ":" + canonicalJSON(value[key])).join(",") + "}";
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash the parts of a track that change how a lap is driven (walls, obstacles, surfaces, item
+ * boxes, checkpoints and start), so that saved times and ghosts can be checked against the track
+ * they were set on. A track without surfaces or item boxes hashes as it did before they existed.
+ * 
+ * @param {JSON} track
+ * @returns {String} 8 hex digits (a 32 bit FNV-1a hash)
+ */
+export function hashTrack(track) {
+    let text = canonicalJSON({
+        walls: track.walls,
+        obstacles: track.obstacles,
+        checkpoints: track.checkpoints,
+        start: track.start,
+        ...(track.surfaces && track.surfaces.length > 0 ? {surfaces: track.surfaces} : {}),
+        ...(track.itemBoxes && track.itemBoxes.length > 0 ? {itemBoxes: track.itemBoxes} : {})
+    });
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    return hash.toString(16).padStart(8, "0");
+}
+
+/**
+ * Fetch a track's JSON.
+ *
+ * @param {String} source The name of a bundled track (default / classic) or a URL to a track file
+ * @returns {Promise<JSON>}
+ */
+export async function fetchTrack(source) {
+    const url = BUNDLED_TRACKS.includes(source) ? `tracks/${source}.json` : source;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load the track at "${url}" (HTTP ${response.status})`);
+    }
+
+    return await response.json();
+}
@@ -7,11 +7,45 @@
 
 import {defs, tiny} from './examples/common.js';
 import {Body, Simulation} from './physics.js';
+import {Broadphase} from './broadphase.js';
+import {SURFACE_TYPES, TRACK_COLORS, WALL_CATALOG, fetchTrack, hashTrack, validateTrack} from './track.js';
 
 // Pull these names into this module's scope for convenience:
 const {vec, vec3, vec4, Mat4, Scene, Material, Texture, color, Light, unsafe3, hex_color} = tiny;
 const {Cube, Textured_Phong} = defs
 
+/**
+ * A wedge filling the same -1 to 1 box as a Cube, sloping up from its bottom at z = -1 to its
+ * top at z = 1 (the shape of a ramp climbing toward +z).
+ */
+class Wedge extends tiny.Shape {
+    constructor() {
+        super("position", "normal", "texture_coord");
+
+        const slope = Math.SQRT1_2;
+        const faces = [
+            // Each face is its corners (counter clockwise from outside) and normal
+            [[[-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1]], [0, -1, 0]],        // Bottom face
+            [[[-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]], [0, 0, 1]],             // Back face
+            [[[-1, -1, -1], [-1, 1, 1], [1, 1, 1], [1, -1, -1]], [0, slope, -slope]],  // Slope
+            [[[-1, -1, -1], [-1, -1, 1], [-1, 1, 1]], [-1, 0, 0]],                     // East side
+            [[[1, -1, -1], [1, 1, 1], [1, -1, 1]], [1, 0, 0]]                          // West side
+        ];
+
+        for (let [corners, normal] of faces) {
+            const first = this.arrays.position.length;
+            for (let corner of corners) {
+                this.arrays.position.push(vec3(...corner));
+                this.arrays.normal.push(vec3(...normal));
+                this.arrays.texture_coord.push(vec((corner[0] + 1) / 2, (corner[2] + 1) / 2));
+            }
+            for (let i = 1; i < corners.length - 1; i++) {
+                this.indices.push(first, first + i, first + i + 1);
+            }
+        }
+    }
+}
+
 let globalVals = {
     ground: new Cube(),
     multEW32: new Cube(),
@@ -19,9 +53,22 @@ let globalVals = {
     multWE32: new Cube(),
     multSN32: new Cube(),
     solidEW6: new Cube(),
-    solidNS6: new Cube()
+    solidNS6: new Cube(),
+    wedge: new Wedge()
 };
 
+// The materials shared by every World (created with the first World, see the constructor)
+let worldMaterials = null;
+
+/**
+ * Load the texture of the given image file, when running headless (with no DOM to load
+ * images in, check headless.js) only its filename is kept.
+ * @param {String} fileName 
+ */
+function loadTexture(fileName) {
+    return typeof Image == "undefined" ? {filename: fileName} : new Texture(fileName);
+}
+
 /**
  * A Helper class to abstractify the operation of setting up certain
  * scenes in a given world.
@@ -29,10 +76,21 @@ let globalVals = {
  */
 export class World {
     /**
-     * Initialize and prepare the given world.
-     * @param {*} name default / classic
+     * Initialize and prepare the world described by the given track.
+     *
+     * Throws a TrackFormatError naming the bad field if the track is malformed
+     * (check track.js for the format).
+     * @param {JSON} track
+     * @param {Boolean} draft If true, allow a track that is not raceable yet (used by the editor)
      */
-    constructor(name) {
+    constructor(track, draft = false) {
+        this.track = validateTrack(track, draft);
+        this.id = track.id;
+        this.name = track.name;
+
+        // Identifies this exact layout, saved with every best time and ghost set on it
+        this.hash = hashTrack(track);
+
         /**
          * Example:
          * "ground": {
@@ -71,35 +129,49 @@ export class World {
 
 
         this.numWalls = 0;
-        this.colors = {
-            red: hex_color("#FF0000"),
-            green: hex_color("#00FF00"),
-            blue: hex_color("#0000FF"),
-            yellow: hex_color("#FFFF00")
-        }
 
-        let start = globalMaterials.textured.override({
-            color: hex_color("#000000"), ambient: .6, diffusivity: 1, smoothness: .3
-        }); 
+        // Textures are only loaded once, every World (i.e. each rebuild in the editor) shares them
+        if (!worldMaterials) {
+            let start = globalMaterials.textured.override({
+                color: hex_color("#000000"), ambient: .6, diffusivity: 1, smoothness: .3
+            }); 
 
-        function matHelper(fileName) {
-            return start.override({texture: new Texture(fileName)})
-        }
+            function matHelper(fileName) {
+                return start.override({texture: loadTexture(fileName)})
+            }
 
-        this.materials = {
-            ground: matHelper("assets/ground.png"),
-            mult32x2: matHelper("assets/mult32x2.png"),
-            red2x2: matHelper("assets/red2x2.png"), 
-            yellow2x2: matHelper("assets/yellow2x2.png"),
-            green2x2: matHelper("assets/green2x2.png"),
-            blue2x2: matHelper("assets/blue2x2.png"),
-            red4x2: matHelper("assets/red4x2.png"), 
-            yellow4x2: matHelper("assets/yellow4x2.png"),
-            green4x2: matHelper("assets/green4x2.png"),
-            blue4x2: matHelper("assets/blue4x2.png"),
-            sun: globalMaterials.default.override({
-                color: hex_color("#FFAE42"), ambient: 1.0}),
+            worldMaterials = {
+                ground: matHelper("assets/ground.png"),
+                mult32x2: matHelper("assets/mult32x2.png"),
+                red2x2: matHelper("assets/red2x2.png"), 
+                yellow2x2: matHelper("assets/yellow2x2.png"),
+                green2x2: matHelper("assets/green2x2.png"),
+                blue2x2: matHelper("assets/blue2x2.png"),
+                red4x2: matHelper("assets/red4x2.png"), 
+                yellow4x2: matHelper("assets/yellow4x2.png"),
+                green4x2: matHelper("assets/green4x2.png"),
+                blue4x2: matHelper("assets/blue4x2.png"),
+                sun: globalMaterials.default.override({
+                    color: hex_color("#FFAE42"), ambient: 1.0}),
+                ramp: globalMaterials.default.override({
+                    color: hex_color("#8C8C99"), ambient: .6, diffusivity: 1}),
+                jump: globalMaterials.default.override({
+                    color: hex_color("#E8B923"), ambient: .7, diffusivity: 1}),
+                surfaces: {}
+            }
+
+            // One material per kind of surface (check SURFACE_TYPES), boost pads glow
+            for (let [type, surface] of Object.entries(SURFACE_TYPES)) {
+                worldMaterials.surfaces[type] = globalMaterials.default.override({
+                    color: hex_color(surface.color),
+                    ambient: surface.boost ? 1 : .6,
+                    diffusivity: 1,
+                    specularity: surface.shine ? 1 : 0,
+                    smoothness: surface.shine ? 60 : 10
+                });
+            }
         }
+        this.materials = worldMaterials;
         this.shapes = globalVals;
         this.shapes.ground.arrays.texture_coord = [
             vec(0, 0), vec(1, 0), vec(0, 1), vec(1, 1),       // Bottom face
@@ -172,14 +244,23 @@ export class World {
          */ 
         this.checkpoints = [];
 
-        // Multiple Map Support
-        switch (name) {
-            case "classic":
-                this.initClassic();
-                return;
-            default:
-                this.initDefault();
+        // Build the world from the track's description
+        this.buildTrack(track);
+    }
+
+    /**
+     * Asynchronously load a track and build its World.
+     *
+     * @param {String|JSON} source The name of a bundled track (default / classic), a URL to
+     *                             a track file, or the track JSON itself
+     * @returns {Promise<World>}
+     */
+    static async load(source) {
+        if (typeof source == "string") {
+            source = await fetchTrack(source);
         }
+
+        return new World(source);
     }
 
     /**
@@ -208,8 +289,9 @@ export class World {
         // Generate a body and place it using the params provided
         let body = new Body(params.shape, params.material, params.scale);
 
-        // Make sure to emplace the body
+        // Make sure to emplace the body, settling where it is drawn (and collided with) now rather than after the first frame
         body.emplace(params.location, params.velocity, params.angular, params.spin_axis);
+        body.blend_state(1);
 
         this.activeBodies[params.name] = body;
     }
@@ -246,87 +328,24 @@ export class World {
      * @param {string} wall Specifies what kind of wall to build to determine 
      *                      color, orientation, and dimensions. 
      *                      For example, multEW32 is a multicolored 32x2x2 wall that runs east/west
-     *                      Valid walls are:
-     *                      - multEW32, multNS32, multWE32, multSN32
-     *                      - redEW4, redNS4, red2
-     *                      - yellowEW4, yellowNS4, yellow2
-     *                      - greenEW4, greenNS4, green4
-     *                      - blueEW4, blueNS4, blue4
+     *                      Valid walls are the keys of WALL_CATALOG (check track.js)
      * @param {vec3} location The x,y,z coordinates where the top left (least x, least z)
      *                        of the wall should be placed
      */
     addWall(wall, location) {
         const wallName = `Wall-${this.numWalls}`;
-        let material = globalMaterials.default;
-        let shape = globalShapes.cube;
-        let dims = vec3(2, 2, 2);
-        switch(wall) {
-            case "multEW32":
-                shape = this.shapes.multEW32;
-                material = this.materials.mult32x2; 
-                dims = vec3(32, 2, 2); break;
-            case "multNS32": 
-                shape = this.shapes.multNS32; 
-                material = this.materials.mult32x2; 
-                dims = vec3(2, 2, 32); break;
-            case "multWE32":
-                shape = this.shapes.multWE32;
-                material = this.materials.mult32x2;
-                dims = vec3(32, 2, 2); break;
-            case "multSN32":
-                shape = this.shapes.multSN32;
-                material = this.materials.mult32x2;
-                dims = vec3(2, 2, 32); break;
-            case "red2":
-                shape = globalShapes.cube;
-                material = this.materials.red2x2;
-                dims = vec3(2, 2, 2); break;
-            case "yellow2":
-                shape = globalShapes.cube;
-                material = this.materials.yellow2x2;
-                dims = vec3(2, 2, 2); break;
-            case "green2":
-                shape = globalShapes.cube;
-                material = this.materials.green2x2;
-                dims = vec3(2, 2, 2); break;
-            case "blue2":
-                shape = globalShapes.cube;
-                material = this.materials.blue2x2;
-                dims = vec3(2, 2, 2); break;
-            case "redEW4": case "redWE4":
-                shape = this.shapes.solidEW6;
-                material = this.materials.red4x2;
-                dims = vec3(4, 2, 2); break;
-            case "redNS4": case "redSN4":
-                shape = this.shapes.solidNS6;
-                material = this.materials.red4x2;
-                dims = vec3(2, 2, 4); break;
-            case "yellowEW4": case "yellowWE4":
-                shape = this.shapes.solidEW6;
-                material = this.materials.yellow4x2;
-                dims = vec3(4, 2, 2); break;
-            case "yellowNS4": case "yellowSN4":
-                shape = this.shapes.solidNS6;
-                material = this.materials.yellow4x2;
-                dims = vec3(2, 2, 4); break;
-            case "greenEW4": case "greenWE4":
-                shape = this.shapes.solidEW6;
-                material = this.materials.green4x2;
-                dims = vec3(4, 2, 2); break;
-            case "greenNS4": case "greenSN4":
-                shape = this.shapes.solidNS6;
-                material = this.materials.green4x2;
-                dims = vec3(2, 2, 4); break;
-            case "blueEW4": case "blueWE4":
-                shape = this.shapes.solidEW6;
-                material = this.materials.blue4x2;
-                dims = vec3(4, 2, 2); break;
-            case "blueNS4": case "blueSN4":
-                shape = this.shapes.solidNS6;
-                material = this.materials.blue4x2;
-                dims = vec3(2, 2, 4); break;
+        const piece = WALL_CATALOG[wall];
+
+        // Ramps and bridges are driven on, not into
+        if (piece && (piece.climb || piece.deck)) {
+            this.addRamp(piece, location);
+            return;
         }
 
+        let shape = piece ? this.shapes[piece.shape] || globalShapes.cube : globalShapes.cube;
+        let material = piece ? this.materials[piece.material] : globalMaterials.default;
+        let dims = piece ? vec3(...piece.dims) : vec3(2, 2, 2);
+
         this.addBody({
             name: wallName,
             shape: shape,
@@ -339,194 +358,282 @@ export class World {
         this.numWalls++;
     }
 
-    /** Place the ground as an active shape
-      * 
-      * @param {string} map Specify what map to create for:
-      *                     Options are DEFAULT and RETRO
-      */
-     createGround(map = "DEFAULT") {
-        switch(map) {
-            default:
-            case "DEFAULT":
-                this.activeShapes["ground"] = {
-                "shape": this.shapes.ground,
-                "material": this.materials.ground,
-                "transform": Mat4.translation(64, -.5, 128).times(Mat4.scale(64, .5, 128))
-                }
-            break;
-            case "RETRO":
-                this.activeShapes["ground"] = {
-                    "shape": globalShapes.cube,
-                    "material": globalMaterials.default.override({
-                        "color": hex_color("#666666"),
-                        smoothness: .6
-                    }),
-                    "transform": Mat4.identity().times(Mat4.translation(0, -.5, 0)).times(Mat4.scale(100, .5, 100))
-                }
-            break;
+    /**
+     * Place a ramp or bridge piece of WALL_CATALOG, it is drawn as a shape (karts drive on it
+     * rather than colliding with it as a body, check groundAt).
+     * 
+     * Each is kept in this.ramps as the box it fills and how it is driven on,
+     * {min: [x, y, z], max: [x, y, z], climb, deck} (check WALL_CATALOG).
+     * @param {JSON} piece 
+     * @param {vec3} location The x,y,z coordinates where the top left (least x, least z)
+     *                        of the piece should be placed
+     */
+    addRamp(piece, location) {
+        const [dx, dy, dz] = piece.dims;
+        const center = vec3(location[0] + dx / 2, location[1] + dy / 2, location[2] + dz / 2);
+        let transform;
+
+        if (piece.climb) {
+            // Turn the wedge (which climbs toward +z) to climb the piece's way
+            const [cx, cz] = piece.climb;
+            const [width, length] = cx != 0 ? [dz, dx] : [dx, dz];
+            transform = Mat4.translation(...center).times(Mat4.rotation(Math.atan2(cx, cz), 0, 1, 0))
+                .times(Mat4.scale(width / 2, dy / 2, length / 2));
+        } else {
+            transform = Mat4.translation(center[0], location[1] + dy - piece.deck / 2, center[2])
+                .times(Mat4.scale(dx / 2, piece.deck / 2, dz / 2));
         }
+
+        this.activeShapes[`ramp-${this.ramps.length}`] = {
+            "shape": this.shapes[piece.shape] || globalShapes.cube,
+            "material": this.materials[piece.material],
+            "transform": transform
+        };
+
+        this.ramps.push({
+            min: [location[0], location[1], location[2]],
+            max: [location[0] + dx, location[1] + dy, location[2] + dz],
+            climb: piece.climb || null,
+            deck: piece.deck || 0
+        });
+    }
+
+    /**
+     * Convert a track color (a hex string or a name in TRACK_COLORS) into a color.
+     * @param {String} value 
+     */
+    parseColor(value) {
+        return hex_color(TRACK_COLORS[value] || value);
     }
 
-    /** Emplace the outer edges of the racetrack
+    /**
+     * Build every part of the world from the given (already validated) track.
      * 
-     * @param {string} map Specify what map to create for:
-     *                     Options are DEFAULT and RETRO
+     * Bodies are added in the order walls then obstacles, checkpoints in the order listed.
+     * @param {JSON} track 
      */
-    createOuterBoundary(map = "DEFAULT") {
-        const red = this.colors.red;
-        const green = this.colors.green;
-        const blue = this.colors.blue;
-        const yellow = this.colors.yellow;
-        switch (map) {
-            case "RETRO":
-                this.addWallByDimensionAndColor(vec3(44, 2, 2), vec3(-50, 0, 48), blue);
-                this.addWallByDimensionAndColor(vec3(2, 2, 96), vec3(-50, 0, -48), red);
-                this.addWallByDimensionAndColor(vec3(64, 2, 2), vec3(-50, 0, -50), blue);
-                this.addWallByDimensionAndColor(vec3(2, 2, 18), vec3(12, 0, -48), green);
-                this.addWallByDimensionAndColor(vec3(38, 2, 2), vec3(12, 0, -30), blue);
-                this.addWallByDimensionAndColor(vec3(2, 2, 76), vec3(48, 0, -28), green);
-                this.addWallByDimensionAndColor(vec3(48, 2, 2), vec3(2, 0, 48), blue);
-                this.addWallByDimensionAndColor(vec3(2, 2, 18), vec3(2, 0, 30), green);
-                this.addWallByDimensionAndColor(vec3(12, 2, 2), vec3(-8, 0, 28), blue);
-                this.addWallByDimensionAndColor(vec3(2, 2, 18), vec3(-8, 0, 30), green);
-            break;
-            default:
-            case "DEFAULT":
-                for (let x = 0; x < 128; x += 32) {
-                    this.addWall("multEW32", vec3(x, 0, 0));
-                }
-                for (let z = 0; z < 256; z += 32) {
-                    this.addWall("multSN32", vec3(126, 0, z));
-                }
-                for (let z = 0; z < 256; z += 32) {
-                    this.addWall("multNS32", vec3(0, 0, z));
-                }
-                for (let x = 0; x < 128; x += 32 ) {
-                    this.addWall("multWE32", vec3(x, 0, 254));
-                } 
-                this.addWall("multEW32", vec3(0, 0, 96));
-                this.addWall("multSN32", vec3(30, 0, 96));
-                this.addWall("multSN32", vec3(30, 0, 128));
-                this.addWall("multWE32", vec3(0, 0, 158));
-            break;
+    buildTrack(track) {
+        this.createGround(track.ground);
+
+        // The ramps and bridges among the walls (check addRamp)
+        this.ramps = [];
+        this.placeWalls(track.walls);
+        this.placeWalls(track.obstacles);
+        this.placeSurfaces(track.surfaces || []);
+
+        // Where the item boxes float, they are drawn (and picked up) by the race's Items (check items.js)
+        this.itemBoxes = (track.itemBoxes || []).map(box => [...box]);
+
+        for (let checkpoint of track.checkpoints) {
+            this.addCheckpoint(checkpoint.location, checkpoint.scale, checkpoint.leeway);
         }
+
+        /**
+         * The racing line for AI karts as [x, z] points in driving order, a track without
+         * one has its AI simply drive through the center of each checkpoint.
+         */
+        this.waypoints = track.waypoints ?
+            track.waypoints.map(waypoint => [...waypoint]) :
+            track.checkpoints.map(checkpoint => [checkpoint.location[0], checkpoint.location[2]]);
+
+        /**
+         * Where the karts begin the race, grid[0] is always the player's slot.
+         * 
+         * {angle: <Number>, grid: [[x, y, z], ...]}
+         */
+        this.start = {
+            angle: track.start.angle,
+            grid: track.start.grid.map(slot => [...slot])
+        };
+
+        // The skybox is drawn by the simulation, we only keep its parameters
+        this.skybox = {...track.skybox};
+
+        this.initLights(track.lights);
     }
 
-    /** Emplace the inner edges of the racetrack
-      * 
-     * @param {string} map Specify what map to create for:
-     *                     Options are DEFAULT and RETRO
+    /** 
+     * Place the ground as an active shape.
+     * 
+     * A textured ground uses our ground shape (flipped texture on top), otherwise
+     * we use a plain colored cube.
+     * @param {JSON} ground The "ground" entry of a track
      */
-    createInnerBoundary(map = "DEFAULT") {
-        const red = this.colors.red;
-        const green = this.colors.green;
-        const blue = this.colors.blue;
-        const yellow = this.colors.yellow;
-
-        switch (map) {
-            case "RETRO":
-                this.addWallByDimensionAndColor(vec3(2, 2, 60), vec3(-28, 0, -32), red);
-                this.addWallByDimensionAndColor(vec3(16, 2, 2), vec3(-26, 0, -32), green);
-                this.addWallByDimensionAndColor(vec3(2, 2, 22), vec3(-10, 0, -32), red);
-                this.addWallByDimensionAndColor(vec3(28, 2, 2), vec3(-8, 0, -12), yellow);
-                this.addWallByDimensionAndColor(vec3(2, 2, 38), vec3(18, 0, -10), green);
-                this.addWallByDimensionAndColor(vec3(44, 2, 2), vec3(-26, 0, 14), blue);
-            break;
-            default:
-            case "DEFAULT":
-                for (let x = 32; x < 96; x += 32) {
-                    this.addWall("multEW32", vec3(x, 0, 32));
-                }
-                for (let z = 32; z < 224; z += 32) {
-                    this.addWall("multSN32", vec3(94, 0, z));
-                }
-                for (let x = 32; x < 96; x += 32) {
-                    this.addWall("multWE32", vec3(x, 0, 222));
-                }
-                this.addWall("multNS32", vec3(32, 0, 192));
-                this.addWall("multEW32", vec3(32, 0, 192));
-                for (let z = 64; z < 192; z += 32) {
-                    this.addWall("multNS32", vec3(64, 0, z));
-                }
-                this.addWall("multWE32", vec3(32, 0, 62));
-                this.addWall("multNS32", vec3(32, 0, 32));
-            break;
+    createGround(ground) {
+        let transform = Mat4.translation(...ground.center).times(Mat4.scale(...ground.scale));
+
+        // The top of the ground, driven on everywhere over it (check groundAt)
+        const [x, y, z] = ground.center;
+        this.floor = {
+            height: y + ground.scale[1],
+            min: [x - ground.scale[0], z - ground.scale[2]],
+            max: [x + ground.scale[0], z + ground.scale[2]]
+        };
+
+        if (ground.texture != undefined) {
+            let material = this.materials.ground;
+            if (material.texture.filename != ground.texture) {
+                material = material.override({texture: loadTexture(ground.texture)});
+            }
+
+            this.activeShapes["ground"] = {
+                "shape": this.shapes.ground,
+                "material": material,
+                "transform": transform
+            }
+            return;
+        }
+
+        let options = {"color": this.parseColor(ground.color)};
+        if (ground.smoothness != undefined) {
+            options.smoothness = ground.smoothness;
+        }
+
+        this.activeShapes["ground"] = {
+            "shape": globalShapes.cube,
+            "material": globalMaterials.default.override(options),
+            "transform": transform
         }
     }
 
-    /** Emplace miscellaneous obstacles
-      * 
-     * @param {string} map Specify what map to create for:
-     *                     Options are DEFAULT and RETRO
+    /**
+     * Emplace every wall in the given list, walls can either be a piece of WALL_CATALOG
+     * or a box of any dimension and color (check track.js).
+     * 
+     * @param {JSON[]} walls The "walls" or "obstacles" entry of a track
      */
-    createObstacles(map = "DEFAULT") {
-        const red = this.colors.red;
-        const green = this.colors.green;
-        const blue = this.colors.blue;
-        const yellow = this.colors.yellow;
-
-        switch (map) {
-            case "RETRO":
-                this.addWallByDimensionAndColor(vec3(4, 2, 2), vec3(24, 0, 4), blue);
-                this.addWallByDimensionAndColor(vec3(4, 2, 2), vec3(40, 0, 4), red);
-                this.addWallByDimensionAndColor(vec3(12, 2, 2), vec3(28, 0, 20), yellow);
-            break;
-            default:
-            case "DEFAULT":
-                this.addWall("blueNS4", vec3(64, 0, 224));
-                this.addWall("blueNS4", vec3(64, 0, 250));
-                this.addWall("blueNS4", vec3(64, 0, 246));
-                this.addWall("blueNS4", vec3(64, 0, 242));
-
-                this.addWall("redEW4", vec3(24, 0, 228));
-                this.addWall("redEW4", vec3(24, 0, 230));
-
-                this.addWall("greenEW4", vec3(48, 0, 128));
-                this.addWall("greenEW4", vec3(48, 0, 126));
-
-                this.addWall("yellowEW4", vec3(36, 0, 86));
-                this.addWall("yellowEW4", vec3(36, 0, 88));
-
-                this.addWall("yellowNS4", vec3(40, 0, 10));
-                this.addWall("yellowNS4", vec3(40, 0, 22));
-
-                this.addWall("blueNS4", vec3(60, 0, 14));
-                this.addWall("blueNS4", vec3(60, 0, 18));
-            break;
+    placeWalls(walls) {
+        for (let wall of walls) {
+            let count = wall.repeat ? wall.repeat.count : 1;
+            let step = wall.repeat ? wall.repeat.step : [0, 0, 0];
+
+            for (let i = 0; i < count; i++) {
+                let location = vec3(...wall.location).plus(vec3(...step).times(i));
+
+                if (wall.type != undefined) {
+                    this.addWall(wall.type, location);
+                } else if (wall.color != undefined) {
+                    this.addWallByDimensionAndColor(vec3(...wall.dims), location, this.parseColor(wall.color));
+                } else {
+                    this.addWallByDimensionAndColor(vec3(...wall.dims), location);
+                }
+            }
         }
     }
 
     /**
-     * Setup the default world and draw it and ensure that its bodies are added.
-     * 
-     * The Default world solely contains a single box and the ground.
+     * Lay every surface in the given list on the ground, drawn just above it.
      * 
-     * As default, we assume the ground will always have a height of 1 in the y direction,
-     * and the top of the ground will be at y = 0. 
+     * Each is kept in this.surfaces as its kind (check SURFACE_TYPES) and the rectangle it covers,
+     * {type, ...effects, min: [x, z], max: [x, z]}, in the order listed.
+     * @param {JSON[]} surfaces The "surfaces" entry of a track
+     */
+    placeSurfaces(surfaces) {
+        this.surfaces = surfaces.map((surface, i) => {
+            let [x, y, z] = surface.location;
+            let [width, depth] = surface.dims;
+
+            this.activeShapes[`surface-${i}`] = {
+                "shape": globalShapes.cube,
+                "material": this.materials.surfaces[surface.type],
+                "transform": Mat4.translation(x + width / 2, y + .01 * (i + 1), z + depth / 2).times(Mat4.scale(width / 2, .01, depth / 2))
+            };
+
+            return {type: surface.type, ...SURFACE_TYPES[surface.type], min: [x, z], max: [x + width, z + depth]};
+        });
+    }
+
+    /**
+     * The surface at the given point on the ground, the one listed last where surfaces overlap.
+     * @param {Number} x 
+     * @param {Number} z 
+     * @returns {JSON} {type, speed, drag, grip, boost} (check SURFACE_TYPES, only those it
+     *                 changes), null on the road
+     */
+    surfaceAt(x, z) {
+        for (let i = this.surfaces.length - 1; i >= 0; i--) {
+            let {min, max} = this.surfaces[i];
+            if (x >= min[0] && x <= max[0] && z >= min[1] && z <= max[1]) {
+                return this.surfaces[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The ground under the given point: the top of the ground, a ramp or a bridge, whichever is
+     * highest without being above below (a kart drives under anything higher).
+     * @param {Number} x 
+     * @param {Number} z 
+     * @param {Number} below 
+     * @returns {JSON} {height, slope: [x, z]}, slope being how much the height rises for every
+     *                 unit along x and z, null past the edge of the ground
      */
-    initDefault() {
-        this.createGround("DEFAULT");
-        this.createOuterBoundary("DEFAULT");
-        this.createInnerBoundary("DEFAULT");
-        this.createObstacles("DEFAULT");
+    groundAt(x, z, below = Infinity) {
+        const {min, max} = this.floor;
+        let ground = null;
+        if (x >= min[0] && x <= max[0] && z >= min[1] && z <= max[1] && this.floor.height <= below) {
+            ground = {height: this.floor.height, slope: [0, 0]};
+        }
+
+        for (let ramp of this.ramps) {
+            let top = this.rampTop(ramp, x, z);
+            if (top && top.height <= below && (!ground || top.height > ground.height)) {
+                ground = top;
+            }
+        }
 
-        this.initDefaultCheckpoints();
+        return ground;
+    }
+
+    /**
+     * If any ramp or bridge at the given point is solid somewhere between bottom and top (a kart
+     * that tall cannot drive through it, nor up onto it).
+     * @param {Number} x 
+     * @param {Number} z 
+     * @param {Number} bottom 
+     * @param {Number} top 
+     * @returns {Boolean}
+     */
+    solidBetween(x, z, bottom, top) {
+        return this.ramps.some(ramp => {
+            let surface = this.rampTop(ramp, x, z);
+            if (!surface) {
+                return false;
+            }
 
-        this.initDefaultLights();
+            // A ramp is solid all the way down, a bridge only through its deck
+            let solidFrom = ramp.deck ? surface.height - ramp.deck : ramp.min[1];
+            return surface.height > bottom && solidFrom < top;
+        });
     }
 
     /**
-     * Initialize the Classic / Default World and its checkpoints
+     * The top of the given ramp or bridge (check addRamp) at the given point.
+     * @param {JSON} ramp 
+     * @param {Number} x 
+     * @param {Number} z 
+     * @returns {JSON} {height, slope: [x, z]}, null if the point is not over it
      */
-    initClassic() {
-        this.createGround("RETRO");
-        this.createOuterBoundary("RETRO");
-        this.createInnerBoundary("RETRO");
-        this.createObstacles("RETRO");
+    rampTop(ramp, x, z) {
+        const {min, max, climb} = ramp;
+        if (x < min[0] || x > max[0] || z < min[2] || z > max[2]) {
+            return null;
+        }
+
+        if (!climb) {
+            return {height: max[1], slope: [0, 0]};
+        }
 
-        this.initClassicCheckpoints();
+        // How far up the ramp the point is, from 0 at its foot to 1 at its top
+        const length = Math.abs(climb[0] * (max[0] - min[0]) + climb[1] * (max[2] - min[2]));
+        const rise = max[1] - min[1];
+        const along = (x - (min[0] + max[0]) / 2) * climb[0] + (z - (min[2] + max[2]) / 2) * climb[1];
 
-        this.initClassicLights();
+        return {
+            height: min[1] + rise * (along / length + .5),
+            slope: [climb[0] * rise / length, climb[1] * rise / length]
+        };
     }
 
     /**
@@ -550,89 +657,123 @@ export class World {
         });
     }
 
-    /**
-     * For simplicity, we only add 4 checkpoints that you need to pass through.
-     */
-    initDefaultCheckpoints() {
-        this.addCheckpoint([60, 1, 236], [1, 100, 30], [5, 50, 15]);
-        this.addCheckpoint([50, 1, 100], [30, 100, 1], [15, 50, 5]);
-        this.addCheckpoint([80, 1, 15], [1, 100, 30], [5, 50, 15]);
-        this.addCheckpoint([110, 1, 132], [30, 100, 1], [15, 50, 5]);
-    }
-
-    /**
-     * Add the classic checkpoints (again, only 4)
-     */
-    initClassicCheckpoints() {
-        this.addCheckpoint([9, 1, 30], [1, 100, 35], [5, 50, 15]);
-        this.addCheckpoint([35, 1, -5], [33, 100, 1], [15, 50, 5]);
-        this.addCheckpoint([-20, 1, -40], [1, 100, 15], [5, 50, 15]);
-        this.addCheckpoint([-40, 1, 4], [20, 100, 1], [15, 50, 5]);
-    }
-
     /**
      * Add the initial lights and their dynamic funcs.
+     * 
+     * Lights with an "orbit" circle around its center over time (like the sun), lights
+     * with a "sun" have a sphere drawn at their position.
+     * @param {JSON[]} lights The "lights" entry of a track
      */
-    initDefaultLights() {
-        this.lights = [{
-            "name": "Sun",
-            "pos": [64, 10, 128, 1], 
-            "size": 5000, 
-            "col": [1, .69, .26, 1]
-        }];
-
-        this.dynamicLightingFuncs = [(light, program_state) => {
-            const t = program_state.animation_time / 1000;
-            const r = 100;
-            const zStretch = 1.5;
-            const speed = 5;
-            const y = r * Math.cos(t / speed);
-            const z = (zStretch * r * Math.sin(t / speed) + 128);
-    
-            // Change light position to follow sun
-            light.position = vec4(64, y, z, 1);
-            
-            this.activeShapes["sun"] = {
-                "shape": globalShapes.sphere,
-                "material": this.materials.sun,
-                "transform": Mat4.translation(64, y, z, 1).times(Mat4.scale(10, 10, 10))
+    initLights(lights) {
+        this.lights = lights.map(light => ({
+            "name": light.name,
+            "pos": [...light.pos],
+            "size": light.size,
+            "col": [...light.col]
+        }));
+
+        this.dynamicLightingFuncs = lights.map((params, i) => {
+            const sunName = `sun-${i}`;
+            const sunMaterial = params.sun ? this.materials.sun.override({color: this.parseColor(params.sun.color)}) : null;
+            const drawSun = (x, y, z) => {
+                this.activeShapes[sunName] = {
+                    "shape": globalShapes.sphere,
+                    "material": sunMaterial,
+                    "transform": Mat4.translation(x, y, z).times(Mat4.scale(params.sun.radius, params.sun.radius, params.sun.radius))
+                }
+            };
+
+            if (!params.orbit) {
+                if (params.sun) {
+                    drawSun(params.pos[0], params.pos[1], params.pos[2]);
+                }
+                return (light) => light;
             }
-            return light;
-        }];
-            
-    }
 
-    initClassicLights() {
-        this.lights = [{
-            "name": "Default_Light",
-            "pos": [0, 20, -50, 1], 
-            "size": 1000, 
-            "col": [1, 1, 1, 1]
-        }];
+            return (light, program_state) => {
+                const t = program_state.animation_time / 1000;
+                const {center, radius, zStretch, speed} = params.orbit;
+                const y = center[1] + radius * Math.cos(t / speed);
+                const z = center[2] + zStretch * radius * Math.sin(t / speed);
+
+                // Change light position to follow its orbit
+                light.position = vec4(center[0], y, z, 1);
+
+                if (params.sun) {
+                    drawSun(center[0], y, z);
+                }
+                return light;
+            };
+        });
     }
 
     /**
      * Append all the static bodies to the given bodies array.
      * 
-     * Assume that the first element is to be ignored, as it represents the kart's body
+     * The karts are kept apart from these (check BruinKart.syncBodies), so any number of them can race
+     * 
+     * The static bodies never move from here on, so this also builds this.broadphase, the grid
+     * finding the ones near a kart by their index in the given array.
      * @param {*} bodies 
      */
     initializeBodies(bodies) {
-        if (bodies.length < 1) {
-            alert("The Kart needs to be initialized first");
-            return;
-        } else {
-            bodies.splice(1, bodies.length);
-        }
-
         let myBodies = Object.values(this.activeBodies);
 
         for (let i = 0; i < myBodies.length; i++) {
+            myBodies[i].make_static();
             bodies.push(myBodies[i]);
         }
+
+        // The walls never move, so the grid of where they are is built once (check broadphase.js)
+        this.broadphase = new Broadphase(bodies);
     }
 
 
+    /**
+     * Test if the given point on the ground is inside (or within margin of) any wall or obstacle.
+     * 
+     * Walls are always axis aligned boxes, so we simply compare against each body's center and size.
+     * @param {Number} x 
+     * @param {Number} z 
+     * @param {Number} margin 
+     * @returns {Boolean}
+     */
+    wallAt(x, z, margin = 0) {
+        return Object.values(this.activeBodies).some(body =>
+            Math.abs(x - body.center[0]) <= body.size[0] + margin &&
+            Math.abs(z - body.center[2]) <= body.size[2] + margin);
+    }
+
+    /**
+     * Where the racing line (this.waypoints, which loops back to its start) passes closest to the
+     * given point on the ground.
+     * @param {Number} x 
+     * @param {Number} z 
+     * @returns {JSON} {heading, next}, the heading (as used by Kart.angle) the line runs at there and
+     *                 the index of the waypoint it runs to
+     */
+    racingLineAt(x, z) {
+        const waypoints = this.waypoints;
+        let closest = {distance: Infinity, heading: 0, next: 0};
+
+        for (let i = 0; i < waypoints.length; i++) {
+            let [fromX, fromZ] = waypoints[i];
+            let next = (i + 1) % waypoints.length;
+            let [dx, dz] = [waypoints[next][0] - fromX, waypoints[next][1] - fromZ];
+
+            // How far along this stretch of the line the point is closest to it, from 0 to 1
+            let length = dx * dx + dz * dz;
+            let along = length > 0 ? Math.max(0, Math.min(1, ((x - fromX) * dx + (z - fromZ) * dz) / length)) : 0;
+
+            let distance = Math.hypot(fromX + along * dx - x, fromZ + along * dz - z);
+            if (distance < closest.distance) {
+                closest = {distance: distance, heading: Math.atan2(dx, dz), next: next};
+            }
+        }
+
+        return {heading: closest.heading, next: closest.next};
+    }
+
     /**
      * Add all the checkpoints to the global checkpoints array.
      * @param {*} checkpoints 